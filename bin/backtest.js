@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// Offline backtest: replay recorded webhook payloads against one or more filter configurations
+//
+//   node bin/backtest.js --events payloads.jsonl --fixtures fixtures.json --rules rules.yaml --rules strict.json#default
+//   node bin/backtest.js --events payloads.jsonl --record fixtures.json     (online: record provider responses)
+//
+// --events    JSONL file with one webhook payload per line (e.g. bodies from GET /api/helius/archive/:id),
+//             or a JSON file { "payloads": [...] }
+// --fixtures  recorded provider responses (see src/providers/fixtures.js); no network access is needed
+// --rules     rule set file, optionally `file#set`; without #set every set in the file is compared.
+//             Repeat to compare several files. Defaults to the built-in rule sets.
+// --json      print the full report as JSON
+//
+// Tokens are extracted with extractTokensFromHelius, metrics are computed by the normal pipeline code from the fixtures
+// and every configuration is evaluated on the same metrics, so the report shows exactly which tokens each one alerts on.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { extractTokensFromHelius } = require('../src/helius');
+const { computeTokenMetrics } = require('../src/pipeline');
+const { parseRuleSets, evaluateRuleSet, DEFAULT_RULE_SETS } = require('../src/rules');
+const { getProvider } = require('../src/providers');
+const { createFixtureProvider } = require('../src/providers/fixtures');
+const { fetchBondingCurveAccount, fetchSolUsdPrice } = require('../src/pumpfun');
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node bin/backtest.js --events <file> (--fixtures <file> [--rules <file[#set]>]... [--json] | --record <file>)');
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { rules: [], json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--json') args.json = true;
+    else if (flag === '--rules') args.rules.push(argv[++i]);
+    else if (flag === '--events' || flag === '--fixtures' || flag === '--record') args[flag.slice(2)] = argv[++i];
+    else usage(`Unknown argument: ${flag}`);
+  }
+  return args;
+}
+
+function readPayloads(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.jsonl')) return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  const parsed = JSON.parse(text);
+  return parsed && Array.isArray(parsed.payloads) ? parsed.payloads : [parsed];
+}
+
+// Each --rules spec becomes one or more named configurations: { name, sets, ruleSet }
+function loadConfigs(specs) {
+  if (!specs.length) return Object.keys(DEFAULT_RULE_SETS).map(set => ({ name: `built-in#${set}`, sets: DEFAULT_RULE_SETS, ruleSet: set }));
+  const configs = [];
+  for (const spec of specs) {
+    const [file, set] = spec.split('#');
+    const sets = parseRuleSets(fs.readFileSync(file, 'utf8'), file);
+    for (const name of set ? [set] : Object.keys(sets)) {
+      if (!sets[name]) usage(`Rule set "${name}" not found in ${file}`);
+      configs.push({ name: `${path.basename(file)}#${name}`, sets, ruleSet: name });
+    }
+  }
+  return configs;
+}
+
+function extractAll(payloads) {
+  const seen = new Map();
+  for (const payload of payloads) {
+    for (const t of extractTokensFromHelius(payload)) {
+      const key = `${String(t.chain).toLowerCase()}:${t.address}`;
+      if (!seen.has(key)) seen.set(key, t);
+    }
+  }
+  return Array.from(seen.values());
+}
+
+// Online: fetch every response the pipeline needs for each token and write them as fixtures
+async function record(tokens, file) {
+  const fixtures = { solUsd: await fetchSolUsdPrice(), observedAt: Math.floor(Date.now() / 1000), tokens: {} };
+  for (const t of tokens) {
+    const chain = String(t.chain || 'unknown').toLowerCase();
+    const provider = getProvider(chain);
+    const a = provider.normalizeAddress(t.address);
+    try {
+      const entry = {
+        metadata: await provider.fetchTokenMetadata(chain, a),
+        holders: await provider.fetchTokenHolders(chain, a, 200),
+        market: await provider.fetchTokenMarketData(chain, a),
+        authorities: await provider.fetchTokenAuthorities(chain, a),
+        curveAccount: chain === 'solana' ? await fetchBondingCurveAccount(a) : null,
+        balances: {}
+      };
+      if (t.creator) entry.balances[t.creator] = await provider.fetchHolderBalance(chain, a, t.creator);
+      fixtures.tokens[a] = entry;
+      console.error(`Recorded ${chain}:${a}`);
+    } catch (err) {
+      console.error(`Failed to record ${chain}:${a}:`, err && err.message ? err.message : err);
+    }
+  }
+  fs.writeFileSync(file, JSON.stringify(fixtures, null, 2));
+  console.error(`Wrote ${Object.keys(fixtures.tokens).length} token fixture(s) to ${file}`);
+}
+
+async function backtest(tokens, fixtures, configs) {
+  const provider = createFixtureProvider(fixtures);
+  const now = fixtures.observedAt ? fixtures.observedAt * 1000 : Date.now();
+  const rows = [];
+  for (const t of tokens) {
+    const row = { chain: t.chain, address: t.address, eventType: t.eventType || null, symbol: null, metrics: null, skipped: null, results: {} };
+    rows.push(row);
+    if (!provider.has(t.address)) {
+      row.skipped = 'no fixture';
+      continue;
+    }
+    const result = await computeTokenMetrics(t, { provider, fetchCurve: provider.fetchBondingCurve, offline: true, now });
+    if (!result.ok) {
+      row.skipped = result.reason;
+      continue;
+    }
+    row.symbol = result.meta && result.meta.symbol;
+    row.metrics = result.metrics;
+    for (const cfg of configs) {
+      const decision = evaluateRuleSet(cfg.sets, result.metrics, { chain: result.chain, ruleSet: cfg.ruleSet });
+      row.results[cfg.name] = { passed: decision.passed, reason: decision.reason };
+    }
+  }
+  const summary = configs.map(cfg => ({
+    config: cfg.name,
+    alerts: rows.filter(r => r.results[cfg.name] && r.results[cfg.name].passed).length,
+    included: rows.filter(r => r.results[cfg.name] && r.results[cfg.name].passed).map(r => r.address),
+    excluded: rows.filter(r => r.results[cfg.name] && !r.results[cfg.name].passed).map(r => r.address)
+  }));
+  return { tokens: rows.length, skipped: rows.filter(r => r.skipped).length, summary, rows };
+}
+
+function pad(s, n) {
+  s = String(s);
+  return s.length >= n ? s : s + ' '.repeat(n - s.length);
+}
+
+function printReport(report, configs) {
+  console.log(`Tokens: ${report.tokens} (${report.skipped} skipped)\n`);
+  const width = Math.max(...configs.map(c => c.name.length), 6) + 2;
+  console.log(pad('Config', width) + 'Alerts');
+  for (const s of report.summary) console.log(pad(s.config, width) + s.alerts);
+
+  console.log('\n' + pad('Token', 56) + pad('Event', 18) + configs.map(c => pad(c.name, width)).join(''));
+  for (const r of report.rows) {
+    const label = r.symbol ? `${r.address} (${r.symbol})` : r.address;
+    const cells = r.skipped ? [`skipped: ${r.skipped}`] : configs.map(c => pad(r.results[c.name].passed ? 'alert' : '-', width));
+    console.log(pad(label, 56) + pad(r.eventType || '', 18) + cells.join(''));
+  }
+
+  // tokens the configurations disagree on, with each one's reason
+  const differing = report.rows.filter(r => !r.skipped && new Set(Object.values(r.results).map(x => x.passed)).size > 1);
+  if (differing.length) {
+    console.log('\nDifferences:');
+    for (const r of differing) {
+      console.log(`${r.address}${r.symbol ? ` (${r.symbol})` : ''}`);
+      for (const c of configs) console.log(`  ${pad(c.name, width)}${r.results[c.name].reason}`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.events) usage('--events is required');
+  const tokens = extractAll(readPayloads(args.events));
+  if (args.record) return record(tokens, args.record);
+  if (!args.fixtures) usage('--fixtures is required (or --record to create them)');
+
+  const configs = loadConfigs(args.rules);
+  const fixtures = JSON.parse(fs.readFileSync(args.fixtures, 'utf8'));
+  const report = await backtest(tokens, fixtures, configs);
+  if (args.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report, configs);
+}
+
+main().catch(err => {
+  console.error('Backtest failed:', err && err.stack ? err.stack : err);
+  process.exit(1);
+});
@@ -1,15 +1,35 @@
 // === FILE: index.js ===
 // PumpFun / Helius token scanner
 // - Receives Helius webhook(s) about newly minted tokens
-// - Uses Moralis to fetch on-chain token metadata, holders and price data
-// - Uses Upstash Redis to dedupe/cache processed tokens
+// - Fetches token metadata, holders and price data through a per-chain provider (Helius RPC for Solana, Moralis for EVM)
+// - Uses Redis (Upstash, a Redis server or in-memory, see src/storage) to dedupe/cache processed tokens
 // - Sends matching tokens to a Telegram bot when they pass filter rules
 
 const express = require('express');
-const axios = require('axios');
-const { Redis } = require('@upstash/redis');
 const crypto = require('crypto');
 require('dotenv').config();
+// structured JSON logs for the server; tools that require the app keep the plain console
+if (require.main === module) require('./src/log').installLogging();
+const { extractTokensFromHelius, verifyHeliusRequest, releaseNonce, archivePayload, loadArchivedPayload, listArchivedPayloads } = require('./src/helius');
+const { detectMigrations } = require('./src/pumpfun');
+const { processTokenEvent, confirmAlert, abandonAlert, processGraduation } = require('./src/pipeline');
+const { incrStat } = require('./src/state');
+const { registerHandler, enqueue, startWorkers } = require('./src/queue');
+const { getOutboxStats, retryFailedSend } = require('./src/outbox');
+const { getProviderUsage } = require('./src/providers/budget');
+const { withCorrelation } = require('./src/log');
+const { renderMetrics, webhooksTotal, tokensExtracted } = require('./src/metrics');
+const { checkReadiness } = require('./src/health');
+const { redis, connectStorage } = require('./src/redis');
+const { checkRuleSet } = require('./src/rules');
+const { watchMints, ingestSwaps } = require('./src/flow');
+const { applyWalletSignals, releaseWalletSignals, trackWallet, untrackWallet, listTrackedWallets } = require('./src/wallets');
+const { listScans, listAlerts, findTokens, getTokenHistory } = require('./src/history');
+const { renderScanList, renderAlertList, renderSearch, renderTokenPage } = require('./src/dashboard');
+const { onDelivered, onFailed, startNotifiers } = require('./src/notifiers');
+const { startWatchlist } = require('./src/watchlist');
+const { sampleToken, getPerformanceReport, startTracker } = require('./src/tracker');
+const { handleTelegramUpdate, registerTelegramWebhook, verifyTelegramSecret, telegramWebhookEnabled } = require('./src/bot');
 
 const app = express();
 
@@ -21,418 +41,353 @@ app.use(express.json({
 // Env checks
 const {
   PORT = 3000,
-  UPSTASH_REDIS_REST_URL,
-  UPSTASH_REDIS_REST_TOKEN,
-  MORALIS_API_KEY,
-  MORALIS_API_BASE = 'https://deep-index.moralis.io/api/v2',
-  TELEGRAM_BOT_TOKEN,
-  TELEGRAM_CHAT_ID,
-  HELIUS_WEBHOOK_SECRET,
-  COINGECKO_FALLBACK = 'true'
+  ADMIN_API_TOKEN,
+  METRICS_TOKEN,
+  DASHBOARD_USER,
+  DASHBOARD_PASSWORD
 } = process.env;
 
-if (!UPSTASH_REDIS_REST_URL || !UPSTASH_REDIS_REST_TOKEN) {
-  console.warn('Warning: Upstash Redis URL or token not set. Caching/deduplication will fail. Set UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN in env.');
+// Constant-time check of `Authorization: Bearer <expected>`
+function hasBearer(req, expected) {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+  return Boolean(expected) && token.length === expected.length && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
 }
 
-const redis = new Redis({ url: UPSTASH_REDIS_REST_URL, token: UPSTASH_REDIS_REST_TOKEN });
+// Admin-only API routes need `Authorization: Bearer <ADMIN_API_TOKEN>`; without a token they stay disabled
+function requireAdmin(req, res, next) {
+  const ok = hasBearer(req, ADMIN_API_TOKEN);
+  if (!ok) return res.status(ADMIN_API_TOKEN ? 401 : 403).json({ error: 'unauthorized' });
+  return next();
+}
 
-const moralisClient = axios.create({
-  baseURL: MORALIS_API_BASE,
-  headers: {
-    'X-API-Key': MORALIS_API_KEY,
-    'accept': 'application/json'
-  },
-  timeout: 20_000
-});
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
 
-async function safeGet(url, opts = {}) {
-  try {
-    return await moralisClient.get(url, opts);
-  } catch (err) {
-    // return null so caller can try fallback
-    console.warn('Moralis request failed:', url, err && err.message ? err.message : err);
-    return null;
+// Dashboard and history API: the admin bearer token, or basic auth with DASHBOARD_USER / DASHBOARD_PASSWORD
+// (what a browser can send). Disabled when neither is configured.
+function requireDashboard(req, res, next) {
+  if (hasBearer(req, ADMIN_API_TOKEN)) return next();
+  const auth = req.headers.authorization || '';
+  if (DASHBOARD_USER && DASHBOARD_PASSWORD && auth.startsWith('Basic ')) {
+    const decoded = Buffer.from(auth.slice(6), 'base64').toString();
+    const sep = decoded.indexOf(':');
+    if (sep > 0 && safeEqual(decoded.slice(0, sep), DASHBOARD_USER) && safeEqual(decoded.slice(sep + 1), DASHBOARD_PASSWORD)) return next();
   }
+  if (!ADMIN_API_TOKEN && !(DASHBOARD_USER && DASHBOARD_PASSWORD)) return res.status(403).json({ error: 'dashboard disabled' });
+  if (DASHBOARD_USER && DASHBOARD_PASSWORD) res.set('WWW-Authenticate', 'Basic realm="scanner", charset="UTF-8"');
+  return res.status(401).json({ error: 'unauthorized' });
 }
 
-// Helper: Telegram message sender
-async function sendTelegramMarkdown(text) {
-  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
-    console.warn('Telegram not configured (TELEGRAM_BOT_TOKEN/TELEGRAM_CHAT_ID missing)');
-    return;
-  }
-  try {
-    const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
-    await axios.post(url, { chat_id: TELEGRAM_CHAT_ID, text, parse_mode: 'Markdown', disable_web_page_preview: true });
-  } catch (err) {
-    console.warn('Failed to send Telegram message:', err && err.message ? err.message : err);
-  }
+function listLimit(req, max = 200) {
+  return Math.min(max, Math.max(1, Number(req.query.limit) || 50));
 }
 
-// Basic Helius webhook verification (optional) - uses HMAC-SHA256 of raw body
-function verifyHeliusSignature(req) {
-  if (!HELIUS_WEBHOOK_SECRET) return true; // not configured -> skip verification
-  const sig = req.headers['x-helius-signature'] || req.headers['x-signature'] || req.headers['signature'];
-  if (!sig) return false;
+// Queue graduations and new tokens found in one payload, plus tokens bought by tracked wallets (src/wallets.js),
+// and record swaps of watched mints (src/flow.js). Replayed tokens bypass the scan throttle (per-subscriber alert
+// dedupe still applies).
+// Returns the number of jobs queued and swaps recorded. When queueing fails the wallet signal claims are given back,
+// so the redelivered payload still carries its tracked-wallet signals.
+async function enqueuePayload(payload, { replay = false } = {}) {
+  const graduations = detectMigrations(payload);
+  const claims = [];
+  const tokens = await applyWalletSignals(payload, extractTokensFromHelius(payload), claims);
   try {
-    const h = crypto.createHmac('sha256', HELIUS_WEBHOOK_SECRET);
-    h.update(req.rawBody || '');
-    const expected = h.digest('hex');
-    return sig === expected;
+    // before the swaps, so buys bundled with the create transaction are seen as snipers
+    await watchMints(tokens);
+    const swaps = await ingestSwaps(payload);
+    // Only enqueue here; queue workers do the slow provider calls with bounded concurrency and retries.
+    for (const g of graduations) await enqueue('graduation', g);
+    for (const t of tokens) {
+      if (!replay) tokensExtracted.inc({ event_type: t.eventType || 'unknown' });
+      // one correlation id per token: its scan, re-checks and alert deliveries log under it (see src/log.js)
+      await withCorrelation({ token: `${String(t.chain || '').toLowerCase()}:${t.address}` }, () => enqueue('token', replay ? { ...t, replay: true } : t));
+    }
+    return { graduations: graduations.length, tokens: tokens.length, swaps };
   } catch (err) {
-    return false;
+    await releaseWalletSignals(claims);
+    throw err;
   }
 }
 
-// Extract tokens from incoming Helius event payload. Helius payload formats vary depending on stream type,
-// so we try multiple heuristics. The returned array contains objects: { chain, address, creator (optional) }
-function extractTokensFromHelius(payload) {
-  const out = [];
-  // If pumpfun provided the token in a flat field
-  if (!payload) return out;
-
-  // Common variants
-  if (payload.mint) out.push({ chain: payload.chain || 'solana', address: payload.mint, creator: payload.mintAuthority || payload.creator });
-  if (payload.tokenAddress) out.push({ chain: payload.chain || 'ethereum', address: payload.tokenAddress, creator: payload.creator });
-
-  // If 'tokens' array sent
-  if (Array.isArray(payload.tokens)) {
-    for (const t of payload.tokens) {
-      if (t.address || t.mint) out.push({ chain: t.chain || payload.chain || 'unknown', address: t.address || t.mint, creator: t.creator || t.mintAuthority });
+// Webhook endpoint for Helius
+app.post('/webhook/helius', async (req, res) => {
+  let check = null;
+  try {
+    check = await verifyHeliusRequest(req);
+    if (!check.ok) {
+      console.warn('Rejected Helius webhook:', check.reason);
+      webhooksTotal.inc({ result: 'rejected' });
+      return res.status(401).send('Invalid signature');
     }
-  }
 
-  // If raw transaction(s) provided, try to find initializeMint or create token instructions (best-effort)
-  if (Array.isArray(payload.transactions)) {
-    for (const tx of payload.transactions) {
-      // Helius transaction objects sometimes have 'tokenTransfers' or 'tokenChanges'
-      if (tx.tokenTransfers) {
-        for (const tt of tx.tokenTransfers) {
-          if (tt.tokenAddress) out.push({ chain: tx.chain || payload.chain || 'unknown', address: tt.tokenAddress, creator: tt.from });
-        }
-      }
-      if (tx.tokenData) {
-        for (const d of tx.tokenData) {
-          if (d.mint) out.push({ chain: tx.chain || payload.chain || 'unknown', address: d.mint, creator: d.mintAuthority });
-        }
-      }
+    incrStat('webhooks');
+    webhooksTotal.inc({ result: 'accepted' });
+    await archivePayload(req.rawBody);
+    // If enqueueing fails we answer 500 so Helius redelivers the payload.
+    const queued = await enqueuePayload(req.body);
+    if (!queued.tokens && !queued.graduations && !queued.swaps) {
+      // nothing to do
+      return res.status(200).send('no tokens found');
     }
+    incrStat('tokens', queued.tokens);
+    return res.status(200).send('ok');
+  } catch (err) {
+    console.error('Webhook handler error:', err && err.stack ? err.stack : err);
+    webhooksTotal.inc({ result: 'error' });
+    if (check && check.nonce) await releaseNonce(check.nonce);
+    return res.status(500).send('server error');
   }
+});
 
-  // Deduplicate by address
-  const map = new Map();
-  for (const t of out) {
-    if (!t.address) continue;
-    const key = `${(t.chain||'').toLowerCase()}:${t.address.toLowerCase()}`;
-    if (!map.has(key)) map.set(key, { chain: t.chain || 'unknown', address: t.address, creator: t.creator });
+// Archived webhook payloads: list ids received in a time range (?since=&until= ms timestamps)
+app.get('/api/helius/archive', requireAdmin, async (req, res) => {
+  try {
+    const since = Number(req.query.since) || Date.now() - 24 * 60 * 60 * 1000;
+    const until = Number(req.query.until) || Date.now();
+    return res.json({ ids: await listArchivedPayloads({ since, until, limit: Number(req.query.limit) || 100 }) });
+  } catch (err) {
+    console.error('Archive list error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
   }
-  return Array.from(map.values());
-}
+});
 
-// Fetch token metadata (totalSupply, decimals, symbol, name). We try a few Moralis endpoints (best-effort).
-async function fetchTokenMetadata(chain, address) {
-  if (!MORALIS_API_KEY) {
-    console.warn('MORALIS_API_KEY not set - cannot fetch metadata');
-    return null;
-  }
-  const a = address.toLowerCase();
-  // Try common Moralis endpoints, in order
-  const candidates = [
-    `/erc20/${a}/metadata?chain=${encodeURIComponent(chain)}`,
-    `/erc20/${a}?chain=${encodeURIComponent(chain)}`,
-    `/token/${a}/metadata?chain=${encodeURIComponent(chain)}`
-  ];
-
-  for (const path of candidates) {
-    const r = await safeGet(path);
-    if (r && r.data) {
-      // Heuristically map fields
-      const d = r.data;
-      const totalSupply = d.totalSupply || d.supply || d.total_supply || d.total_token_supply || d.total;
-      const decimals = typeof d.decimals === 'number' ? d.decimals : (d.decimal || d.tokenDecimals || d.token_decimal || 18);
-      const symbol = d.symbol || d.ticker || d.token_symbol;
-      const name = d.name || d.token_name;
-      if (totalSupply) {
-        return { totalSupply: String(totalSupply), decimals: Number(decimals || 18), symbol, name };
-      }
-      // If not supply but other useful fields, still return partial
-      return { totalSupply: null, decimals: Number(decimals || 18), symbol, name };
-    }
+// One archived payload as received, e.g. to build a bin/backtest.js events file
+app.get('/api/helius/archive/:id', requireAdmin, async (req, res) => {
+  try {
+    const payload = await loadArchivedPayload(req.params.id);
+    if (!payload) return res.status(404).json({ error: 'not found or expired' });
+    return res.json(payload);
+  } catch (err) {
+    console.error('Archive load error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
   }
-  return null;
-}
+});
 
-// Fetch top holders (returns array of { address, balance } and optionally total count)
-async function fetchTokenHolders(chain, address, limit = 200) {
-  if (!MORALIS_API_KEY) {
-    console.warn('MORALIS_API_KEY not set - cannot fetch holders');
-    return null;
-  }
-  const a = address.toLowerCase();
-  // Try common endpoints
-  const candidates = [
-    `/erc20/${a}/holders?chain=${encodeURIComponent(chain)}&limit=${limit}`,
-    `/token/${a}/holders?chain=${encodeURIComponent(chain)}&limit=${limit}`
-  ];
-
-  for (const path of candidates) {
-    const r = await safeGet(path);
-    if (r && r.data) {
-      // Some endpoints return { total, result: [..] }
-      if (Array.isArray(r.data)) return r.data.map(x => ({ address: x.address || x.holder_of || x.owner, balance: x.balance || x.token_balance || x.amount }));
-      if (Array.isArray(r.data.result)) return { total: r.data.total || r.data.result.length, holders: r.data.result.map(x => ({ address: x.address || x.holder_of || x.owner, balance: x.balance || x.token_balance || x.amount })) };
-      // fallback if object with holders
-      if (Array.isArray(r.data.holders)) return r.data.holders.map(x => ({ address: x.address, balance: x.balance }));
+// Re-run archived payloads through the pipeline: one id, or body { ids: [...] }
+app.post('/api/helius/replay/:id?', requireAdmin, async (req, res) => {
+  try {
+    const ids = req.params.id ? [req.params.id] : (Array.isArray(req.body && req.body.ids) ? req.body.ids : []);
+    if (!ids.length) return res.status(400).json({ error: 'no ids' });
+    const results = {};
+    for (const id of ids) {
+      const payload = await loadArchivedPayload(id);
+      results[id] = payload ? await enqueuePayload(payload, { replay: true }) : { error: 'not found or expired' };
     }
+    return res.json({ results });
+  } catch (err) {
+    console.error('Replay error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
   }
+});
 
-  // If Moralis didn't expose holders, return null (caller can decide fallback)
-  return null;
-}
-
-// Fetch market data (price, marketCap, 24h volume). We try Moralis price endpoint, then CoinGecko fallback if enabled.
-async function fetchTokenMarketData(chain, address) {
-  // Try Moralis price endpoint
-  if (MORALIS_API_KEY) {
-    try {
-      const path = `/erc20/${address.toLowerCase()}/price?chain=${encodeURIComponent(chain)}`;
-      const r = await safeGet(path);
-      if (r && r.data) {
-        const data = r.data;
-        // Heuristic mapping
-        const price = data.usdPrice || data.price || data.usd_price || (data?.market_data?.current_price?.usd);
-        const volume24h = data.volume24h || data['24hVolume'] || (data?.market_data?.total_volume?.usd);
-        const marketCap = data.marketCap || data.market_cap || (price && data.totalSupply ? price * (Number(data.totalSupply) / Math.pow(10, data.decimals || 0)) : null) || (data?.market_data?.market_cap?.usd);
-        return { price: price ? Number(price) : null, marketCap: marketCap ? Number(marketCap) : null, volume24h: volume24h ? Number(volume24h) : null };
-      }
-    } catch (err) {
-      console.warn('Moralis price call failed:', err && err.message ? err.message : err);
-    }
+// Webhook endpoint for Telegram bot updates (commands)
+app.post('/webhook/telegram', (req, res) => {
+  // without TELEGRAM_WEBHOOK_SECRET anyone could forge an admin's update, so the endpoint stays off
+  if (!telegramWebhookEnabled()) return res.status(404).send('not found');
+  if (!verifyTelegramSecret(req)) {
+    console.warn('Invalid Telegram webhook secret');
+    return res.status(401).send('Invalid secret');
   }
+  // answer Telegram immediately; commands like /check can take a while
+  handleTelegramUpdate(req.body).catch(err => console.error('Telegram update error (catch):', err));
+  return res.status(200).send('ok');
+});
 
-  // CoinGecko fallback (works for many EVM chains)
-  if (COINGECKO_FALLBACK === 'true') {
-    try {
-      // Map chain to CoinGecko platform id
-      const map = { ethereum: 'ethereum', bsc: 'binance-smart-chain', 'binance-smart-chain': 'binance-smart-chain', polygon: 'polygon-pos', arbitrum: 'arbitrum-one' };
-      const platform = map[chain?.toLowerCase()] || map[chain] || null;
-      if (platform) {
-        const cgUrl = `https://api.coingecko.com/api/v3/coins/${platform}/contract/${address.toLowerCase()}`;
-        const r2 = await axios.get(cgUrl, { timeout: 20000 });
-        if (r2 && r2.data && r2.data.market_data) {
-          const md = r2.data.market_data;
-          return { price: md.current_price?.usd || null, marketCap: md.market_cap?.usd || null, volume24h: md.total_volume?.usd || null };
-        }
-      }
-    } catch (err) {
-      console.warn('CoinGecko fallback failed:', err && err.message ? err.message : err);
-    }
+// Telegram outbox: queue depth and failed sends
+app.get('/api/outbox', requireAdmin, async (req, res) => {
+  try {
+    return res.json(await getOutboxStats({ failedLimit: Math.min(200, Number(req.query.limit) || 50) }));
+  } catch (err) {
+    console.error('Outbox stats error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
   }
+});
 
-  return { price: null, marketCap: null, volume24h: null };
-}
-
-function percentBigInt(numer, denom) {
+// Move a failed send back onto the outbox
+app.post('/api/outbox/retry/:id', requireAdmin, async (req, res) => {
   try {
-    const n = BigInt(numer || '0');
-    const d = BigInt(denom || '0');
-    if (d === 0n) return 0;
-    // keep two decimal places: compute scaled = floor(n * 10000 / d) -> result/100 is percent with 2 decimals
-    const scaled = (n * 10000n) / d; // percent * 100
-    return Number(scaled) / 100; // e.g., 1234 -> 12.34
+    if (!(await retryFailedSend(req.params.id))) return res.status(404).json({ error: 'not found' });
+    return res.json({ retried: req.params.id });
   } catch (err) {
-    return 0;
+    console.error('Outbox retry error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
   }
-}
+});
 
-async function processTokenEvent({ chain, address, creator }) {
+// Tracked smart wallets (src/wallets.js): list, add/update with { label, bypassFilters }, remove
+app.get('/api/wallets', requireAdmin, async (_req, res) => {
   try {
-    if (!address) return;
-    const a = String(address).toLowerCase();
-    const c = String(chain || 'unknown').toLowerCase();
-    const key = `processed:${c}:${a}`;
-
-    // Dedupe: skip if already processed in last 24h
-    try {
-      const already = await redis.get(key);
-      if (already) {
-        console.log('Already processed', c, a);
-        return;
-      }
-    } catch (err) {
-      console.warn('Redis get failed (continuing):', err && err.message ? err.message : err);
-    }
-
-    const meta = await fetchTokenMetadata(c, a);
-    if (!meta) {
-      console.log('No metadata for', a, 'chain', c);
-      // mark short-lived so we don't keep retrying too frequently
-      try { await redis.set(key, '1', { ex: 60 * 20 }); } catch (e) {}
-      return;
-    }
-
-    // holders: attempt to get top holders list
-    let holdersRaw = await fetchTokenHolders(c, a, 200);
-    let holdersList = [];
-    let holdersCount = 0;
-    if (holdersRaw) {
-      if (Array.isArray(holdersRaw)) {
-        holdersList = holdersRaw.map(x => ({ address: x.address, balance: x.balance }));
-        holdersCount = holdersList.length;
-      } else if (holdersRaw.holders) {
-        holdersList = holdersRaw.holders.slice(0, 200);
-        holdersCount = holdersRaw.total || holdersRaw.holders.length;
-      }
-    }
-
-    // If Moralis didn't provide holders, we cannot compute top10/dev percentages. Skip if requirement strict.
-    if (!holdersRaw) {
-      console.log('Holders info missing for', a, '- skipping');
-      try { await redis.set(key, '1', { ex: 60 * 60 }); } catch (e) {}
-      return;
-    }
+    return res.json({ wallets: await listTrackedWallets() });
+  } catch (err) {
+    console.error('Wallet list error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
 
-    // Top 10 percent
-    // Convert balances strings to BigInt (expects raw token unit, not normalized)
-    const topHolders = holdersList.slice(0, 10).map(h => ({ address: h.address, balance: BigInt(h.balance || '0') }));
-    const topSum = topHolders.reduce((acc, h) => acc + (h.balance || 0n), 0n);
-
-    const totalSupplyStr = meta.totalSupply || null;
-    let totalSupplyBig = 0n;
-    if (totalSupplyStr) {
-      try {
-        totalSupplyBig = BigInt(String(totalSupplyStr));
-      } catch (err) {
-        // If totalSupply can't parse, attempt to sanitize
-        const digits = String(totalSupplyStr).replace(/[^0-9]/g, '') || '0';
-        totalSupplyBig = BigInt(digits);
-      }
-    }
+app.put('/api/wallets/:address', requireAdmin, async (req, res) => {
+  const { label = '', bypassFilters = false } = req.body || {};
+  let wallet;
+  try {
+    wallet = await trackWallet(req.params.address, { label, bypassFilters: bypassFilters === true });
+  } catch (err) {
+    if (/^Invalid wallet/.test(err.message)) return res.status(400).json({ error: err.message });
+    console.error('Wallet update error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+  return res.json(wallet);
+});
 
-    if (totalSupplyBig === 0n) {
-      console.log('Total supply missing or zero for', a, '- skipping');
-      try { await redis.set(key, '1', { ex: 60 * 60 }); } catch (e) {}
-      return;
-    }
+app.delete('/api/wallets/:address', requireAdmin, async (req, res) => {
+  try {
+    await untrackWallet(req.params.address);
+    return res.json({ removed: req.params.address });
+  } catch (err) {
+    console.error('Wallet remove error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
 
-    const top10Percent = percentBigInt(topSum, totalSupplyBig);
-
-    // Dev/creator hold percent: detect developer address
-    let devPercent = 0;
-    if (creator) {
-      // Find creator balance in holders list if present
-      const found = holdersList.find(h => (h.address || '').toLowerCase() === (creator || '').toLowerCase());
-      if (found) {
-        try {
-          const devBal = BigInt(found.balance || '0');
-          devPercent = percentBigInt(devBal, totalSupplyBig);
-        } catch (err) { devPercent = 0; }
-      } else {
-        // fallback: if creator not in holders list, we can try to fetch its balance from Moralis (not implemented here)
-        devPercent = 0;
-      }
-    } else {
-      // if no creator provided, use top holder as probable dev
-      const probableDev = holdersList[0];
-      if (probableDev) {
-        try {
-          const devBal = BigInt(probableDev.balance || '0');
-          devPercent = percentBigInt(devBal, totalSupplyBig);
-        } catch (err) { devPercent = 0; }
-      }
-    }
+// Provider request counts, budgets and circuit breakers for today (UTC)
+app.get('/api/providers', requireAdmin, async (_req, res) => {
+  try {
+    return res.json(await getProviderUsage());
+  } catch (err) {
+    console.error('Provider usage error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
 
-    // holdersCount: prefer explicit total if present
-    if (!holdersCount) holdersCount = holdersList.length || 0;
-
-    // Market data
-    const market = await fetchTokenMarketData(c, a);
-    const marketCap = market.marketCap || null;
-    const vol24h = market.volume24h || null;
-
-    // Apply filters (user requirements)
-    const minMarketCap = 15000; // USD
-    const minHolders = 30;
-    const maxTop10Percent = 20; // percent
-    const maxDevPercent = 3; // percent
-
-    const passed = (
-      (marketCap && marketCap >= minMarketCap) &&
-      (holdersCount && holdersCount >= minHolders) &&
-      (top10Percent < maxTop10Percent) &&
-      (devPercent < maxDevPercent) &&
-      (vol24h && vol24h > 0)
-    );
-
-    if (!passed) {
-      console.log(`Token ${a} did not pass filters. marketCap=${marketCap} holders=${holdersCount} top10%=${top10Percent} dev%=${devPercent} vol24h=${vol24h}`);
-      // mark processed briefly so we don't spam rechecks
-      try { await redis.set(key, '1', { ex: 60 * 60 * 6 }); } catch (e) {}
-      return;
-    }
+// Scan/alert history (src/history.js): recent scans (?status=alerted|passed|failed|skipped), alerts, one token
+app.get('/api/scans', requireDashboard, async (req, res) => {
+  try {
+    return res.json({ scans: await listScans({ limit: listLimit(req), status: req.query.status || null }) });
+  } catch (err) {
+    console.error('Scan history error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
 
-    // Build message
-    const lines = [];
-    lines.push(`*New token passing filters*`);
-    if (meta.name || meta.symbol) lines.push(`*${meta.name || ''}* (${meta.symbol || ''})`);
-    lines.push(`Address: \`${a}\``);
-    lines.push(`Chain: \`${c}\``);
-    lines.push(`Market Cap: ${marketCap ? `$${Number(marketCap).toLocaleString()}` : 'N/A'}`);
-    lines.push(`24h Volume: ${vol24h ? `$${Number(vol24h).toLocaleString()}` : 'N/A'}`);
-    lines.push(`Holders: ${holdersCount}`);
-    lines.push(`Top 10 holders share: ${top10Percent}%`);
-    lines.push(`Dev/creator share: ${devPercent}%`);
-    lines.push(`Explorer: https://www.google.com/search?q=${encodeURIComponent(a)}`); // placeholder; user should replace with chain-specific explorer link
+app.get('/api/alerts', requireDashboard, async (req, res) => {
+  try {
+    return res.json({ alerts: await listAlerts({ limit: listLimit(req) }) });
+  } catch (err) {
+    console.error('Alert history error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
 
-    const text = lines.join('\n');
-    await sendTelegramMarkdown(text);
+app.get('/api/tokens/:chain/:address', requireDashboard, async (req, res) => {
+  try {
+    const history = await getTokenHistory(req.params.chain.toLowerCase(), req.params.address);
+    if (!history) return res.status(404).json({ error: 'not found' });
+    return res.json(history);
+  } catch (err) {
+    console.error('Token history error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
 
-    // Mark processed for 24 hours
-    try { await redis.set(key, '1', { ex: 60 * 60 * 24 }); } catch (e) {}
+// HTML dashboard over the same history (src/dashboard.js)
+app.get('/dashboard', requireDashboard, async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    return res.type('html').send(renderScanList(await listScans({ limit: listLimit(req, 500), status }), { status }));
+  } catch (err) {
+    console.error('Dashboard error:', err && err.stack ? err.stack : err);
+    return res.status(500).send('server error');
+  }
+});
 
-    console.log('Token passed and message sent for', a);
+app.get('/dashboard/alerts', requireDashboard, async (req, res) => {
+  try {
+    return res.type('html').send(renderAlertList(await listAlerts({ limit: listLimit(req, 500) })));
+  } catch (err) {
+    console.error('Dashboard error:', err && err.stack ? err.stack : err);
+    return res.status(500).send('server error');
+  }
+});
 
+app.get('/dashboard/search', requireDashboard, async (req, res) => {
+  try {
+    const address = String(req.query.address || '').trim();
+    const matches = await findTokens(address);
+    if (matches.length === 1) return res.redirect(`/dashboard/token/${encodeURIComponent(matches[0].chain)}/${encodeURIComponent(matches[0].address)}`);
+    return res.type('html').send(renderSearch(address, matches));
   } catch (err) {
-    console.error('processTokenEvent error:', err && err.stack ? err.stack : err);
+    console.error('Dashboard error:', err && err.stack ? err.stack : err);
+    return res.status(500).send('server error');
   }
-}
+});
 
-// Webhook endpoint for Helius
-app.post('/webhook/helius', async (req, res) => {
+app.get('/dashboard/token/:chain/:address', requireDashboard, async (req, res) => {
   try {
-    if (!verifyHeliusSignature(req)) {
-      console.warn('Invalid Helius signature');
-      return res.status(401).send('Invalid signature');
-    }
+    const history = await getTokenHistory(req.params.chain.toLowerCase(), req.params.address);
+    if (!history) return res.status(404).type('html').send(renderSearch(req.params.address, []));
+    return res.type('html').send(renderTokenPage(history));
+  } catch (err) {
+    console.error('Dashboard error:', err && err.stack ? err.stack : err);
+    return res.status(500).send('server error');
+  }
+});
 
-    const payload = req.body;
-    const tokens = extractTokensFromHelius(payload);
-    if (!tokens.length) {
-      // nothing to do
-      return res.status(200).send('no tokens found');
-    }
+// Post-alert performance: hit rate per filter profile over the last ?days= (default 7)
+app.get('/api/performance', requireDashboard, async (req, res) => {
+  try {
+    const days = Math.min(30, Math.max(1, Number(req.query.days) || 7));
+    return res.json(await getPerformanceReport({ days }));
+  } catch (err) {
+    console.error('Performance report error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
 
-    // Process tokens in background (but we must respond immediately). We still execute actions synchronously here,
-    // but we will not block too long: we will process each token but not wait too long.
-    for (const t of tokens) {
-      // fire-and-forget but await not used to keep webhook fast.
-      processTokenEvent(t).catch(err => console.error('processTokenEvent error (catch):', err));
-    }
+// Readiness: 200 when Redis answers, 503 otherwise; lists configured integrations and degraded providers
+app.get('/health', async (_req, res) => {
+  const report = await checkReadiness();
+  return res.status(report.ready ? 200 : 503).json(report);
+});
 
-    return res.status(200).send('ok');
+// Prometheus scrape endpoint; with METRICS_TOKEN set it needs `Authorization: Bearer <token>`
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && !hasBearer(req, METRICS_TOKEN)) return res.status(401).send('unauthorized');
+  try {
+    return res.type('text/plain; version=0.0.4').send(await renderMetrics());
   } catch (err) {
-    console.error('Webhook handler error:', err && err.stack ? err.stack : err);
-    return res.status(500).send('server error');
+    console.error('Metrics error:', err && err.stack ? err.stack : err);
+    return res.status(500).send('metrics error');
   }
 });
 
-// Simple healthcheck
-app.get('/health', (_req, res) => res.status(200).send('ok'));
+registerHandler('token', ({ replay, ...token }) => processTokenEvent(token, { replay }));
+registerHandler('graduation', event => processGraduation(event));
+registerHandler('recheck', ({ token, attempt }) => processTokenEvent(token, { recheck: attempt }));
+registerHandler('perf-sample', job => sampleToken(job));
+onDelivered((payload, message) => confirmAlert(payload, message));
+onFailed(payload => abandonAlert(payload));
+
+// Only serve when run directly, so tools can require the app without opening a port
+// Storage is checked first: without it every webhook would be accepted and then lost
+if (require.main === module) {
+  connectStorage().then(async backend => {
+    console.log(`Storage ready (${backend})`);
+    await checkRuleSet(redis);
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`Server listening on port ${PORT}`);
+      startWorkers();
+      startNotifiers();
+      startWatchlist();
+      startTracker();
+      registerTelegramWebhook();
+    });
+  }).catch(err => {
+    console.error('Not starting:', err && err.message ? err.message : err);
+    process.exit(1);
+  });
+}
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server listening on port ${PORT}`);
-});
+module.exports = { app, enqueuePayload };
 
 // === END FILE ===
 
@@ -517,36 +472,197 @@ A small Node.js web service that listens for Helius webhooks (new token mints /
 ## Features
 - Filters tokens by market cap, number of holders, top-10 holder concentration, developer share and 24h volume
 - Uses Helius webhook as the source of new tokens
+- Decodes pump.fun bonding curves: curve progress, curve-implied price/market cap and "graduated" alerts on migration
 - Uses Moralis to fetch on-chain data (holders, supply) and price (best-effort)
-- Upstash Redis for deduplication and short-term caching
+- Redis for deduplication and short-term caching: Upstash, a Redis server or in-memory (see Storage)
 - Sends alerts to Telegram
+- Telegram bot commands for admins: /filters, /set, /pause, /resume, /check, /stats
+- Multiple subscriber chats, each with its own filter profile (rule set), chain allowlist, quiet hours and message template
+  (/subscribe, then /profile, /chains, /quiet, /template in a subscribed chat); without subscribers everything goes to `TELEGRAM_CHAT_ID`
 
 ## Deployment
 1. Create a new Web Service on Render.com and push this project. Use `npm start` as your start command.
 2. Add environment variables in Render (or your host): see `.env.example` for required keys.
 3. Configure a Helius webhook to POST to `https://<your-service>/webhook/helius`.
    - If you set `HELIUS_WEBHOOK_SECRET`, configure Helius (or your webhook sender) to HMAC-SHA256 the raw JSON body using that secret and send it in header `x-helius-signature`.
+     Senders that also send `x-helius-timestamp` sign `<timestamp>.<raw body>` instead and get a replay window (`HELIUS_REPLAY_WINDOW_SEC`).
+4. For bot commands set `TELEGRAM_ADMIN_IDS` (comma-separated Telegram user IDs) and `TELEGRAM_WEBHOOK_URL=https://<your-service>/webhook/telegram`
+   and `TELEGRAM_WEBHOOK_SECRET` (required: without it the webhook is not registered or served); the webhook is
+   registered on startup. Commands from anyone else are ignored without a reply.
 
-## Filters (adjustable in code)
+## Filters (configurable rule sets, see src/rules.js)
+Default rule set:
 - Minimum marketcap: $15,000
 - Minimum holders: 30
 - Top 10 holders share: < 20%
 - Developer/creator share: < 3%
 - 24h volume must be visible (non-zero)
 
+Point `RULES_FILE` at a JSON/YAML file (or set `RULES_SOURCE=redis` and store JSON under `rules:sets`) to define
+named rule sets with `all`/`any` groups, comparisons on marketCap, holdersCount, top10Percent, devPercent, holderHHI,
+holderGini, vol24h, price, ageSeconds, curveProgress (pump.fun bonding-curve %), riskScore, socialsCount,
+imageReuseCount, tickerClashCount, uniqueBuyers, buySellRatio, netSolInflow, sniperCount and trackedHolders, and
+per-chain overrides (validated like the sets). `RULE_SET` picks the active set; the server does not start when it names
+a set that isn't loaded, and a subscriber profile whose set disappeared later is evaluated with `default` (logged, and
+shown in the alert reason).
+
 ## Notes and how to adapt
-- Moralis endpoints may change or differ across plans. If you get 404s or different shapes, inspect the Moralis docs and adjust `fetchTokenMetadata`, `fetchTokenHolders` and `fetchTokenMarketData` helper functions accordingly.
+- Solana mints are served by `src/providers/solana.js` (Helius RPC/DAS for supply, holders and Metaplex metadata, DexScreener for price). Set `HELIUS_API_KEY` or `HELIUS_RPC_URL`.
+- Moralis endpoints may change or differ across plans. If you get 404s or different shapes, inspect the Moralis docs and adjust the helpers in `src/providers/moralis.js` accordingly.
 - CoinGecko is used as a fallback for market data for many EVM chains. Set `COINGECKO_FALLBACK=false` to disable it.
-- The code tries multiple heuristics for extracting token addresses from Helius payloads. If your Helius stream uses a different event shape, extend `extractTokensFromHelius`.
-- Explorer link in the Telegram message is a placeholder (Google search). Replace it with a chain-specific explorer URL generator if you want direct links.
+- Token extraction lives in `src/helius.js`: pump.fun create instructions, CREATE and TOKEN_MINT enhanced transactions, and flat `{ mint }` / `{ tokens: [...] }` payloads. Plain transfers and swaps are not scanned as new tokens (swaps of watched mints feed `src/flow.js`). Add a parser to `TRANSACTION_PARSERS` for other event types.
+
+## Job queue
+The webhook only enqueues work into a Redis-backed queue (`src/queue.js`). Workers (`QUEUE_CONCURRENCY`) process tokens,
+retry transient provider errors (429/5xx) with exponential backoff up to `QUEUE_MAX_ATTEMPTS`, requeue jobs whose worker died
+after `QUEUE_VISIBILITY_TIMEOUT_MS`, and park permanently failing jobs on a dead-letter list (see `/stats`).
+
+## Watchlist
+Tokens that fail filters on their first scan (new mints rarely qualify in their first seconds) are re-checked
+`WATCHLIST_SCHEDULE_MIN` minutes after first sighting (default 2,5,15,60). Each check stores a metrics snapshot in Redis;
+the first passing check alerts, and tokens without volume for `WATCHLIST_DEAD_AFTER` checks are dropped.
+
+## Rug risk
+Each token gets a 0-100 risk score (`src/risk.js`) built from flags: active mint/freeze authority, unknown liquidity
+status (tokens on a pump.fun curve or migrated by pump.fun count as safe), a large creator share (the creator's balance is
+fetched directly when it is not among the top holders) and the creator's previous launches and their outcomes.
+Filter on it with the `riskScore` metric; the Telegram alert shows the score and flags.
+
+## Performance tracking
+Every alert is recorded with its price and market cap; the token is re-sampled at `PERF_SAMPLE_OFFSETS_MIN`
+(default 5,60,360,1440 minutes) to compute peak multiple and max drawdown. `GET /api/performance?days=7` returns hit rate
+(peak >= `PERF_HIT_MULTIPLE`x) per filter profile, each measured from the price at which that profile alerted, and a
+daily digest goes to subscribers after `PERF_DIGEST_HOUR_UTC`. The endpoint needs the same access as the dashboard.
+
+## Holder concentration
+Holder metrics (holdersCount, top10Percent, devPercent, holderHHI 0-10000, holderGini 0-1) count real holders only.
+The token's pump.fun bonding curve, its DEX pools and every labelled address (`src/labels.js`: burn addresses, CEX
+wallets, program accounts) are excluded, and burned tokens are left out of the supply. Add labels in a JSON file
+(`LABELS_FILE`, `{ "<address>": { "type": "cex", "label": "Binance" } }`) or at runtime with `/label` and `/unlabel`.
+`/check` lists the excluded accounts; `DEBUG_HOLDERS=true` logs them for every scan.
+
+## Webhook ingestion
+Signatures are compared in constant time. With an `x-helius-timestamp` header the HMAC covers `<timestamp>.<raw body>`
+and the request must arrive within `HELIUS_REPLAY_WINDOW_SEC`; each nonce (`x-helius-nonce`, or the signature itself) is
+accepted once. Helius sends no timestamp, so untimestamped requests are accepted by default and their nonces are kept for
+`HELIUS_ARCHIVE_TTL_SEC` (a captured body can be replayed once that has passed); senders that can sign a timestamp
+should set `HELIUS_REQUIRE_TIMESTAMP=true`. Every accepted payload is archived in Redis for `HELIUS_ARCHIVE_TTL_SEC` (default 3 days).
+With `ADMIN_API_TOKEN` set, `GET /api/helius/archive?since=&until=` lists archived ids, `GET /api/helius/archive/:id`
+returns one payload, and `POST /api/helius/replay/:id`
+(or body `{ "ids": [...] }`) re-runs them through the pipeline (`Authorization: Bearer <token>`).
+
+## Backtesting
+`bin/backtest.js` replays recorded webhook payloads against several filter configurations offline and reports how many
+alerts each would send and which tokens each includes or excludes:
+
+    node bin/backtest.js --events payloads.jsonl --record fixtures.json      # once, online: record provider responses
+    node bin/backtest.js --events payloads.jsonl --fixtures fixtures.json --rules current.yaml --rules strict.yaml#default
+
+`payloads.jsonl` holds one webhook body per line (see `GET /api/helius/archive/:id`). Without `--rules` the built-in
+rule sets are used; `--json` prints the full report with every token's metrics.
+
+## Telegram alerts
+Messages use HTML parse mode and every token field is escaped (`src/render.js`), so names like `*_[` can't break a send.
+Alerts link to Solscan, pump.fun and DexScreener on Solana, and to the chain's explorer (Etherscan, BscScan, BaseScan, ...)
+plus DexScreener on EVM chains. Each alert has Recheck (edits the alert with fresh metrics), Mute token (30 days, this chat)
+and Copy address buttons. Message ids are kept for 7 days: graduations and market-cap milestones (`PERF_MILESTONES`,
+default 2x,5x,10x) are posted as replies to the original alert. Subscriber templates are HTML.
+
+## Telegram outbox
+Every alert, follow-up and digest is a job on a separate Redis queue (`src/outbox.js`) instead of a direct send.
+Sends are spaced per chat (`OUTBOX_CHAT_INTERVAL_MS`, `OUTBOX_GROUP_INTERVAL_MS` for groups and channels) and capped at
+`OUTBOX_GLOBAL_PER_SEC` overall. A 429 pauses that chat for Telegram's `retry_after`; 5xx and network errors retry with
+backoff. A token counts as alerted for a chat only once Telegram accepted the message, so a lost send is re-queued on the
+next scan. Rejected sends (bot blocked, bad request) are kept as failed: `GET /api/outbox` lists them and
+`POST /api/outbox/retry/:id` re-queues one (admin token required).
+
+## Other notification channels
+Besides Telegram, alerts can go to a Discord channel webhook (embeds), a Slack incoming webhook (Block Kit) or any HTTP
+endpoint as signed JSON (`src/notifiers/`). Register one from an admin chat with
+`/channel <discord|slack|webhook> <name> <url> [profile]`: it becomes the subscriber `<channel>:<name>` with its own
+filter profile, so each profile can be routed to any channel (run `/channel` again to change the URL or profile,
+`/unsubscribe discord:team` removes it). Graduations and milestones follow the alert; the daily digest stays on Telegram. Each channel has its
+own queue and retry policy, and 429s wait for the channel's `retry_after`.
+
+Generic webhooks receive `{ id, type, sentAt, token, ... }` (`type` is alert, graduation or milestone; `id` stays the
+same across retries). With `NOTIFY_WEBHOOK_SECRET` set, `x-signature` is the hex HMAC-SHA256 of `<x-timestamp>.<body>`.
+
+## Provider caching and budgets
+Provider responses are cached in Redis (`src/providers/cache.js`): token metadata for `CACHE_TTL_METADATA_SEC` (1 day),
+holders, authorities and balances for `CACHE_TTL_HOLDERS_SEC` (60s) and prices for `CACHE_TTL_PRICE_SEC` (15s), so
+rechecks and bursts of events for one token reuse the same answers. Every upstream request (moralis, helius,
+dexscreener, coingecko) is counted per UTC day. With `PROVIDER_DAILY_BUDGETS=moralis=40000,coingecko=8000`, a service
+past `PROVIDER_DEGRADE_PERCENT` (80%) of its budget only gets required calls; optional ones (creator balance, mint
+authorities, holder pages after the first, CoinGecko prices) are skipped. After `PROVIDER_BREAKER_FAILURES` consecutive
+429/5xx/network failures a service is left alone for `PROVIDER_BREAKER_COOLDOWN_SEC`. `GET /api/providers` (admin token)
+and `/stats` show today's usage.
+
+## Observability
+`GET /metrics` serves Prometheus metrics (`src/metrics.js`): webhooks by result, tokens extracted per event type,
+dedupe hits, scans by outcome, pass/fail per filter rule and profile, provider request latency and outcomes, notification
+sends per channel and queue depths. Set `METRICS_TOKEN` to require a bearer token. Logs are JSON lines
+(`LOG_FORMAT=text` for local runs, `LOG_LEVEL` to filter) and every line logged while handling a token carries the
+same correlation id (`cid`), from the webhook through re-checks to the alert delivery. `GET /health` is a readiness
+check: 200 when Redis answers a ping, 503 when it doesn't, with the configured integrations and any provider whose
+circuit breaker is open.
+
+## Dashboard
+Every live scan is kept in Redis with its metrics, risk flags and each subscriber's pass/fail reason (`src/history.js`,
+the last `HISTORY_SCAN_LIMIT` tokens and `HISTORY_ALERT_LIMIT` alerted tokens, up to 20 scans each, for
+`HISTORY_TTL_SEC`). `/dashboard` lists recent scans (filter by status, search by address), `/dashboard/alerts` the
+alerted tokens, and a token's page shows why it passed or failed for every subscriber, its re-check history and
+excluded holders. The same data is JSON at `GET /api/scans?status=&limit=`, `GET /api/alerts` and
+`GET /api/tokens/:chain/:address`. Access needs the admin bearer token or basic auth with `DASHBOARD_USER` /
+`DASHBOARD_PASSWORD`.
+
+## Metadata and socials
+`src/socials.js` fetches the JSON behind a token's metadata URI (ipfs:// through `METADATA_IPFS_GATEWAY`, public
+http(s) hosts only: every resolved address and redirect is checked, and no proxy is used; `METADATA_FETCH_TIMEOUT_MS` and `METADATA_MAX_BYTES` limits) once per token and extracts its
+Twitter/X, Telegram and website links. Within `METADATA_WINDOW_SEC` it also notices images already used by another launch
+and tickers of recently alerted tokens or of `METADATA_PROTECTED_TICKERS`. These become risk flags (`noSocials`,
+`reusedImage`, `tickerImpersonation`), filter metrics (`socialsCount`, `imageReuseCount`, `tickerClashCount`, null when
+the JSON couldn't be fetched) and the Socials and Warning lines of alerts. Templates get `{twitter}`, `{telegram}` and
+`{website}`.
+
+## Early trading flow
+Market data APIs know nothing about a token in its first minutes, so `src/flow.js` reads Helius SWAP transactions
+itself. Every Solana token extracted from a webhook is watched for `FLOW_WATCH_SEC`; swaps touching it are recorded by
+trader and side, and buys landing in the token's creation slot mark snipers (typically bundled with the create). Scans
+get `uniqueBuyers`, `buySellRatio` (buys per sell), `netSolInflow` (SOL bought minus sold) over the last
+`FLOW_WINDOW_SEC` and `sniperCount`, filterable like any other metric and shown as "Early flow" in alerts. Add the SWAP
+transaction type to the Helius webhook (next to the pump.fun program address) to feed it.
+
+## Smart wallets
+Track wallets whose early buys you trust with `/track <address> [bypass] [label]` (`/untrack`, `/wallets`) or the admin
+API: `GET /api/wallets`, `PUT /api/wallets/:address` with `{ "label": "...", "bypassFilters": true }`,
+`DELETE /api/wallets/:address`. When a Helius SWAP shows a tracked wallet buying a token, or a tracked wallet creates
+one, the token is scanned right away and the alert names the wallet and the SOL amount. Wallets marked `bypass` alert
+even when the filters fail; chats already alerted on the token get a threaded follow-up instead. Each wallet signals a
+token once per `WALLET_SIGNAL_TTL_SEC`. Every scan also counts tracked wallets among the top holders as the
+`trackedHolders` metric. Templates get `{wallet}`.
+
+## Storage
+Queues, dedupe marks, caches and settings go through one storage interface (`src/storage`) with three backends, picked
+by `STORAGE_BACKEND`:
+- `upstash`: Upstash over REST (`UPSTASH_REDIS_REST_URL`, `UPSTASH_REDIS_REST_TOKEN`), the default when those are set
+- `redis`: a Redis 6.2+ server over TCP at `REDIS_URL` (e.g. `redis://localhost:6379`), the default when it is set
+- `memory`: this process only, lost on restart; for tests, local runs and a single self-hosted instance
+The server pings the backend before listening (`STORAGE_CONNECT_TIMEOUT_MS`) and exits when it is missing or
+unreachable. The scan throttle and graduation alerts claim their key with `SET NX`, so concurrent webhooks carrying
+the same mint scan and alert it once.
+
+## Tests
+`npm test` runs `test/*.test.js` with the built-in Node test runner. Provider and notifier tests talk to a local HTTP
+stub (`test/stub-server.js`) that serves recorded responses from `test/fixtures`, so nothing reaches the network.
+`test/storage.test.js` checks the storage commands against the in-memory backend, and against a Redis server as well
+when `REDIS_URL` is set.
 
 ## To-do / improvements you might want
-- Add robust rate-limiting / queueing for high-volume streams
-- Improve Moralis fallback logic or use Chain-specific APIs (Helius RPC for Solana token info)
-- Add unit tests and Dockerfile
+- Improve Moralis fallback logic
+- Add a Dockerfile
 
 ## Quick start (local)
-1. Copy `.env.example` -> `.env` and fill secrets.
+1. Copy `.env.example` -> `.env` and fill secrets (`STORAGE_BACKEND=memory` needs no Redis at all).
 2. `npm install`
 3. `npm start`
 
@@ -0,0 +1,65 @@
+// Alert message bookkeeping
+// - The message id of every Telegram alert is kept so follow-ups (milestones, graduation) reply to the original alert
+//   and the Recheck button can edit it in place
+// - The alerted token itself (creator, timestamp, event type) so a Recheck scans it with the same inputs
+// - Per-chat token mutes set by the Mute token button
+//
+// Keys: alertmsg:<chatId>:<chain>:<address> (message id), alerttoken:<chain>:<address> (JSON token),
+//       muted:<chatId>:<chain>:<address>
+
+const { redis } = require('./redis');
+
+const MESSAGE_TTL_SEC = 60 * 60 * 24 * 7;
+const MUTE_TTL_SEC = 60 * 60 * 24 * 30;
+
+function tokenKey(prefix, chatId, chain, address) {
+  return `${prefix}:${chatId}:${chain}:${address}`;
+}
+
+async function rememberAlertMessage(chatId, chain, address, messageId) {
+  try {
+    await redis.set(tokenKey('alertmsg', chatId, chain, address), String(messageId), { ex: MESSAGE_TTL_SEC });
+  } catch (err) {
+    console.warn('Failed to store alert message id:', err && err.message ? err.message : err);
+  }
+}
+
+async function getAlertMessage(chatId, chain, address) {
+  try {
+    const id = await redis.get(tokenKey('alertmsg', chatId, chain, address));
+    return id ? Number(id) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function rememberAlertToken(token) {
+  try {
+    await redis.set(`alerttoken:${token.chain}:${token.address}`, JSON.stringify(token), { ex: MESSAGE_TTL_SEC });
+  } catch (err) {
+    console.warn('Failed to store alerted token:', err && err.message ? err.message : err);
+  }
+}
+
+async function getAlertToken(chain, address) {
+  try {
+    const v = await redis.get(`alerttoken:${chain}:${address}`);
+    return v ? (typeof v === 'string' ? JSON.parse(v) : v) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function muteToken(chatId, chain, address) {
+  await redis.set(tokenKey('muted', chatId, chain, address), '1', { ex: MUTE_TTL_SEC });
+}
+
+async function isMuted(chatId, chain, address) {
+  try {
+    return Boolean(await redis.get(tokenKey('muted', chatId, chain, address)));
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = { rememberAlertMessage, getAlertMessage, rememberAlertToken, getAlertToken, muteToken, isMuted };
@@ -0,0 +1,338 @@
+// Telegram bot command handler (runtime control)
+// - Updates arrive on POST /webhook/telegram (see index.js); TELEGRAM_WEBHOOK_URL registers it on startup.
+//   TELEGRAM_WEBHOOK_SECRET is required: without it the webhook is neither registered nor served, since anyone could
+//   post an update claiming an admin's user id.
+// - Only user IDs listed in TELEGRAM_ADMIN_IDS may run commands; everyone else is ignored without a reply
+// - All state (paused flag, rule overrides, counters) lives in Redis
+//
+// Commands:
+//   /filters [chain]         show the active rule set with overrides applied
+//   /set <rule> <value>      override a rule threshold, e.g. /set minHolders 50 (use "reset" to clear)
+//   /pause, /resume          stop/start alerting
+//   /check <address> [chain] run the full pipeline on demand and reply with the metrics
+//   /stats                   show processing counters, queues and API usage
+//   /label <address> <type> [name]  mark an address as curve/pool/burn/cex/program (excluded from holder metrics)
+//   /unlabel <address>       remove a runtime label
+//   /track <address> [bypass] [label]  alert on this wallet's buys and launches ("bypass" skips the filters)
+//   /untrack <address>, /wallets      stop tracking a wallet, list tracked wallets
+//
+// Subscription commands (apply to the chat they are sent in):
+//   /subscribe [profile] [chatId]  receive alerts in this chat (or chatId, e.g. a channel) using the given rule set
+//   /unsubscribe [chatId]    stop alerts in this chat (or chatId)
+//   /profile, /chains, /quiet and /template change an existing subscription; they never subscribe a chat themselves
+//   (a stored subscriber also ends the TELEGRAM_CHAT_ID fallback)
+//   /profile <name>          switch this chat's rule set
+//   /chains <a,b|all>        restrict this chat to some chains
+//   /quiet <23-7|off>        UTC quiet hours
+//   /template <text|reset>   custom alert text (HTML) with {name} {symbol} {address} {chain} {marketCap} {twitter} ... placeholders
+//   /subscribers             list all subscribers
+//   /channel <discord|slack|webhook> <name> <url> [profile]  send alerts to a webhook channel (subscriber <type>:<name>)
+//
+// Alert buttons (callback queries): Recheck edits the alert with fresh metrics, Mute token silences it in that chat
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+const { telegramApi, sendTelegramMessage, editTelegramMessage, answerCallbackQuery } = require('./telegram');
+const { loadRuleSets, loadRuntimeOverrides, setRuntimeOverride, ruleSetName, resolveRules, describeRules } = require('./rules');
+const { isPaused, setPaused, getStats } = require('./state');
+const { getQueueStats } = require('./queue');
+const { CHANNELS, getNotifierStats } = require('./notifiers');
+const { describeUrl } = require('./notifiers/http');
+const { getProviderUsage } = require('./providers/budget');
+const { getWatchlistStats } = require('./watchlist');
+const { processTokenEvent } = require('./pipeline');
+const { escapeHtml, formatMetricLines, parseCallbackData, alertButtons, renderRecheck } = require('./render');
+const { muteToken, getAlertToken } = require('./alerts');
+const { LABEL_TYPES, addLabel, removeLabel } = require('./labels');
+const { trackWallet, untrackWallet, listTrackedWallets } = require('./wallets');
+const { listSubscribers, getSubscriber, saveSubscriber, updateSubscriber, removeSubscriber, parseQuietHours } = require('./subscribers');
+
+const {
+  TELEGRAM_ADMIN_IDS = '',
+  TELEGRAM_WEBHOOK_URL,
+  TELEGRAM_WEBHOOK_SECRET,
+  RULE_SET = 'default'
+} = process.env;
+
+const ADMIN_IDS = new Set(TELEGRAM_ADMIN_IDS.split(',').map(s => s.trim()).filter(Boolean));
+
+const NOT_SUBSCRIBED = 'This chat is not subscribed - use /subscribe first.';
+
+function isAdmin(userId) {
+  return ADMIN_IDS.has(String(userId));
+}
+
+// EVM addresses are 0x-prefixed hex; everything else is assumed to be a Solana mint
+function guessChain(address) {
+  return /^0x[0-9a-fA-F]{40}$/.test(address) ? 'ethereum' : 'solana';
+}
+
+const commands = {
+  async help() {
+    return [
+      '<b>Commands</b>',
+      '/filters [chain] - show active filter rules',
+      '/set &lt;rule&gt; &lt;value|reset&gt; - change a threshold',
+      '/pause, /resume - stop/start alerts',
+      '/check &lt;address&gt; [chain] - scan a token now',
+      '/stats - counters, queues, API usage',
+      '/label &lt;address&gt; &lt;type&gt; [name], /unlabel &lt;address&gt; - holder exclusions',
+      '/track &lt;address&gt; [bypass] [label], /untrack &lt;address&gt;, /wallets - smart wallets',
+      '/subscribe [profile], /unsubscribe - alerts in this chat',
+      '/profile, /chains, /quiet, /template - tune this chat',
+      '/subscribers - list subscribers',
+      '/channel &lt;discord|slack|webhook&gt; &lt;name&gt; &lt;url&gt; [profile] - alerts to a webhook'
+    ].join('\n');
+  },
+
+  async filters([chain = 'solana'], { chatId }) {
+    const sub = await getSubscriber(chatId);
+    const profile = sub ? sub.profile : RULE_SET;
+    const sets = await loadRuleSets(redis, { force: true });
+    const overrides = await loadRuntimeOverrides(redis, { force: true });
+    const used = ruleSetName(sets, profile);
+    const rules = resolveRules(sets, used, chain, overrides);
+    const label = used === profile ? used : `${used} (unknown set "${profile}")`;
+    const lines = [`<b>Rule set</b> <code>${escapeHtml(label)}</code> on <code>${escapeHtml(chain)}</code>`, `<pre>${escapeHtml(describeRules(rules).join('\n'))}</pre>`];
+    if (Object.keys(overrides).length) {
+      lines.push('Runtime overrides: ' + escapeHtml(Object.entries(overrides).map(([k, v]) => `${k}=${v}`).join(', ')));
+    }
+    lines.push(`Alerts: ${(await isPaused()) ? 'paused' : 'active'}`);
+    return lines.join('\n');
+  },
+
+  async set([name, raw]) {
+    if (!name || raw === undefined) return 'Usage: /set &lt;rule&gt; &lt;value|reset&gt;';
+    const value = raw === 'reset' ? null : Number(raw);
+    const overrides = await setRuntimeOverride(redis, name, value);
+    return value === null ? `Cleared override for ${escapeHtml(name)}` : `Set ${escapeHtml(name)} = ${overrides[name]}`;
+  },
+
+  async pause() {
+    await setPaused(true);
+    return 'Alerts paused. Use /resume to start again.';
+  },
+
+  async resume() {
+    await setPaused(false);
+    return 'Alerts resumed.';
+  },
+
+  async check([address, chain]) {
+    if (!address) return 'Usage: /check &lt;address&gt; [chain]';
+    const result = await processTokenEvent({ chain: chain || guessChain(address), address }, { dryRun: true });
+    if (!result.metrics) return `Check <code>${escapeHtml(address)}</code>: ${result.status} (${escapeHtml(result.reason || 'no data')})`;
+    const lines = [`<b>Check: ${result.status}</b>`, ...formatMetricLines(result)];
+    if (result.excludedHolders && result.excludedHolders.length) {
+      lines.push('Excluded holders:', ...result.excludedHolders.map(e => `<code>${escapeHtml(e.address)}</code> ${e.type}${e.label ? ` (${escapeHtml(e.label)})` : ''}`));
+    }
+    return [...lines, '', escapeHtml(result.reason)].join('\n');
+  },
+
+  async label([address, type, ...name]) {
+    if (!address || !LABEL_TYPES.includes(type)) return `Usage: /label &lt;address&gt; &lt;${LABEL_TYPES.join('|')}&gt; [name]`;
+    await addLabel(address, type, name.join(' '));
+    return `Labelled <code>${escapeHtml(address)}</code> as ${type}.`;
+  },
+
+  async unlabel([address]) {
+    if (!address) return 'Usage: /unlabel &lt;address&gt;';
+    await removeLabel(address);
+    return `Label removed for <code>${escapeHtml(address)}</code> (built-in and file labels still apply).`;
+  },
+
+  async track([address, ...rest]) {
+    if (!address) return 'Usage: /track &lt;address&gt; [bypass] [label]';
+    const bypassFilters = rest[0] === 'bypass';
+    const wallet = await trackWallet(address, { label: (bypassFilters ? rest.slice(1) : rest).join(' '), bypassFilters });
+    return `Tracking <code>${escapeHtml(wallet.address)}</code>${wallet.label ? ` (${escapeHtml(wallet.label)})` : ''}` +
+      (wallet.bypassFilters ? ', alerts bypass the filters.' : '.');
+  },
+
+  async untrack([address]) {
+    if (!address) return 'Usage: /untrack &lt;address&gt;';
+    await untrackWallet(address);
+    return `Stopped tracking <code>${escapeHtml(address)}</code>.`;
+  },
+
+  async wallets() {
+    const wallets = await listTrackedWallets();
+    if (!wallets.length) return 'No tracked wallets. Add one with /track &lt;address&gt; [bypass] [label]';
+    return wallets.map(w => `<code>${escapeHtml(w.address)}</code>${w.label ? ` ${escapeHtml(w.label)}` : ''}${w.bypassFilters ? ' (bypass)' : ''}`).join('\n');
+  },
+
+  async stats() {
+    const { since, stats } = await getStats();
+    const lines = [`<b>Stats</b>${since ? ` since ${since}` : ''}`];
+    for (const [name, value] of Object.entries(stats)) lines.push(`${name}: ${value}`);
+    const q = await getQueueStats();
+    lines.push(`Queue: ${q.pending} pending, ${q.processing} processing, ${q.delayed} retrying, ${q.dead} dead`);
+    for (const [channel, o] of Object.entries(await getNotifierStats())) {
+      if (channel !== 'telegram' && !(o.pending + o.delayed + o.dead)) continue;
+      lines.push(`Outbox ${channel}: ${o.pending} pending, ${o.delayed} waiting, ${o.dead} failed sends`);
+    }
+    const usage = await getProviderUsage();
+    for (const [service, u] of Object.entries(usage.services)) {
+      lines.push(`API ${service}: ${u.calls}${u.budget ? `/${u.budget} (${u.usedPercent}%)` : ''} calls, ${u.errors} errors, ${u.skipped} skipped` +
+        (u.breakerOpenSec ? `, breaker open ${u.breakerOpenSec}s` : ''));
+    }
+    lines.push(`Cache: ${usage.cache.hits} hits, ${usage.cache.misses} misses`);
+    lines.push(`Watchlist: ${(await getWatchlistStats()).watching} tokens awaiting re-check`);
+    lines.push(`Alerts: ${(await isPaused()) ? 'paused' : 'active'}`);
+    return lines.join('\n');
+  },
+
+  // channels can't run admin commands themselves, so they are subscribed by ID from an admin chat
+  async subscribe([profile, target], { chatId }) {
+    const sets = await loadRuleSets(redis);
+    if (profile && !sets[profile]) return `Unknown profile "${escapeHtml(profile)}". Available: ${escapeHtml(Object.keys(sets).join(', '))}`;
+    const sub = await saveSubscriber(target || chatId, profile ? { profile } : {});
+    return `Subscribed <code>${escapeHtml(sub.chatId)}</code> with profile <code>${escapeHtml(sub.profile)}</code>`;
+  },
+
+  async unsubscribe([target], { chatId }) {
+    await removeSubscriber(target || chatId);
+    return `Unsubscribed <code>${escapeHtml(target || chatId)}</code>.`;
+  },
+
+  async profile([profile], { chatId }) {
+    if (!profile) return 'Usage: /profile &lt;name&gt;';
+    const sets = await loadRuleSets(redis);
+    if (!sets[profile]) return `Unknown profile "${escapeHtml(profile)}". Available: ${escapeHtml(Object.keys(sets).join(', '))}`;
+    const sub = await updateSubscriber(chatId, { profile });
+    if (!sub) return NOT_SUBSCRIBED;
+    return `Profile: <code>${escapeHtml(sub.profile)}</code>`;
+  },
+
+  async chains([list], { chatId }) {
+    if (!list) return 'Usage: /chains &lt;solana,ethereum|all&gt;';
+    const chains = list === 'all' ? [] : list.split(',').map(c => c.trim()).filter(Boolean);
+    const sub = await updateSubscriber(chatId, { chains });
+    if (!sub) return NOT_SUBSCRIBED;
+    return `Chains: ${escapeHtml(sub.chains.length ? sub.chains.join(', ') : 'all')}`;
+  },
+
+  async quiet([range], { chatId }) {
+    if (!range) return 'Usage: /quiet &lt;23-7|off&gt; (UTC hours)';
+    const sub = await updateSubscriber(chatId, { quietHours: parseQuietHours(range) });
+    if (!sub) return NOT_SUBSCRIBED;
+    return sub.quietHours ? `Quiet hours: ${sub.quietHours.start}:00-${sub.quietHours.end}:00 UTC` : 'Quiet hours off';
+  },
+
+  async template(args, { chatId, text }) {
+    if (!args.length) return 'Usage: /template &lt;text|reset&gt; (HTML)';
+    // keep the template's own line breaks: take everything after the command word
+    const template = args[0] === 'reset' && args.length === 1 ? null : text.replace(/^\/\S+\s+/, '');
+    if (!(await updateSubscriber(chatId, { template }))) return NOT_SUBSCRIBED;
+    return template ? 'Template saved.' : 'Template reset to default.';
+  },
+
+  async channel([type, name, url, profile]) {
+    const usage = 'Usage: /channel &lt;discord|slack|webhook&gt; &lt;name&gt; &lt;url&gt; [profile]';
+    if (!type || !name || !url || type === 'telegram' || !CHANNELS.includes(type)) return usage;
+    if (!/^https?:\/\//.test(url)) return 'The URL must start with https:// (or http://)';
+    const sets = await loadRuleSets(redis);
+    if (profile && !sets[profile]) return `Unknown profile "${escapeHtml(profile)}". Available: ${escapeHtml(Object.keys(sets).join(', '))}`;
+    const sub = await saveSubscriber(`${type}:${name}`, { channel: type, url, ...(profile ? { profile } : {}) });
+    return `Subscribed <code>${escapeHtml(sub.chatId)}</code> (${escapeHtml(describeUrl(url))}) with profile <code>${escapeHtml(sub.profile)}</code>`;
+  },
+
+  async subscribers() {
+    const subs = await listSubscribers();
+    if (!subs.length) return 'No subscribers.';
+    return subs.map(s => `<code>${escapeHtml(s.chatId)}</code>` + (s.url ? ` (${escapeHtml(describeUrl(s.url))})` : '') + ` profile=${escapeHtml(s.profile)} chains=${escapeHtml(s.chains.length ? s.chains.join(',') : 'all')}` +
+      (s.quietHours ? ` quiet=${s.quietHours.start}-${s.quietHours.end}` : '') + (s.template ? ' (custom template)' : '')).join('\n');
+  }
+};
+
+// Alert buttons (see src/render.js): "rc" re-runs the checks and edits the alert in place,
+// "mt" mutes the token in that chat. Like commands, they are admin-only.
+async function handleCallbackQuery(query) {
+  const data = parseCallbackData(query.data);
+  const msg = query.message;
+  if (!data || !msg) return answerCallbackQuery(query.id);
+  if (!query.from || !isAdmin(query.from.id)) return answerCallbackQuery(query.id, 'Not authorized.');
+  const chatId = msg.chat.id;
+  try {
+    if (data.action === 'mt') {
+      await muteToken(chatId, data.chain, data.address);
+      return answerCallbackQuery(query.id, 'Token muted in this chat for 30 days.');
+    }
+    if (data.action === 'rc') {
+      // answer first: Telegram expects a reply within seconds and a recheck can take longer
+      await answerCallbackQuery(query.id, 'Rechecking...');
+      const token = (await getAlertToken(data.chain, data.address)) || { chain: data.chain, address: data.address };
+      const result = await processTokenEvent(token, { dryRun: true });
+      if (!result.metrics) {
+        return sendTelegramMessage(`Recheck: ${result.status} (${escapeHtml(result.reason || 'no data')})`, { chatId, replyTo: msg.message_id });
+      }
+      const decision = (result.decisions || []).find(d => String(d.chatId) === String(chatId));
+      return editTelegramMessage(chatId, msg.message_id, renderRecheck(result, decision), { buttons: alertButtons(data.chain, data.address) });
+    }
+    return answerCallbackQuery(query.id);
+  } catch (err) {
+    console.warn('Callback query failed:', data.action, err && err.message ? err.message : err);
+  }
+}
+
+// Handle one Telegram update object. Non-command messages and non-admins are ignored: a refusal would tell strangers
+// which commands exist and spend a send slot on each of them.
+async function handleTelegramUpdate(update) {
+  if (update && update.callback_query) return handleCallbackQuery(update.callback_query);
+  const msg = update && (update.message || update.channel_post);
+  if (!msg || typeof msg.text !== 'string' || !msg.text.startsWith('/')) return;
+
+  const chatId = msg.chat.id;
+  // "/set@MyBot minHolders 50" -> command "set", args ["minHolders", "50"]
+  const [head, ...args] = msg.text.trim().split(/\s+/);
+  const name = head.slice(1).split('@')[0].toLowerCase();
+  const handler = Object.prototype.hasOwnProperty.call(commands, name) ? commands[name] : null;
+  if (!handler) return;
+
+  if (!msg.from || !isAdmin(msg.from.id)) {
+    console.warn('Ignoring bot command from non-admin', msg.from ? msg.from.id : 'unknown', name);
+    return;
+  }
+
+  try {
+    const reply = await handler(args, { chatId, text: msg.text });
+    await sendTelegramMessage(reply, { chatId });
+  } catch (err) {
+    console.warn('Bot command failed:', name, err && err.message ? err.message : err);
+    await sendTelegramMessage(`Error: ${escapeHtml(err && err.message ? err.message : err)}`, { chatId });
+  }
+}
+
+// Register the webhook with Telegram (when TELEGRAM_WEBHOOK_URL is set)
+async function registerTelegramWebhook() {
+  if (!TELEGRAM_WEBHOOK_URL) return;
+  if (!TELEGRAM_WEBHOOK_SECRET) {
+    console.warn('TELEGRAM_WEBHOOK_SECRET not set - Telegram webhook not registered, bot commands are disabled');
+    return;
+  }
+  try {
+    await telegramApi('setWebhook', {
+      url: TELEGRAM_WEBHOOK_URL,
+      secret_token: TELEGRAM_WEBHOOK_SECRET,
+      allowed_updates: ['message', 'channel_post', 'callback_query']
+    });
+    console.log('Telegram webhook registered:', TELEGRAM_WEBHOOK_URL);
+  } catch (err) {
+    console.warn('Failed to register Telegram webhook:', err && err.message ? err.message : err);
+  }
+  if (!ADMIN_IDS.size) console.warn('TELEGRAM_ADMIN_IDS not set - all bot commands will be refused');
+}
+
+// Constant-time check of the secret Telegram sends with every update; always false without a configured secret
+function verifyTelegramSecret(req) {
+  if (!TELEGRAM_WEBHOOK_SECRET) return false;
+  const got = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+  const expected = Buffer.from(TELEGRAM_WEBHOOK_SECRET);
+  return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+}
+
+function telegramWebhookEnabled() {
+  return Boolean(TELEGRAM_WEBHOOK_SECRET);
+}
+
+module.exports = { commands, isAdmin, handleTelegramUpdate, registerTelegramWebhook, verifyTelegramSecret, telegramWebhookEnabled };
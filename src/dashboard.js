@@ -0,0 +1,115 @@
+// Server-rendered HTML dashboard over the scan/alert history (src/history.js)
+// Pages (routes in index.js): /dashboard (recent scans, ?status= filter), /dashboard/alerts,
+// /dashboard/token/<chain>/<address> (why a token passed or failed, per subscriber) and /dashboard/search?address=
+// Every value is escaped with escapeHtml; the pages are read-only.
+
+const { escapeHtml, tokenLinks, usd, socialLinks } = require('./render');
+
+const STATUSES = ['alerted', 'passed', 'failed', 'skipped'];
+
+function time(ms) {
+  return ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 19) : '';
+}
+
+function percent(value) {
+  return value === null || value === undefined ? 'N/A' : `${value}%`;
+}
+
+function tokenHref(chain, address) {
+  return `/dashboard/token/${encodeURIComponent(chain)}/${encodeURIComponent(address)}`;
+}
+
+function tokenLabel({ name, symbol, address }) {
+  return escapeHtml(symbol || name || `${address.slice(0, 6)}…${address.slice(-4)}`);
+}
+
+function page(title, body) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font: 14px/1.4 system-ui, sans-serif; margin: 1.5em; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+code { font-size: 12px; } nav a { margin-right: 1em; } .muted { color: #777; }
+.alerted, .pass { color: #0a7d32; } .passed { color: #2d6cdf; } .failed, .fail { color: #b3261e; } .skipped { color: #777; }
+</style></head><body>
+<nav><a href="/dashboard">Scans</a><a href="/dashboard/alerts">Alerts</a>
+<form action="/dashboard/search" method="get" style="display:inline"><input name="address" placeholder="token address" size="48"> <button>Find</button></form></nav>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body></html>`;
+}
+
+function renderScanList(scans, { status = null } = {}) {
+  const filters = [['all', '/dashboard'], ...STATUSES.map(s => [s, `/dashboard?status=${s}`])]
+    .map(([label, href]) => (label === (status || 'all') ? `<b>${label}</b>` : `<a href="${href}">${label}</a>`)).join(' | ');
+  const rows = scans.map(s => {
+    const m = s.metrics || {};
+    const why = (s.decisions || []).map(d => d.reason).join('; ') || s.reason || '';
+    return `<tr><td class="muted">${time(s.at)}</td>` +
+      `<td><a href="${tokenHref(s.chain, s.address)}">${tokenLabel(s)}</a></td><td>${escapeHtml(s.chain)}</td>` +
+      `<td class="${escapeHtml(s.status)}">${escapeHtml(s.status)}</td><td>${usd(m.marketCap)}</td><td>${m.holdersCount ?? ''}</td>` +
+      `<td>${percent(m.top10Percent)}</td><td>${percent(m.devPercent)}</td><td>${s.risk ? s.risk.score : ''}</td>` +
+      `<td class="muted">${escapeHtml(why.length > 160 ? `${why.slice(0, 159)}…` : why)}</td></tr>`;
+  }).join('\n');
+  const table = scans.length
+    ? `<table><tr><th>Scanned (UTC)</th><th>Token</th><th>Chain</th><th>Status</th><th>Market cap</th><th>Holders</th><th>Top 10</th><th>Dev</th><th>Risk</th><th>Reason</th></tr>\n${rows}</table>`
+    : '<p class="muted">No scans recorded.</p>';
+  return page('Recent scans', `<p>${filters}</p>${table}`);
+}
+
+function renderAlertList(alerts) {
+  const rows = alerts.map(a => `<tr><td class="muted">${time(a.at)}</td><td><a href="${tokenHref(a.chain, a.address)}">${tokenLabel(a)}</a></td>` +
+    `<td>${escapeHtml(a.chain)}</td><td>${a.alerts.map(x => `${escapeHtml(x.chatId)} (${escapeHtml(x.profile)})`).join(', ')}</td></tr>`).join('\n');
+  const table = alerts.length
+    ? `<table><tr><th>Last alert (UTC)</th><th>Token</th><th>Chain</th><th>Sent to</th></tr>\n${rows}</table>`
+    : '<p class="muted">No alerts recorded.</p>';
+  return page('Recent alerts', table);
+}
+
+function renderSearch(address, matches) {
+  const list = matches.map(t => `<li><a href="${tokenHref(t.chain, t.address)}">${escapeHtml(t.chain)}:${escapeHtml(t.address)}</a></li>`).join('');
+  return page('Search', matches.length ? `<ul>${list}</ul>` : `<p>No scans recorded for <code>${escapeHtml(address)}</code>.</p>`);
+}
+
+function renderTokenPage({ chain, address, scans, alerts }) {
+  const latest = scans[0] || null;
+  const parts = [];
+  parts.push(`<p><code>${escapeHtml(address)}</code> on ${escapeHtml(chain)} · ` +
+    tokenLinks(chain, address).map(l => `<a href="${escapeHtml(l.url)}">${escapeHtml(l.label)}</a>`).join(' | ') + '</p>');
+  if (latest) {
+    parts.push(`<h2>Latest scan <span class="${escapeHtml(latest.status)}">${escapeHtml(latest.status)}</span> <span class="muted">${time(latest.at)}` +
+      `${latest.attempt ? ` (re-check ${latest.attempt})` : ''}${latest.eventType ? `, ${escapeHtml(latest.eventType)}` : ''}</span></h2>`);
+    if (latest.metrics) {
+      const rows = Object.entries(latest.metrics).map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v === null ? 'N/A' : v)}</td></tr>`).join('');
+      const socials = latest.socials ? socialLinks(latest).map(l => `<a href="${escapeHtml(l.url)}">${escapeHtml(l.label)}</a>`).join(' | ') || 'none' : 'N/A';
+      parts.push(`<table>${rows}${latest.risk ? `<tr><th>risk flags</th><td>${escapeHtml(latest.risk.flags.join(', ') || 'none')}</td></tr>` : ''}` +
+        `<tr><th>socials</th><td>${socials}</td></tr></table>`);
+    } else if (latest.reason) {
+      parts.push(`<p>${escapeHtml(latest.reason)}</p>`);
+    }
+    if (latest.decisions.length) {
+      const rows = latest.decisions.map(d => `<tr><td>${escapeHtml(d.chatId)}</td><td>${escapeHtml(d.profile)}</td>` +
+        `<td class="${d.passed ? 'pass' : 'fail'}">${d.passed ? 'pass' : 'fail'}</td><td>${escapeHtml(d.reason)}</td></tr>`).join('');
+      parts.push(`<h2>Filter decisions</h2><table><tr><th>Subscriber</th><th>Profile</th><th>Result</th><th>Rules</th></tr>${rows}</table>`);
+    }
+    if (latest.excludedHolders.length) {
+      parts.push('<h2>Excluded holders</h2><ul>' + latest.excludedHolders.map(e => `<li><code>${escapeHtml(e.address)}</code> ${escapeHtml(e.type)}` +
+        `${e.label ? ` (${escapeHtml(e.label)})` : ''}</li>`).join('') + '</ul>');
+    }
+  }
+  if (scans.length > 1) {
+    const rows = scans.map(s => `<tr><td class="muted">${time(s.at)}</td><td>${s.attempt || ''}</td><td class="${escapeHtml(s.status)}">${escapeHtml(s.status)}</td>` +
+      `<td>${usd(s.metrics && s.metrics.marketCap)}</td><td>${s.metrics ? s.metrics.holdersCount : ''}</td><td>${escapeHtml(s.reason || '')}</td></tr>`).join('');
+    parts.push(`<h2>Scan history</h2><table><tr><th>Scanned (UTC)</th><th>Re-check</th><th>Status</th><th>Market cap</th><th>Holders</th><th>Reason</th></tr>${rows}</table>`);
+  }
+  if (alerts.length) {
+    parts.push('<h2>Alerts</h2><ul>' + alerts.map(a => `<li>${time(a.at)} to ${escapeHtml(a.chatId)} (${escapeHtml(a.profile)})</li>`).join('') + '</ul>');
+  }
+  const named = scans.find(s => s.name || s.symbol);
+  const title = named ? `${named.name || ''} (${named.symbol || ''})` : address;
+  return page(title, parts.join('\n'));
+}
+
+module.exports = { renderScanList, renderAlertList, renderSearch, renderTokenPage };
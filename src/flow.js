@@ -0,0 +1,158 @@
+// Early trading flow from Helius SWAP transactions, for tokens too new for the price APIs
+// - Every Solana token extracted from a webhook is watched for FLOW_WATCH_SEC, keeping its creation slot when the
+//   create transaction carried one
+// - SWAP transactions touching a watched mint are recorded as trades: the fee payer is the trader, receiving the
+//   token is a buy and sending it a sell. SOL amounts come from the swap event, else WSOL transfers, else the trader's
+//   native transfers (approximate, they include fees and tips).
+// - Buys landing in the creation slot mark the wallet as a sniper (usually a bundle with the create transaction)
+// - getFlowMetrics summarises the last FLOW_WINDOW_SEC of trades: unique buyers, buys per sell, net SOL inflow, snipers
+// Trades are keyed by signature and scored by block time, so replayed payloads don't count twice.
+// The Helius webhook needs the SWAP transaction type (and the pump.fun program address) for this to see anything.
+//
+// Keys: flow:mint:<mint> (JSON { slot, creator, watchedAt }), flow:trades:<mint> (zset "<signature>:<wallet>:<b|s>:<lamports>"
+//       by block time ms), flow:snipers:<mint> (hash wallet -> lamports bought in the creation slot)
+
+const { redis } = require('./redis');
+const { WSOL_MINT } = require('./pumpfun');
+const { transactionsOf } = require('./helius');
+const { swapsRecorded } = require('./metrics');
+
+const {
+  FLOW_WINDOW_SEC = '900',
+  FLOW_WATCH_SEC = String(60 * 60 * 6),
+  FLOW_MAX_TRADES = '5000'
+} = process.env;
+
+const LAMPORTS_PER_SOL = 1e9;
+
+function parse(v) {
+  return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+// Start watching newly extracted tokens (first sighting wins, so a later event doesn't move the creation slot)
+async function watchMints(tokens) {
+  for (const t of tokens) {
+    if (String(t.chain || '').toLowerCase() !== 'solana' || !t.address) continue;
+    const state = { slot: Number.isFinite(t.slot) ? t.slot : null, creator: t.creator || null, watchedAt: Date.now() };
+    try {
+      await redis.set(`flow:mint:${t.address}`, JSON.stringify(state), { nx: true, ex: Number(FLOW_WATCH_SEC) });
+    } catch (err) {
+      console.warn('Failed to watch mint flow:', err && err.message ? err.message : err);
+    }
+  }
+}
+
+function sumLamports(items, pick) {
+  return items.reduce((acc, it) => acc + (pick(it) || 0), 0);
+}
+
+// SOL moved by the trader in one swap, in lamports
+function solAmount(tx, trader, side) {
+  const swap = tx.events && tx.events.swap;
+  const native = swap && (side === 'b' ? swap.nativeInput : swap.nativeOutput);
+  if (native && Number(native.amount) > 0) return Number(native.amount);
+  const wsol = (tx.tokenTransfers || []).filter(tt => tt.mint === WSOL_MINT &&
+    (side === 'b' ? tt.fromUserAccount === trader : tt.toUserAccount === trader));
+  if (wsol.length) return Math.round(sumLamports(wsol, tt => Number(tt.tokenAmount)) * LAMPORTS_PER_SOL);
+  const transfers = (tx.nativeTransfers || []).filter(nt => (side === 'b' ? nt.fromUserAccount === trader : nt.toUserAccount === trader));
+  return sumLamports(transfers, nt => Number(nt.amount));
+}
+
+// [{ mint, wallet, side: 'b' | 's', lamports, signature, slot, at }] for one SWAP transaction
+function parseSwap(tx) {
+  if (!tx || tx.type !== 'SWAP' || !tx.feePayer || !tx.signature) return [];
+  const trader = tx.feePayer;
+  const trades = new Map();
+  for (const tt of tx.tokenTransfers || []) {
+    if (!tt.mint || tt.mint === WSOL_MINT || trades.has(tt.mint)) continue;
+    const side = tt.toUserAccount === trader ? 'b' : (tt.fromUserAccount === trader ? 's' : null);
+    if (!side) continue;
+    trades.set(tt.mint, {
+      mint: tt.mint,
+      wallet: trader,
+      side,
+      lamports: solAmount(tx, trader, side),
+      signature: tx.signature,
+      slot: Number.isFinite(tx.slot) ? tx.slot : null,
+      at: tx.timestamp ? tx.timestamp * 1000 : Date.now()
+    });
+  }
+  return Array.from(trades.values());
+}
+
+// Returns false for a trade that was already recorded (a redelivered or replayed payload)
+async function recordTrade(trade, watch) {
+  const key = `flow:trades:${trade.mint}`;
+  const added = await redis.zadd(key, { score: trade.at, member: `${trade.signature}:${trade.wallet}:${trade.side}:${trade.lamports}` });
+  if (!added) return false;
+  await redis.zremrangebyscore(key, 0, Date.now() - Number(FLOW_WINDOW_SEC) * 1000);
+  await redis.zremrangebyrank(key, 0, -(Number(FLOW_MAX_TRADES) + 1));
+  await redis.expire(key, Number(FLOW_WATCH_SEC));
+  if (trade.side === 'b' && watch.slot !== null && trade.slot === watch.slot && trade.wallet !== watch.creator) {
+    await redis.hset(`flow:snipers:${trade.mint}`, { [trade.wallet]: trade.lamports });
+    await redis.expire(`flow:snipers:${trade.mint}`, Number(FLOW_WATCH_SEC));
+  }
+  swapsRecorded.inc({ side: trade.side === 'b' ? 'buy' : 'sell' });
+  return true;
+}
+
+// Record the swaps of watched mints in a webhook payload. Returns the number of trades recorded.
+async function ingestSwaps(payload) {
+  const trades = transactionsOf(payload).flatMap(parseSwap);
+  if (!trades.length) return 0;
+  let recorded = 0;
+  try {
+    const mints = Array.from(new Set(trades.map(t => t.mint)));
+    const states = await redis.mget(...mints.map(m => `flow:mint:${m}`));
+    const watched = new Map(mints.map((m, i) => [m, states[i] ? parse(states[i]) : null]));
+    for (const trade of trades) {
+      if (!watched.get(trade.mint)) continue;
+      if (await recordTrade(trade, watched.get(trade.mint))) recorded += 1;
+    }
+  } catch (err) {
+    console.warn('Failed to record swaps:', err && err.message ? err.message : err);
+  }
+  return recorded;
+}
+
+// Flow over the last FLOW_WINDOW_SEC, or null for tokens that aren't watched (metrics stay N/A):
+// { trades, uniqueBuyers, buyCount, sellCount, buySellRatio, netSolInflow, sniperCount }
+// buySellRatio is buys per sell, with no sells counted as one so a token with only buys still compares.
+async function getFlowMetrics(chain, address) {
+  if (String(chain).toLowerCase() !== 'solana') return null;
+  try {
+    if (!(await redis.get(`flow:mint:${address}`))) return null;
+    const members = await redis.zrange(`flow:trades:${address}`, Date.now() - Number(FLOW_WINDOW_SEC) * 1000, '+inf', { byScore: true });
+    const buyers = new Set();
+    let buyCount = 0;
+    let sellCount = 0;
+    let net = 0;
+    for (const member of members) {
+      // signatures and wallets are base58, so ':' only separates fields
+      const [, wallet, side, lamports] = member.split(':');
+      if (side === 'b') {
+        buyers.add(wallet);
+        buyCount += 1;
+        net += Number(lamports) || 0;
+      } else {
+        sellCount += 1;
+        net -= Number(lamports) || 0;
+      }
+    }
+    const snipers = (await redis.hgetall(`flow:snipers:${address}`)) || {};
+    return {
+      trades: members.length,
+      uniqueBuyers: buyers.size,
+      buyCount,
+      sellCount,
+      buySellRatio: members.length ? Math.round((buyCount / Math.max(1, sellCount)) * 100) / 100 : null,
+      netSolInflow: Math.round((net / LAMPORTS_PER_SOL) * 100) / 100,
+      sniperCount: Object.keys(snipers).length
+    };
+  } catch (err) {
+    console.warn('Flow metrics lookup failed:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+module.exports = { watchMints, parseSwap, ingestSwaps, getFlowMetrics };
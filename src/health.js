@@ -0,0 +1,71 @@
+// Readiness report for GET /health
+// - Probes the storage backend (every queue, dedupe key and setting lives there); the service is not ready without it
+// - Lists which integrations are configured, so a missing token shows up before the first webhook does
+// - Reports providers whose circuit breaker is open (degraded, but still ready: jobs retry after the cooldown)
+
+const { redis, backend, configError } = require('./redis');
+const { getProviderUsage } = require('./providers/budget');
+
+const {
+  TELEGRAM_BOT_TOKEN,
+  TELEGRAM_CHAT_ID,
+  TELEGRAM_WEBHOOK_URL,
+  TELEGRAM_WEBHOOK_SECRET,
+  TELEGRAM_ADMIN_IDS,
+  HELIUS_WEBHOOK_SECRET,
+  HELIUS_API_KEY,
+  HELIUS_RPC_URL,
+  MORALIS_API_KEY,
+  NOTIFY_WEBHOOK_SECRET,
+  ADMIN_API_TOKEN,
+  HEALTH_REDIS_TIMEOUT_MS = '2000'
+} = process.env;
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function probeRedis() {
+  if (configError) return { ok: false, backend, error: configError.message };
+  const start = Date.now();
+  try {
+    await withTimeout(redis.ping(), Number(HEALTH_REDIS_TIMEOUT_MS), 'Storage ping');
+    return { ok: true, backend, latencyMs: Date.now() - start };
+  } catch (err) {
+    return { ok: false, backend, error: err && err.message ? err.message : String(err) };
+  }
+}
+
+function integrations() {
+  return {
+    telegram: Boolean(TELEGRAM_BOT_TOKEN),
+    telegramDefaultChat: Boolean(TELEGRAM_CHAT_ID),
+    telegramCommands: Boolean(TELEGRAM_BOT_TOKEN && TELEGRAM_WEBHOOK_URL && TELEGRAM_WEBHOOK_SECRET && TELEGRAM_ADMIN_IDS),
+    heliusWebhookSignature: Boolean(HELIUS_WEBHOOK_SECRET),
+    heliusRpc: Boolean(HELIUS_RPC_URL || HELIUS_API_KEY),
+    moralis: Boolean(MORALIS_API_KEY),
+    webhookSigning: Boolean(NOTIFY_WEBHOOK_SECRET),
+    adminApi: Boolean(ADMIN_API_TOKEN)
+  };
+}
+
+// { ready, redis, integrations, degraded: [service...] }
+async function checkReadiness() {
+  const redisStatus = await probeRedis();
+  let degraded = [];
+  if (redisStatus.ok) {
+    try {
+      const usage = await getProviderUsage();
+      degraded = Object.entries(usage.services).filter(([, u]) => u.breakerOpenSec > 0).map(([service]) => service);
+    } catch (err) {
+      // usage is informational
+    }
+  }
+  return { ready: redisStatus.ok, redis: redisStatus, integrations: integrations(), degraded };
+}
+
+module.exports = { checkReadiness };
@@ -0,0 +1,210 @@
+// Helius webhook ingestion
+// - Typed parsers for enhanced transactions: pump.fun create instructions (top-level or CPI), CREATE and TOKEN_MINT
+//   transactions. Ordinary transfers and swaps are ignored, so old tokens changing hands are not scanned as new mints.
+// - Flat payloads from custom senders ({ mint } / { tokenAddress } / { tokens: [...] }) are still accepted
+// - Every extracted token carries the eventType it came from, plus the signature and slot when there are some
+//   (the slot lets src/flow.js spot buys in the creation slot)
+// - Request verification: HMAC-SHA256 compared in constant time, optional timestamp window and nonce replay check
+// - Raw payload archive with a TTL so past events can be replayed through the pipeline
+//
+// Keys: helius:raw:<id> (raw payload), helius:raw:index (zset id by receive time), helius:nonce:<nonce> (seen nonces)
+
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { redis } = require('./redis');
+const { getProvider } = require('./providers');
+const { PUMP_FUN_PROGRAM_ID, WSOL_MINT } = require('./pumpfun');
+
+const {
+  HELIUS_WEBHOOK_SECRET,
+  HELIUS_REPLAY_WINDOW_SEC = '300',
+  HELIUS_REQUIRE_TIMESTAMP = 'false',
+  HELIUS_ARCHIVE_TTL_SEC = String(60 * 60 * 24 * 3)
+} = process.env;
+
+const ARCHIVE_INDEX_KEY = 'helius:raw:index';
+
+// Anchor discriminators (sha256("global:<name>")[0..8]) of the pump.fun instructions that create a token
+const PUMP_FUN_CREATE_DISCRIMINATORS = {
+  create: Buffer.from([24, 30, 200, 40, 5, 28, 7, 119]),
+  create_v2: Buffer.from([214, 144, 76, 236, 95, 139, 49, 180])
+};
+
+function parse(v) {
+  return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+// Enhanced transactions in a payload: an array, { transactions: [...] } or a single transaction object
+function transactionsOf(payload) {
+  if (!payload) return [];
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload.transactions)) return payload.transactions;
+  return payload.signature ? [payload] : [];
+}
+
+function pumpFunInstructionName(ix) {
+  if (!ix || ix.programId !== PUMP_FUN_PROGRAM_ID || !ix.data) return null;
+  let data;
+  try {
+    data = Buffer.from(bs58.decode(ix.data));
+  } catch (err) {
+    return null;
+  }
+  for (const [name, disc] of Object.entries(PUMP_FUN_CREATE_DISCRIMINATORS)) {
+    if (data.length >= 8 && data.subarray(0, 8).equals(disc)) return name;
+  }
+  return null;
+}
+
+// pump.fun create / create_v2: accounts[0] is the new mint, the fee payer is the creator
+function parsePumpFunCreate(tx) {
+  const out = [];
+  const instructions = [];
+  for (const ix of tx.instructions || []) {
+    instructions.push(ix);
+    for (const inner of ix.innerInstructions || []) instructions.push(inner);
+  }
+  for (const ix of instructions) {
+    const name = pumpFunInstructionName(ix);
+    if (!name || !Array.isArray(ix.accounts) || !ix.accounts[0]) continue;
+    out.push({ chain: 'solana', address: ix.accounts[0], creator: tx.feePayer, timestamp: tx.timestamp, signature: tx.signature, slot: tx.slot, eventType: `PUMP_FUN_${name.toUpperCase()}` });
+  }
+  return out;
+}
+
+// CREATE / TOKEN_MINT: the minted token is the one transferred out of nowhere (empty fromUserAccount)
+function parseMintTransaction(tx) {
+  const transfers = (tx.tokenTransfers || []).filter(tt => tt.mint && tt.mint !== WSOL_MINT);
+  const minted = transfers.filter(tt => !tt.fromUserAccount && !tt.fromTokenAccount);
+  const mints = new Set((minted.length ? minted : transfers.slice(0, 1)).map(tt => tt.mint));
+  return Array.from(mints).map(mint => ({ chain: 'solana', address: mint, creator: tx.feePayer, timestamp: tx.timestamp, signature: tx.signature, slot: tx.slot, eventType: tx.type }));
+}
+
+const TRANSACTION_PARSERS = {
+  CREATE: parseMintTransaction,
+  TOKEN_MINT: parseMintTransaction
+};
+
+function parseTransaction(tx) {
+  if (!tx) return [];
+  // instruction-level detection works whatever type Helius assigned (often UNKNOWN for new program versions)
+  const created = parsePumpFunCreate(tx);
+  if (created.length) return created;
+  const parser = TRANSACTION_PARSERS[tx.type];
+  return parser ? parser(tx) : [];
+}
+
+// Custom senders that post token fields directly instead of Helius transactions
+function parseFlatPayload(payload) {
+  const out = [];
+  if (!payload || Array.isArray(payload)) return out;
+  const eventType = payload.type || 'CUSTOM';
+  if (payload.mint) out.push({ chain: payload.chain || 'solana', address: payload.mint, creator: payload.mintAuthority || payload.creator, timestamp: payload.timestamp, eventType });
+  if (payload.tokenAddress) out.push({ chain: payload.chain || 'ethereum', address: payload.tokenAddress, creator: payload.creator, timestamp: payload.timestamp, eventType });
+  if (Array.isArray(payload.tokens)) {
+    for (const t of payload.tokens) {
+      if (t.address || t.mint) out.push({ chain: t.chain || payload.chain || 'unknown', address: t.address || t.mint, creator: t.creator || t.mintAuthority, timestamp: t.timestamp || payload.timestamp, eventType: t.type || eventType });
+    }
+  }
+  return out;
+}
+
+// Extract new tokens from a Helius payload (array of enhanced transactions, { transactions }, or a flat object).
+// Returns [{ chain, address, creator?, timestamp?, signature?, slot?, eventType }], deduplicated by chain and address.
+function extractTokensFromHelius(payload) {
+  const out = [...parseFlatPayload(payload)];
+  for (const tx of transactionsOf(payload)) out.push(...parseTransaction(tx));
+
+  const map = new Map();
+  for (const t of out) {
+    if (!t.address) continue;
+    const key = `${(t.chain || '').toLowerCase()}:${getProvider(t.chain).normalizeAddress(t.address)}`;
+    if (!map.has(key)) map.set(key, t);
+  }
+  return Array.from(map.values());
+}
+
+function timingSafeEqualStr(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// Verify an incoming webhook request. Returns { ok: true, nonce? } or { ok: false, reason }.
+// With a timestamp header the HMAC covers "<timestamp>.<raw body>" and must fall inside HELIUS_REPLAY_WINDOW_SEC;
+// without one (Helius itself sends none) the HMAC covers the raw body; HELIUS_REQUIRE_TIMESTAMP=true rejects those.
+// The nonce header (or the signature itself) may only be used once: within the window when the request is timestamped,
+// otherwise for as long as payloads are archived, since nothing else stops an old signed body from being replayed.
+async function verifyHeliusRequest(req) {
+  if (!HELIUS_WEBHOOK_SECRET) return { ok: true }; // not configured -> skip verification
+  const sig = req.headers['x-helius-signature'] || req.headers['x-signature'] || req.headers['signature'];
+  if (!sig) return { ok: false, reason: 'missing signature' };
+  const timestamp = req.headers['x-helius-timestamp'];
+  if (!timestamp && HELIUS_REQUIRE_TIMESTAMP === 'true') return { ok: false, reason: 'missing timestamp' };
+
+  const windowSec = Number(HELIUS_REPLAY_WINDOW_SEC);
+  const raw = req.rawBody || Buffer.alloc(0);
+  const h = crypto.createHmac('sha256', HELIUS_WEBHOOK_SECRET);
+  if (timestamp) {
+    const ts = Number(timestamp);
+    const tsMs = ts > 1e12 ? ts : ts * 1000; // seconds or milliseconds
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - tsMs) > windowSec * 1000) return { ok: false, reason: 'timestamp outside replay window' };
+    h.update(`${timestamp}.`);
+  }
+  h.update(raw);
+  if (!timingSafeEqualStr(sig, h.digest('hex'))) return { ok: false, reason: 'invalid signature' };
+
+  const nonce = req.headers['x-helius-nonce'] || sig;
+  try {
+    const ttl = timestamp ? windowSec * 2 : Math.max(windowSec * 2, Number(HELIUS_ARCHIVE_TTL_SEC));
+    const fresh = await redis.set(`helius:nonce:${nonce}`, '1', { nx: true, ex: ttl });
+    if (!fresh) return { ok: false, reason: 'replayed request' };
+  } catch (err) {
+    console.warn('Nonce check failed (continuing):', err && err.message ? err.message : err);
+  }
+  return { ok: true, nonce };
+}
+
+// Forget a nonce when the request could not be handled, so the sender's redelivery is accepted
+async function releaseNonce(nonce) {
+  try { await redis.del(`helius:nonce:${nonce}`); } catch (e) {}
+}
+
+// Keep the raw payload for HELIUS_ARCHIVE_TTL_SEC so it can be replayed later. Returns the archive id.
+async function archivePayload(rawBody) {
+  const raw = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  const now = Date.now();
+  const id = `${now}-${crypto.createHash('sha256').update(raw).digest('hex').slice(0, 12)}`;
+  const ttl = Number(HELIUS_ARCHIVE_TTL_SEC);
+  try {
+    await redis.set(`helius:raw:${id}`, raw, { ex: ttl });
+    await redis.zadd(ARCHIVE_INDEX_KEY, { score: now, member: id });
+    await redis.zremrangebyscore(ARCHIVE_INDEX_KEY, 0, now - ttl * 1000);
+    return id;
+  } catch (err) {
+    console.warn('Failed to archive webhook payload:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+async function loadArchivedPayload(id) {
+  const v = await redis.get(`helius:raw:${id}`);
+  return v === null || v === undefined ? null : parse(v);
+}
+
+// Archive ids received between since and until (ms timestamps), oldest first
+async function listArchivedPayloads({ since = 0, until = Date.now(), limit = 100 } = {}) {
+  const ids = await redis.zrange(ARCHIVE_INDEX_KEY, since, until, { byScore: true });
+  return ids.slice(0, limit);
+}
+
+module.exports = {
+  transactionsOf,
+  extractTokensFromHelius,
+  parseTransaction,
+  verifyHeliusRequest,
+  releaseNonce,
+  archivePayload,
+  loadArchivedPayload,
+  listArchivedPayloads
+};
@@ -0,0 +1,127 @@
+// Scan and alert history for the dashboard and its JSON API
+// - recordScan keeps every live scan's outcome (metrics, risk, per-subscriber pass/fail reasons), recordAlertHistory
+//   every delivered alert. /check runs (dryRun) are not recorded.
+// - Bounded: the indexes keep the HISTORY_SCAN_LIMIT most recently scanned and HISTORY_ALERT_LIMIT most recently
+//   alerted tokens, each token keeps its last SCANS_PER_TOKEN scans, and everything expires after HISTORY_TTL_SEC
+//
+// Keys: history:scans (zset "chain:address" by last scan time), history:scan:<chain>:<address> (list of JSON scans,
+//       newest first), history:alerts (zset "chain:address" by last alert time),
+//       history:alert:<chain>:<address> (list of JSON { chatId, profile, at })
+
+const { redis } = require('./redis');
+
+const {
+  HISTORY_SCAN_LIMIT = '1000',
+  HISTORY_ALERT_LIMIT = '500',
+  HISTORY_TTL_SEC = String(60 * 60 * 24 * 7)
+} = process.env;
+
+const SCANS_KEY = 'history:scans';
+const ALERTS_KEY = 'history:alerts';
+const SCANS_PER_TOKEN = 20;
+const ALERTS_PER_TOKEN = 20;
+
+function parse(v) {
+  return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+function splitMember(member) {
+  const i = member.indexOf(':');
+  return { chain: member.slice(0, i), address: member.slice(i + 1) };
+}
+
+// Push onto a per-token list and a bounded index zset
+async function pushBounded(indexKey, limit, listKey, perToken, member, entry) {
+  await redis.lpush(listKey, JSON.stringify(entry));
+  await redis.ltrim(listKey, 0, perToken - 1);
+  await redis.expire(listKey, Number(HISTORY_TTL_SEC));
+  await redis.zadd(indexKey, { score: entry.at, member });
+  // drop the oldest index entries beyond the limit; their lists expire on their own
+  await redis.zremrangebyrank(indexKey, 0, -(Number(limit) + 1));
+}
+
+// Compact, JSON-safe view of a processTokenEvent result
+function scanEntry(result, attempt) {
+  const { chain, address, eventType, meta, status, reason, metrics, risk, enrichment, excludedHolders, decisions } = result;
+  return {
+    at: Date.now(),
+    chain,
+    address,
+    attempt,
+    eventType: eventType || null,
+    name: (meta && meta.name) || null,
+    symbol: (meta && meta.symbol) || null,
+    status,
+    reason: reason || null,
+    metrics: metrics || null,
+    risk: risk ? { score: risk.score, flags: risk.flags.map(f => f.id) } : null,
+    socials: (enrichment && enrichment.socials) || null,
+    excludedHolders: (excludedHolders || []).map(e => ({ address: e.address, type: e.type, label: e.label || null })),
+    decisions: (decisions || []).map(d => ({ chatId: d.chatId, profile: d.profile, passed: d.passed, reason: d.reason, queued: d.queued }))
+  };
+}
+
+async function recordScan(result, { attempt = 0 } = {}) {
+  if (!result || !result.chain || !result.address) return;
+  const member = `${result.chain}:${result.address}`;
+  try {
+    await pushBounded(SCANS_KEY, HISTORY_SCAN_LIMIT, `history:scan:${member}`, SCANS_PER_TOKEN, member, scanEntry(result, attempt));
+  } catch (err) {
+    console.warn('Failed to record scan history:', err && err.message ? err.message : err);
+  }
+}
+
+async function recordAlertHistory({ chain, address, chatId, profile }) {
+  const member = `${chain}:${address}`;
+  try {
+    await pushBounded(ALERTS_KEY, HISTORY_ALERT_LIMIT, `history:alert:${member}`, ALERTS_PER_TOKEN, member, { at: Date.now(), chatId, profile });
+  } catch (err) {
+    console.warn('Failed to record alert history:', err && err.message ? err.message : err);
+  }
+}
+
+// Newest first. Each entry is the token's latest scan; status filters on it (e.g. 'failed').
+async function listScans({ limit = 50, status = null } = {}) {
+  const members = await redis.zrange(SCANS_KEY, 0, -1, { rev: true });
+  const scans = [];
+  for (const member of members) {
+    if (scans.length >= limit) break;
+    const latest = parse(await redis.lindex(`history:scan:${member}`, 0));
+    if (!latest || (status && latest.status !== status)) continue;
+    scans.push(latest);
+  }
+  return scans;
+}
+
+// Newest first: { chain, address, name, symbol, at, alerts: [{ chatId, profile, at }] }
+async function listAlerts({ limit = 50 } = {}) {
+  const members = await redis.zrange(ALERTS_KEY, 0, limit - 1, { rev: true });
+  const out = [];
+  for (const member of members) {
+    const alerts = (await redis.lrange(`history:alert:${member}`, 0, -1)).map(parse);
+    if (!alerts.length) continue;
+    // a later skipped re-check has no metadata, so take the newest scan that has a name
+    const named = (await redis.lrange(`history:scan:${member}`, 0, -1)).map(parse).find(s => s.name || s.symbol);
+    out.push({ ...splitMember(member), name: named ? named.name : null, symbol: named ? named.symbol : null, at: alerts[0].at, alerts });
+  }
+  return out;
+}
+
+// Recorded tokens with this address on any chain (EVM addresses compare case-insensitively)
+async function findTokens(address) {
+  const needle = String(address || '').trim();
+  if (!needle) return [];
+  const members = await redis.zrange(SCANS_KEY, 0, -1, { rev: true });
+  return members.map(splitMember).filter(t => t.address === needle || (t.address.startsWith('0x') && t.address === needle.toLowerCase()));
+}
+
+// { chain, address, scans: [...newest first], alerts: [...] } or null when nothing is recorded
+async function getTokenHistory(chain, address) {
+  const member = `${chain}:${address}`;
+  const scans = (await redis.lrange(`history:scan:${member}`, 0, -1)).map(parse);
+  const alerts = (await redis.lrange(`history:alert:${member}`, 0, -1)).map(parse);
+  if (!scans.length && !alerts.length) return null;
+  return { chain, address, scans, alerts };
+}
+
+module.exports = { recordScan, recordAlertHistory, listScans, listAlerts, findTokens, getTokenHistory };
@@ -0,0 +1,65 @@
+// Holder concentration analysis over real holders only
+// - splitHolders drops labelled accounts (curves, pools, burn, CEX, programs; see src/labels.js)
+// - shares are measured against circulating supply (total supply minus burned balances)
+// - HHI (0-10000) and Gini (0-1) describe how evenly the known real holders' balances are spread
+
+function toBig(v) {
+  try {
+    return BigInt(v || '0');
+  } catch (err) {
+    return 0n;
+  }
+}
+
+// Separate labelled accounts from real holders. lookup(address) returns { type, label } or null.
+function splitHolders(holders, lookup) {
+  const real = [];
+  const excluded = [];
+  for (const h of holders) {
+    const tag = h.address ? lookup(h.address) : null;
+    if (tag) excluded.push({ address: h.address, balance: String(h.balance), type: tag.type, label: tag.label || '' });
+    else real.push({ address: h.address, balance: toBig(h.balance) });
+  }
+  real.sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+  return { real, excluded };
+}
+
+// Percentage with two decimals, BigInt-safe
+function percentOf(part, whole) {
+  if (whole <= 0n) return 0;
+  return Number((part * 10000n) / whole) / 100;
+}
+
+function circulatingSupply(totalSupply, excluded) {
+  const burned = excluded.filter(e => e.type === 'burn').reduce((acc, e) => acc + toBig(e.balance), 0n);
+  const circ = toBig(totalSupply) - burned;
+  return circ > 0n ? circ : toBig(totalSupply);
+}
+
+function topNPercent(real, n, supply) {
+  return percentOf(real.slice(0, n).reduce((acc, h) => acc + h.balance, 0n), supply);
+}
+
+// Herfindahl-Hirschman index over real holders' shares of their combined balance (10000 = one holder)
+function hhi(real) {
+  const total = real.reduce((acc, h) => acc + h.balance, 0n);
+  if (total === 0n) return null;
+  const sum = real.reduce((acc, h) => {
+    const share = Number((h.balance * 1000000n) / total) / 10000; // percent, 4 decimals
+    return acc + share * share;
+  }, 0);
+  return Math.round(sum);
+}
+
+// Gini coefficient of real holders' balances (0 = equal, 1 = one holder has everything)
+function gini(real) {
+  const n = real.length;
+  if (n < 2) return null;
+  const values = real.map(h => Number(h.balance)).sort((a, b) => a - b);
+  const total = values.reduce((a, b) => a + b, 0);
+  if (!total) return null;
+  const weighted = values.reduce((acc, v, i) => acc + (i + 1) * v, 0);
+  return Math.round(((2 * weighted) / (n * total) - (n + 1) / n) * 1000) / 1000;
+}
+
+module.exports = { splitHolders, percentOf, circulatingSupply, topNPercent, hhi, gini };
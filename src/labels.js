@@ -0,0 +1,100 @@
+// Labelled-address registry
+// Addresses that hold tokens without being "real" holders: bonding curves, LP pools, burn addresses,
+// CEX wallets and program accounts. Holder concentration metrics exclude them.
+// Sources, later ones win:
+//   1. built-in list below
+//   2. LABELS_FILE: JSON object { "<address>": { "type": "cex", "label": "Binance" } }
+//   3. Redis hash `labels` (address -> JSON), editable at runtime with the /label bot command
+// Per-token addresses (the mint's bonding curve, its DEX pools) are passed in by the caller.
+
+const fs = require('fs');
+const { redis } = require('./redis');
+const {
+  PUMP_FUN_PROGRAM_ID,
+  PUMP_FUN_MIGRATION_AUTHORITY,
+  PUMP_SWAP_PROGRAM_ID,
+  RAYDIUM_AMM_PROGRAM_ID
+} = require('./pumpfun');
+
+const { LABELS_FILE } = process.env;
+
+const LABEL_TYPES = ['curve', 'pool', 'burn', 'cex', 'program'];
+const REDIS_LABELS_KEY = 'labels';
+const CACHE_TTL_MS = 60_000;
+
+const BUILTIN_LABELS = {
+  '1nc1nerator11111111111111111111111111111111': { type: 'burn', label: 'Solana incinerator' },
+  '11111111111111111111111111111111': { type: 'burn', label: 'System program' },
+  '0x0000000000000000000000000000000000000000': { type: 'burn', label: 'Zero address' },
+  '0x000000000000000000000000000000000000dead': { type: 'burn', label: 'Dead address' },
+  [PUMP_FUN_PROGRAM_ID]: { type: 'program', label: 'pump.fun program' },
+  [PUMP_FUN_MIGRATION_AUTHORITY]: { type: 'program', label: 'pump.fun migration' },
+  [PUMP_SWAP_PROGRAM_ID]: { type: 'program', label: 'PumpSwap program' },
+  [RAYDIUM_AMM_PROGRAM_ID]: { type: 'program', label: 'Raydium AMM program' },
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': { type: 'pool', label: 'Raydium authority V4' },
+  '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9': { type: 'cex', label: 'Binance' },
+  '2ojv9BAiHUrvsm9gxDe7fJSzbNZSJcxZvf8dqmWGHG8S': { type: 'cex', label: 'Binance 2' },
+  'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS': { type: 'cex', label: 'Coinbase' },
+  'FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5': { type: 'cex', label: 'Kraken' },
+  'ASTyfSima4LLAdDgoFGkgqoKowG1LZFDr9fAQrg7iaJZ': { type: 'cex', label: 'MEXC' },
+  'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2': { type: 'cex', label: 'Bybit' },
+  '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD': { type: 'cex', label: 'OKX' }
+};
+
+let cached = null; // { labels, loadedAt }
+
+function parse(v) {
+  return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+// EVM addresses are stored lowercase, Solana addresses as-is (base58 is case-sensitive)
+function keyOf(address) {
+  const a = String(address);
+  return a.startsWith('0x') ? a.toLowerCase() : a;
+}
+
+function loadFileLabels() {
+  if (!LABELS_FILE) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(LABELS_FILE, 'utf8'));
+    const out = {};
+    for (const [address, entry] of Object.entries(parsed)) out[keyOf(address)] = entry;
+    return out;
+  } catch (err) {
+    console.warn('Failed to load LABELS_FILE:', err && err.message ? err.message : err);
+    return {};
+  }
+}
+
+async function loadLabels({ force = false } = {}) {
+  if (!force && cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.labels;
+  const labels = { ...BUILTIN_LABELS, ...loadFileLabels() };
+  try {
+    const stored = await redis.hgetall(REDIS_LABELS_KEY);
+    for (const [address, entry] of Object.entries(stored || {})) labels[keyOf(address)] = parse(entry);
+  } catch (err) {
+    console.warn('Failed to load runtime labels:', err && err.message ? err.message : err);
+  }
+  cached = { labels, loadedAt: Date.now() };
+  return labels;
+}
+
+async function addLabel(address, type, label = '') {
+  if (!LABEL_TYPES.includes(type)) throw new Error(`Label type must be one of: ${LABEL_TYPES.join(', ')}`);
+  await redis.hset(REDIS_LABELS_KEY, { [keyOf(address)]: JSON.stringify({ type, label }) });
+  return loadLabels({ force: true });
+}
+
+async function removeLabel(address) {
+  await redis.hdel(REDIS_LABELS_KEY, keyOf(address));
+  return loadLabels({ force: true });
+}
+
+// Build a lookup for one token: registry labels plus that token's own curve/pool accounts.
+// runtime: false skips the Redis labels (offline use).
+async function labelLookup(extra = {}, { runtime = true } = {}) {
+  const labels = runtime ? await loadLabels() : { ...BUILTIN_LABELS, ...loadFileLabels() };
+  return address => extra[keyOf(address)] || labels[keyOf(address)] || null;
+}
+
+module.exports = { LABEL_TYPES, BUILTIN_LABELS, keyOf, loadLabels, addLabel, removeLabel, labelLookup };
@@ -0,0 +1,59 @@
+// Logging
+// - LOG_FORMAT=json (default) writes one JSON object per line: { time, level, msg, cid, token, ...fields };
+//   LOG_FORMAT=text keeps plain lines prefixed with the correlation id. LOG_LEVEL drops lower levels (default info).
+// - installLogging() routes console.log/info/debug/warn/error through here, so every existing log call is structured
+// - withCorrelation(context, fn) runs fn with a correlation context (AsyncLocalStorage) that every log line inside
+//   carries. Each token gets a cid when it is extracted from a webhook; queued jobs keep the context of the code that
+//   enqueued them (src/queue.js), so a token's scan, re-checks and alert delivery share one cid.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+
+const { LOG_FORMAT = 'json', LOG_LEVEL = 'info' } = process.env;
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const storage = new AsyncLocalStorage();
+
+function newCorrelationId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Current context ({ cid, token? }) or null outside of one
+function logContext() {
+  return storage.getStore() || null;
+}
+
+function withCorrelation(context, fn) {
+  return storage.run({ cid: newCorrelationId(), ...(context || {}) }, fn);
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < (LEVELS[LOG_LEVEL] || LEVELS.info)) return;
+  const context = logContext();
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (LOG_FORMAT === 'text') {
+    const extra = Object.keys(fields).length ? ` ${util.inspect(fields, { breakLength: Infinity })}` : '';
+    stream.write(`${context ? `[${context.cid}] ` : ''}${msg}${extra}\n`);
+    return;
+  }
+  stream.write(`${JSON.stringify({ ...fields, ...context, time: new Date().toISOString(), level, msg })}\n`);
+}
+
+// logger.info('Token scanned', { status: 'passed' })
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+function installLogging() {
+  console.debug = (...args) => write('debug', util.format(...args));
+  console.log = (...args) => write('info', util.format(...args));
+  console.info = (...args) => write('info', util.format(...args));
+  console.warn = (...args) => write('warn', util.format(...args));
+  console.error = (...args) => write('error', util.format(...args));
+}
+
+module.exports = { logger, logContext, withCorrelation, newCorrelationId, installLogging };
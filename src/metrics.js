@@ -0,0 +1,149 @@
+// Prometheus metrics, served as text on GET /metrics (see index.js)
+// - Counters and histograms live in process memory, so every instance is scraped on its own and starts at zero
+// - Gauges are collected at scrape time (queue depths, see src/queue.js)
+//
+// Metrics:
+//   scanner_webhooks_total{result}                      accepted | rejected | error
+//   scanner_tokens_extracted_total{event_type}          tokens found in accepted webhook payloads
+//   scanner_dedupe_hits_total{stage}                    scan (throttled rescan) | alert (already alerted or pending)
+//   scanner_scans_total{status}                         skipped | passed | failed | alerted | error
+//   scanner_rule_results_total{profile,rule,result}     every rule leaf evaluated, pass | fail
+//   scanner_provider_requests_total{service,outcome}    ok | error | skipped (budget or circuit breaker)
+//   scanner_provider_request_seconds{service}           upstream request latency (histogram)
+//   scanner_notifications_total{channel,result}         sent | rate_limited | retry | failed
+//   scanner_swaps_total{side}                           swaps of watched mints recorded (src/flow.js), buy | sell
+//   scanner_wallet_signals_total{action}                tracked wallet activity (src/wallets.js), buy | create
+//   scanner_queue_jobs{queue,state}                     pending | processing | delayed | dead
+
+const metrics = new Map();
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(n => (labels[n] === undefined || labels[n] === null ? '' : String(labels[n]))));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function register(metric) {
+  if (metrics.has(metric.name)) return metrics.get(metric.name);
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    async lines() {
+      return Array.from(values.entries()).map(([key, v]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${v}`);
+    }
+  });
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i] += 1; });
+      s.sum += value;
+      s.count += 1;
+    },
+    // Time an async function in seconds
+    async time(labels, fn) {
+      const start = process.hrtime.bigint();
+      try {
+        return await fn();
+      } finally {
+        this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+      }
+    },
+    async lines() {
+      const out = [];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((b, i) => out.push(`${name}_bucket${formatLabels(labelNames, values, `le="${b}"`)} ${s.counts[i]}`));
+        out.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        out.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+        out.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+      return out;
+    }
+  });
+}
+
+// collect() -> [{ labels, value }], called on every scrape
+function gauge(name, help, labelNames, collect) {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    async lines() {
+      const samples = await collect();
+      return samples.map(({ labels, value }) => `${name}${formatLabels(labelNames, JSON.parse(labelKey(labelNames, labels)))} ${value}`);
+    }
+  });
+}
+
+async function renderMetrics() {
+  const out = [];
+  for (const metric of metrics.values()) {
+    let lines;
+    try {
+      lines = await metric.lines();
+    } catch (err) {
+      console.warn(`Metric ${metric.name} collection failed:`, err && err.message ? err.message : err);
+      continue;
+    }
+    out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+const webhooksTotal = counter('scanner_webhooks_total', 'Helius webhook requests by result', ['result']);
+const tokensExtracted = counter('scanner_tokens_extracted_total', 'Tokens extracted from webhook payloads', ['event_type']);
+const dedupeHits = counter('scanner_dedupe_hits_total', 'Scans and alerts skipped as duplicates', ['stage']);
+const scansTotal = counter('scanner_scans_total', 'Token scans by outcome', ['status']);
+const ruleResults = counter('scanner_rule_results_total', 'Filter rule evaluations', ['profile', 'rule', 'result']);
+const providerRequests = counter('scanner_provider_requests_total', 'Upstream provider requests by outcome', ['service', 'outcome']);
+const providerLatency = histogram('scanner_provider_request_seconds', 'Upstream provider request latency', ['service']);
+const notifications = counter('scanner_notifications_total', 'Notification send attempts by result', ['channel', 'result']);
+const swapsRecorded = counter('scanner_swaps_total', 'Swaps of watched mints recorded', ['side']);
+const walletSignals = counter('scanner_wallet_signals_total', 'Tracked wallet buys and launches', ['action']);
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  webhooksTotal,
+  tokensExtracted,
+  dedupeHits,
+  scansTotal,
+  ruleResults,
+  providerRequests,
+  providerLatency,
+  notifications,
+  swapsRecorded,
+  walletSignals
+};
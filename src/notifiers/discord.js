@@ -0,0 +1,104 @@
+// Discord notifier: posts an embed to a channel webhook (https://discord.com/api/webhooks/<id>/<token>)
+// Mentions are disabled so a token called "@everyone" can't ping the server.
+
+const { postJson } = require('./http');
+const { tokenLinks, txLink, usd, socialLinks, enrichmentWarnings, formatFlow, describeWallet } = require('../render');
+const { formatRisk } = require('../risk');
+
+const COLORS = { alert: 0x2ecc71, risky: 0xe67e22, graduation: 0x3498db, milestone: 0x9b59b6, wallet: 0xf1c40f };
+
+function escapeMarkdown(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/[\\*_~`|>[\]()#]/g, '\\$&');
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function tokenTitle(meta, address) {
+  if (!meta || !(meta.name || meta.symbol)) return address;
+  return `${meta.name || ''} (${meta.symbol || ''})`;
+}
+
+function linkField(chain, address) {
+  return { name: 'Links', value: tokenLinks(chain, address).map(l => `[${l.label}](${l.url})`).join(' | ') };
+}
+
+function embedMessage(embed) {
+  return { allowed_mentions: { parse: [] }, embeds: [{ ...embed, timestamp: new Date().toISOString() }] };
+}
+
+function formatAlert({ chain, address, meta, metrics, risk, curve, enrichment, wallet }, decision) {
+  const fields = [
+    ...(wallet ? [{ name: 'Tracked wallet', value: escapeMarkdown(describeWallet(wallet)) }] : []),
+    { name: 'Market cap', value: usd(metrics.marketCap), inline: true },
+    { name: '24h volume', value: usd(metrics.vol24h), inline: true },
+    { name: 'Holders', value: String(metrics.holdersCount), inline: true },
+    { name: 'Top 10 share', value: `${metrics.top10Percent}%`, inline: true },
+    { name: 'Dev share', value: metrics.devPercent === null ? 'N/A' : `${metrics.devPercent}%`, inline: true },
+    { name: 'Risk', value: escapeMarkdown(formatRisk(risk).replace(/^Risk: /, '')), inline: true }
+  ];
+  if (curve) fields.push({ name: 'Bonding curve', value: curve.complete ? 'complete' : `${metrics.curveProgress}%`, inline: true });
+  const flow = formatFlow(metrics);
+  if (flow) fields.push({ name: 'Early flow', value: flow });
+  if (enrichment && enrichment.fetched) {
+    const socials = socialLinks(enrichment);
+    fields.push({ name: 'Socials', value: socials.length ? socials.map(l => `[${l.label}](${l.url})`).join(' | ') : 'none', inline: true });
+  }
+  fields.push({ name: 'Address', value: `\`${address}\`` }, linkField(chain, address));
+  const warnings = enrichmentWarnings(enrichment).map(w => `\n**Warning:** ${escapeMarkdown(w)}`).join('');
+  return embedMessage({
+    title: truncate(escapeMarkdown(tokenTitle(meta, address)), 256),
+    description: `${wallet ? 'Tracked wallet activity' : 'New token passing filters'} (profile ${escapeMarkdown(decision.ruleSet)})${warnings}`,
+    color: risk && risk.flags.length ? COLORS.risky : COLORS.alert,
+    fields,
+    footer: { text: chain }
+  });
+}
+
+function formatFollowUp(event) {
+  if (event.type === 'graduation') {
+    const fields = [
+      { name: 'Market cap', value: usd(event.market.marketCap), inline: true },
+      { name: '24h volume', value: usd(event.market.volume24h), inline: true }
+    ];
+    const url = event.signature ? txLink(event.chain, event.signature) : null;
+    if (url) fields.push({ name: 'Migration tx', value: `[${event.signature.slice(0, 12)}…](${url})`, inline: true });
+    fields.push(linkField(event.chain, event.address));
+    return embedMessage({
+      title: truncate(escapeMarkdown(tokenTitle(event.meta, event.address)), 256),
+      description: 'Graduated from the pump.fun bonding curve',
+      color: COLORS.graduation,
+      fields
+    });
+  }
+  if (event.type === 'wallet') {
+    const url = event.wallet.signature ? txLink(event.chain, event.wallet.signature) : null;
+    return embedMessage({
+      title: truncate(escapeMarkdown(tokenTitle(event.meta, event.address)), 256),
+      description: `Tracked wallet: ${escapeMarkdown(describeWallet(event.wallet))}${url ? ` ([tx](${url}))` : ''}`,
+      color: COLORS.wallet,
+      fields: [linkField(event.chain, event.address)]
+    });
+  }
+  return embedMessage({
+    title: truncate(`${escapeMarkdown(event.symbol || event.address)} reached ${event.multiple}x`, 256),
+    description: `Market cap ${usd(event.marketCap)} since the alert`,
+    color: COLORS.milestone,
+    fields: [linkField(event.chain, event.address)]
+  });
+}
+
+async function send(sub, payload) {
+  await postJson('discord', sub.url, payload);
+  return null;
+}
+
+module.exports = {
+  name: 'discord',
+  formatAlert,
+  formatFollowUp,
+  send,
+  // Discord answers floods with 429 + retry_after (handled as a deferral), so few real retries are needed
+  retry: { maxAttempts: 5, backoffBaseMs: 2000 }
+};
@@ -0,0 +1,42 @@
+// Shared HTTP delivery for webhook-style notifiers (Discord, Slack, generic webhook)
+// - 429 with a retry_after (Discord JSON body) or Retry-After header defers the job by that long without using an attempt
+// - 408/5xx and network errors are thrown as ProviderError so the channel's queue retries them with backoff
+// - any other status is permanent: the job goes to that channel's dead-letter list
+
+const axios = require('axios');
+const { deferred } = require('../queue');
+const { toProviderError } = require('../providers/errors');
+const { notifications } = require('../metrics');
+
+async function postJson(channel, url, body, { headers = {}, timeout = 10_000 } = {}) {
+  try {
+    const r = await axios.post(url, body, { headers: { 'content-type': 'application/json', ...headers }, timeout });
+    notifications.inc({ channel, result: 'sent' });
+    return r.data;
+  } catch (err) {
+    const res = err && err.response;
+    if (res && res.status === 429) {
+      notifications.inc({ channel, result: 'rate_limited' });
+      const bodyRetry = res.data && typeof res.data === 'object' ? Number(res.data.retry_after) : NaN;
+      const headerRetry = res.headers ? Number(res.headers['retry-after']) : NaN;
+      const sec = Number.isFinite(bodyRetry) ? bodyRetry : (Number.isFinite(headerRetry) ? headerRetry : 5);
+      throw deferred(sec * 1000, `${channel} 429 retry_after ${sec}s`);
+    }
+    const transient = toProviderError(channel, err);
+    notifications.inc({ channel, result: transient ? 'retry' : 'failed' });
+    if (transient) throw transient;
+    const detail = res && res.data ? (typeof res.data === 'string' ? res.data : JSON.stringify(res.data)) : (err && err.message);
+    throw new Error(`${channel} rejected notification (${res ? res.status : 'no response'}): ${String(detail).slice(0, 200)}`);
+  }
+}
+
+// Host of a webhook URL for logs and listings; Discord/Slack URLs embed their secret token in the path
+function describeUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return 'invalid url';
+  }
+}
+
+module.exports = { postJson, describeUrl };
@@ -0,0 +1,113 @@
+// Notification channel registry
+// Every notifier exposes the same interface:
+//   name
+//   formatAlert(result, decision, sub)  -> channel payload for a token alert (result from processTokenEvent)
+//   formatFollowUp(event, sub)          -> payload for { type: 'graduation' | 'milestone' | 'wallet', chain, address, ... } (may be async)
+//   send(sub, payload, job)             -> deliver one payload; transient failures throw ProviderError, 429s defer the job
+//   retry                               -> { maxAttempts, backoffBaseMs } for the channel's queue
+// Telegram instead provides enqueue(sub, payload, extra) onto its rate-limited outbox (src/outbox.js).
+// Each other channel gets its own queue (queue:notify-<channel>:*) so a failing endpoint never delays Telegram.
+//
+// A subscriber's channel picks the notifier (see src/subscribers.js); its profile routes filter matches to it.
+
+const { createQueue } = require('../queue');
+const { onDelivered: onOutboxDelivered, onFailed: onOutboxFailed, getOutboxStats, startOutbox, stopOutbox } = require('../outbox');
+const { getSubscriber } = require('../subscribers');
+const telegram = require('./telegram');
+const discord = require('./discord');
+const slack = require('./slack');
+const webhook = require('./webhook');
+
+const NOTIFIERS = { telegram, discord, slack, webhook };
+const CHANNELS = Object.keys(NOTIFIERS);
+
+const deliveredHooks = [];
+const queues = {};
+
+for (const notifier of Object.values(NOTIFIERS)) {
+  if (notifier.enqueue) continue;
+  const queue = createQueue(`notify-${notifier.name}`, { concurrency: 1, ...notifier.retry });
+  queue.registerHandler('send', async (payload, job) => {
+    // resolve the subscriber at send time so a changed URL applies to queued messages
+    const sub = await getSubscriber(payload.chatId);
+    if (!sub || !sub.url) throw new Error(`subscriber ${payload.chatId} was removed or has no URL`);
+    const result = await notifier.send(sub, payload.body, job);
+    for (const hook of deliveredHooks) {
+      try {
+        await hook(payload, result);
+      } catch (hookErr) {
+        console.warn('Notification delivery hook failed:', hookErr && hookErr.message ? hookErr.message : hookErr);
+      }
+    }
+    return result;
+  });
+  queues[notifier.name] = queue;
+}
+
+function getNotifier(channel) {
+  return NOTIFIERS[String(channel || 'telegram').toLowerCase()] || null;
+}
+
+// Queue a formatted payload for a subscriber. extra fields (e.g. alert) are kept on the job for onDelivered hooks.
+async function enqueueNotification(sub, payload, extra = {}) {
+  const notifier = getNotifier(sub.channel);
+  if (!notifier) throw new Error(`Unknown notification channel "${sub.channel}"`);
+  if (notifier.enqueue) return notifier.enqueue(sub, payload, extra);
+  return queues[notifier.name].enqueue('send', { chatId: sub.chatId, body: payload, ...extra });
+}
+
+async function queueAlert(sub, result, decision, extra = {}) {
+  return enqueueNotification(sub, getNotifier(sub.channel).formatAlert(result, decision, sub), extra);
+}
+
+// Graduation / milestone / tracked wallet follow-up for a subscriber id (a Telegram chat id when it is not a registered subscriber)
+async function sendFollowUp(chatId, event) {
+  const sub = (await getSubscriber(chatId)) || { chatId: String(chatId), channel: 'telegram' };
+  const notifier = getNotifier(sub.channel);
+  if (!notifier) return null;
+  return enqueueNotification(sub, await notifier.formatFollowUp(event, sub));
+}
+
+// fn(payload, message) runs once a channel accepted a notification (message is only set for Telegram)
+function onDelivered(fn) {
+  deliveredHooks.push(fn);
+  onOutboxDelivered(fn);
+}
+
+// fn(payload) runs when a notification ended on its channel's dead-letter list
+function onFailed(fn) {
+  for (const queue of Object.values(queues)) queue.onDeadLetter(fn);
+  onOutboxFailed(fn);
+}
+
+async function getNotifierStats() {
+  const stats = { telegram: await getOutboxStats({ failedLimit: 0 }) };
+  for (const [name, queue] of Object.entries(queues)) stats[name] = await queue.getQueueStats();
+  return stats;
+}
+
+function startNotifiers() {
+  startOutbox();
+  for (const queue of Object.values(queues)) queue.startWorkers();
+}
+
+function stopNotifiers() {
+  stopOutbox();
+  for (const queue of Object.values(queues)) queue.stopWorkers();
+}
+
+module.exports = {
+  CHANNELS,
+  getNotifier,
+  queueAlert,
+  sendFollowUp,
+  onDelivered,
+  onFailed,
+  getNotifierStats,
+  startNotifiers,
+  stopNotifiers,
+  telegram,
+  discord,
+  slack,
+  webhook
+};
@@ -0,0 +1,87 @@
+// Slack notifier: posts Block Kit messages to an incoming webhook (https://hooks.slack.com/services/...)
+
+const { postJson } = require('./http');
+const { tokenLinks, txLink, usd, socialLinks, enrichmentWarnings, formatFlow, describeWallet } = require('../render');
+const { formatRisk } = require('../risk');
+
+// Slack mrkdwn only needs the three control characters escaped
+function escapeSlack(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function tokenTitle(meta, address) {
+  if (!meta || !(meta.name || meta.symbol)) return address;
+  return `${meta.name || ''} (${meta.symbol || ''})`;
+}
+
+function field(label, value) {
+  return { type: 'mrkdwn', text: `*${label}*\n${value}` };
+}
+
+function linksBlock(chain, address, extra = []) {
+  const links = tokenLinks(chain, address).map(l => `<${l.url}|${escapeSlack(l.label)}>`);
+  return { type: 'context', elements: [{ type: 'mrkdwn', text: [...links, ...extra].join(' | ') }] };
+}
+
+function formatAlert({ chain, address, meta, metrics, risk, curve, enrichment, wallet }, decision) {
+  const title = escapeSlack(tokenTitle(meta, address));
+  const fields = [
+    ...(wallet ? [field('Tracked wallet', escapeSlack(describeWallet(wallet)))] : []),
+    field('Market cap', usd(metrics.marketCap)),
+    field('24h volume', usd(metrics.vol24h)),
+    field('Holders', metrics.holdersCount),
+    field('Top 10 share', `${metrics.top10Percent}%`),
+    field('Dev share', metrics.devPercent === null ? 'N/A' : `${metrics.devPercent}%`),
+    field('Risk', escapeSlack(formatRisk(risk).replace(/^Risk: /, '')))
+  ];
+  if (curve) fields.push(field('Bonding curve', curve.complete ? 'complete' : `${metrics.curveProgress}%`));
+  const flow = formatFlow(metrics);
+  if (flow) fields.push(field('Early flow', flow));
+  if (enrichment && enrichment.fetched) {
+    const socials = socialLinks(enrichment);
+    fields.push(field('Socials', socials.length ? socials.map(l => `<${l.url}|${l.label}>`).join(' | ') : 'none'));
+  }
+  const warnings = enrichmentWarnings(enrichment).map(w => `\n*Warning:* ${escapeSlack(w)}`).join('');
+  const heading = wallet ? 'Tracked wallet activity' : 'New token passing filters';
+  return {
+    text: `${heading}: ${title}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${heading}*\n${title}\n\`${address}\` on ${escapeSlack(chain)}${warnings}` } },
+      { type: 'section', fields },
+      linksBlock(chain, address, [`profile ${escapeSlack(decision.ruleSet)}`])
+    ]
+  };
+}
+
+function formatFollowUp(event) {
+  let text;
+  if (event.type === 'graduation') {
+    const url = event.signature ? txLink(event.chain, event.signature) : null;
+    text = `*Token graduated from pump.fun bonding curve*\n${escapeSlack(tokenTitle(event.meta, event.address))}\n` +
+      `Market cap ${usd(event.market.marketCap)}, 24h volume ${usd(event.market.volume24h)}` +
+      (url ? `\n<${url}|Migration tx>` : '');
+  } else if (event.type === 'wallet') {
+    const url = event.wallet.signature ? txLink(event.chain, event.wallet.signature) : null;
+    text = `*Tracked wallet: ${escapeSlack(describeWallet(event.wallet))}*\n${escapeSlack(tokenTitle(event.meta, event.address))}` +
+      (url ? `\n<${url}|Transaction>` : '');
+  } else {
+    text = `*${escapeSlack(event.symbol || event.address)} reached ${event.multiple}x* since the alert (market cap ${usd(event.marketCap)})`;
+  }
+  return {
+    text: text.split('\n')[0].replace(/\*/g, ''),
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }, linksBlock(event.chain, event.address)]
+  };
+}
+
+async function send(sub, payload) {
+  await postJson('slack', sub.url, payload);
+  return null;
+}
+
+module.exports = {
+  name: 'slack',
+  formatAlert,
+  formatFollowUp,
+  send,
+  retry: { maxAttempts: 5, backoffBaseMs: 2000 }
+};
@@ -0,0 +1,24 @@
+// Telegram notifier: HTML alerts with inline buttons (src/render.js), delivered through the rate-limited outbox
+// (src/outbox.js). Follow-ups are posted as replies to the chat's original alert when its message id is known.
+
+const { queueMessage } = require('../outbox');
+const { getAlertMessage } = require('../alerts');
+const { renderAlert, renderGraduation, renderMilestone, renderWalletActivity } = require('../render');
+
+const FOLLOW_UPS = { graduation: renderGraduation, milestone: renderMilestone, wallet: renderWalletActivity };
+
+function formatAlert(result, decision, sub) {
+  return renderAlert(result, decision, sub);
+}
+
+async function formatFollowUp(event, sub) {
+  const text = FOLLOW_UPS[event.type](event);
+  return { text, replyTo: await getAlertMessage(sub.chatId, event.chain, event.address) };
+}
+
+// Telegram has its own queue (the outbox) with per-chat and global rate limits
+function enqueue(sub, { text, buttons = null, replyTo = null }, extra = {}) {
+  return queueMessage(sub.chatId, text, { buttons, replyTo, ...extra });
+}
+
+module.exports = { name: 'telegram', formatAlert, formatFollowUp, enqueue };
@@ -0,0 +1,84 @@
+// Generic JSON webhook notifier, e.g. for a trading service
+// - Body: { id, type: "alert" | "graduation" | "milestone" | "wallet", sentAt, token: { chain, address, name, symbol }, ... }
+//   alerts add profile, reason, metrics, risk, socials, warnings, wallet (tracked wallet signal or null) and links. id is the delivery id and stays the same across retries.
+// - With NOTIFY_WEBHOOK_SECRET set the body is signed the same way we verify Helius:
+//   x-signature = hex HMAC-SHA256 of "<x-timestamp>.<raw body>" (x-timestamp in unix seconds)
+
+const crypto = require('crypto');
+const { postJson } = require('./http');
+const { tokenLinks, enrichmentWarnings } = require('../render');
+
+const { NOTIFY_WEBHOOK_SECRET, NOTIFY_WEBHOOK_MAX_ATTEMPTS = '8' } = process.env;
+
+function tokenInfo(chain, address, meta) {
+  return { chain, address, name: (meta && meta.name) || null, symbol: (meta && meta.symbol) || null };
+}
+
+function walletInfo(wallet) {
+  if (!wallet) return null;
+  return { address: wallet.address, label: wallet.label, action: wallet.action, sol: wallet.lamports ? wallet.lamports / 1e9 : null, signature: wallet.signature || null };
+}
+
+function formatAlert({ chain, address, meta, metrics, risk, eventType, enrichment, wallet }, decision) {
+  return {
+    type: 'alert',
+    token: { ...tokenInfo(chain, address, meta), eventType: eventType || null },
+    profile: decision.ruleSet,
+    reason: decision.reason,
+    metrics,
+    risk: risk ? { score: risk.score, flags: risk.flags.map(f => f.id) } : null,
+    socials: (enrichment && enrichment.socials) || null,
+    warnings: enrichmentWarnings(enrichment),
+    wallet: walletInfo(wallet),
+    links: tokenLinks(chain, address)
+  };
+}
+
+function formatFollowUp(event) {
+  if (event.type === 'graduation') {
+    return {
+      type: 'graduation',
+      token: tokenInfo(event.chain, event.address, event.meta),
+      marketCap: event.market.marketCap || null,
+      volume24h: event.market.volume24h || null,
+      signature: event.signature || null,
+      links: tokenLinks(event.chain, event.address)
+    };
+  }
+  if (event.type === 'wallet') {
+    return { type: 'wallet', token: tokenInfo(event.chain, event.address, event.meta), wallet: walletInfo(event.wallet), links: tokenLinks(event.chain, event.address) };
+  }
+  return {
+    type: 'milestone',
+    token: tokenInfo(event.chain, event.address, { symbol: event.symbol }),
+    multiple: event.multiple,
+    marketCap: event.marketCap || null,
+    links: tokenLinks(event.chain, event.address)
+  };
+}
+
+function signBody(body, timestamp, secret = NOTIFY_WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function send(sub, payload, job) {
+  const body = JSON.stringify({ id: job.id, sentAt: new Date().toISOString(), ...payload });
+  const headers = { 'x-event-id': job.id };
+  if (NOTIFY_WEBHOOK_SECRET) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['x-timestamp'] = timestamp;
+    headers['x-signature'] = signBody(body, timestamp);
+  }
+  await postJson('webhook', sub.url, body, { headers });
+  return null;
+}
+
+module.exports = {
+  name: 'webhook',
+  formatAlert,
+  formatFollowUp,
+  send,
+  signBody,
+  // our own services may be redeploying; keep trying for longer than the chat channels
+  retry: { maxAttempts: Number(NOTIFY_WEBHOOK_MAX_ATTEMPTS), backoffBaseMs: 5000 }
+};
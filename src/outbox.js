@@ -0,0 +1,123 @@
+// Telegram outbox
+// - Alerts and follow-ups are jobs on a durable "outbox" queue (see src/queue.js): a failed send is retried, not lost
+// - Rate limits: at most OUTBOX_GLOBAL_PER_SEC messages per second overall, and one message per OUTBOX_CHAT_INTERVAL_MS
+//   per private chat or OUTBOX_GROUP_INTERVAL_MS per group/channel (negative chat ids)
+// - A 429 blocks the chat for Telegram's retry_after; 5xx and network errors are retried with backoff; anything else
+//   (bot blocked, bad request) ends on the dead-letter list as a failed send
+// - onDelivered hooks run once Telegram confirmed a message; alerts are marked alerted there (see pipeline.confirmAlert).
+//   onFailed hooks run for a message that ended on the dead-letter list (see pipeline.abandonAlert)
+//
+// Keys: queue:outbox:* (queue), outbox:slot:<chatId> (per-chat spacing), outbox:rate:<second> (global counter),
+//       outbox:blocked:<chatId> (ms timestamp until which a 429 blocks the chat)
+
+const { redis } = require('./redis');
+const { createQueue, deferred } = require('./queue');
+const { telegramApi, buildMessageBody } = require('./telegram');
+const { toProviderError } = require('./providers/errors');
+const { notifications } = require('./metrics');
+
+const {
+  TELEGRAM_BOT_TOKEN,
+  OUTBOX_CONCURRENCY = '2',
+  OUTBOX_GLOBAL_PER_SEC = '25',
+  OUTBOX_CHAT_INTERVAL_MS = '1000',
+  OUTBOX_GROUP_INTERVAL_MS = '3000'
+} = process.env;
+
+const outbox = createQueue('outbox', { concurrency: Number(OUTBOX_CONCURRENCY) });
+const deliveredHooks = [];
+
+function chatInterval(chatId) {
+  return String(chatId).startsWith('-') ? Number(OUTBOX_GROUP_INTERVAL_MS) : Number(OUTBOX_CHAT_INTERVAL_MS);
+}
+
+// Throws a deferral when the chat is blocked by a 429 or sending now would break a rate limit
+async function acquireSlot(chatId) {
+  const now = Date.now();
+  const blockedUntil = Number(await redis.get(`outbox:blocked:${chatId}`)) || 0;
+  if (blockedUntil > now) throw deferred(blockedUntil - now, `chat ${chatId} rate limited by Telegram`);
+
+  const interval = chatInterval(chatId);
+  const free = await redis.set(`outbox:slot:${chatId}`, '1', { nx: true, px: interval });
+  if (!free) throw deferred(interval, `chat ${chatId} interval`);
+
+  const second = Math.floor(now / 1000);
+  const sent = await redis.incr(`outbox:rate:${second}`);
+  if (sent === 1) await redis.expire(`outbox:rate:${second}`, 5);
+  if (sent > Number(OUTBOX_GLOBAL_PER_SEC)) {
+    await redis.del(`outbox:slot:${chatId}`);
+    throw deferred(1000 - (now % 1000), 'global rate limit');
+  }
+}
+
+// Queue handler: send one message, classifying failures for the queue
+async function deliver(payload) {
+  if (!TELEGRAM_BOT_TOKEN) throw new Error('TELEGRAM_BOT_TOKEN not set');
+  const { chatId, text, buttons, replyTo } = payload;
+  await acquireSlot(chatId);
+  let message;
+  try {
+    message = await telegramApi('sendMessage', buildMessageBody(text, { chatId, buttons, replyTo }));
+  } catch (err) {
+    const data = err && err.response ? err.response.data : null;
+    if (err && err.response && err.response.status === 429) {
+      notifications.inc({ channel: 'telegram', result: 'rate_limited' });
+      const retryAfterSec = (data && data.parameters && data.parameters.retry_after) || 1;
+      await redis.set(`outbox:blocked:${chatId}`, String(Date.now() + retryAfterSec * 1000), { ex: retryAfterSec + 1 });
+      throw deferred(retryAfterSec * 1000, `429 retry_after ${retryAfterSec}s`);
+    }
+    const transient = toProviderError('telegram', err);
+    notifications.inc({ channel: 'telegram', result: transient ? 'retry' : 'failed' });
+    if (transient) throw transient;
+    throw new Error(`Telegram rejected message to ${chatId}: ${(data && data.description) || (err && err.message) || err}`);
+  }
+  notifications.inc({ channel: 'telegram', result: 'sent' });
+  for (const hook of deliveredHooks) {
+    try {
+      await hook(payload, message);
+    } catch (hookErr) {
+      console.warn('Outbox delivery hook failed:', hookErr && hookErr.message ? hookErr.message : hookErr);
+    }
+  }
+  return message;
+}
+
+outbox.registerHandler('send', deliver);
+
+// Queue a message. extra fields (e.g. alert) are kept on the job and passed to onDelivered hooks.
+async function queueMessage(chatId, text, { buttons = null, replyTo = null, ...extra } = {}) {
+  return outbox.enqueue('send', { chatId: String(chatId), text, buttons, replyTo, ...extra });
+}
+
+function onDelivered(fn) {
+  deliveredHooks.push(fn);
+}
+
+// fn(payload) runs when a message is given up on
+function onFailed(fn) {
+  outbox.onDeadLetter(fn);
+}
+
+async function getOutboxStats({ failedLimit = 50 } = {}) {
+  const stats = await outbox.getQueueStats();
+  const failed = (failedLimit > 0 ? await outbox.listDeadJobs(failedLimit) : []).map(job => ({
+    id: job.id,
+    chatId: job.payload.chatId,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    enqueuedAt: new Date(job.enqueuedAt).toISOString(),
+    preview: String(job.payload.text || '').slice(0, 120)
+  }));
+  return { ...stats, failed };
+}
+
+module.exports = {
+  queueMessage,
+  onDelivered,
+  onFailed,
+  deliver,
+  getOutboxStats,
+  retryFailedSend: outbox.retryDeadJob,
+  startOutbox: () => outbox.startWorkers(),
+  stopOutbox: outbox.stopWorkers
+};
@@ -0,0 +1,381 @@
+// Token processing pipeline
+// - computeTokenMetrics: fetch metadata/holders/market data and compute filter metrics
+// - processTokenEvent: compute metrics once, apply each subscriber's filter rules, queue alerts for matching subscribers
+// - confirmAlert: outbox delivery hook marking a delivered alert (alerted:<chatId>:<chain>:<address>, tracker, stats)
+// - abandonAlert: dead-letter hook releasing the pending claim (alerting:<chatId>:<chain>:<address>) of an undelivered alert
+// - processGraduation: alert when a pump.fun token migrates off its bonding curve
+
+const { redis } = require('./redis');
+const { evaluateToken } = require('./rules');
+const { getProvider } = require('./providers');
+const { isTransientError } = require('./providers/errors');
+const { fetchBondingCurve, deriveBondingCurveAddress } = require('./pumpfun');
+const { queueAlert, sendFollowUp } = require('./notifiers');
+const { incrStat, isPaused } = require('./state');
+const { listSubscribers, isQuiet, wantsChain } = require('./subscribers');
+const { afterScan } = require('./watchlist');
+const { recordAlert } = require('./tracker');
+const { assessRisk } = require('./risk');
+const { enrichToken, recordAlertedTicker } = require('./socials');
+const { getFlowMetrics } = require('./flow');
+const { countTrackedHolders } = require('./wallets');
+const { rememberAlertMessage, rememberAlertToken, isMuted } = require('./alerts');
+const { keyOf, labelLookup } = require('./labels');
+const { dedupeHits, scansTotal, ruleResults } = require('./metrics');
+const { recordScan, recordAlertHistory } = require('./history');
+const { splitHolders, percentOf, circulatingSupply, topNPercent, hhi, gini } = require('./holders');
+
+const { DEBUG_HOLDERS } = process.env;
+
+// how long a queued alert blocks re-queueing for the same chat while it waits for delivery
+const ALERT_PENDING_TTL_SEC = 60 * 60;
+// how long a scan in progress holds its throttle key if the process dies before marking the outcome
+const SCAN_CLAIM_TTL_SEC = 10 * 60;
+
+function percentBigInt(numer, denom) {
+  try {
+    const n = BigInt(numer || '0');
+    const d = BigInt(denom || '0');
+    if (d === 0n) return 0;
+    // keep two decimal places: compute scaled = floor(n * 10000 / d) -> result/100 is percent with 2 decimals
+    const scaled = (n * 10000n) / d; // percent * 100
+    return Number(scaled) / 100; // e.g., 1234 -> 12.34
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Gather everything the filters need for one token without touching dedupe state.
+// Returns { ok: false, reason } when data is missing, otherwise
+// { ok: true, chain, address, meta, curve, risk, enrichment, metrics: { marketCap, holdersCount, top10Percent, ... } }.
+// Options (used by bin/backtest.js to run from recorded fixtures):
+//   provider   - data provider to use instead of the chain's live one
+//   fetchCurve - bonding curve lookup, defaults to the live RPC one
+//   offline    - no Redis: built-in/file labels only, no creator history
+//   dryRun     - /check: don't record this token as a launch of its creator, cache its metadata JSON or record its image
+//   now        - clock in ms for ageSeconds
+async function computeTokenMetrics({ chain, address, creator, timestamp }, { provider: providerOverride, fetchCurve = fetchBondingCurve, offline = false, dryRun = false, now = Date.now() } = {}) {
+  const c = String(chain || 'unknown').toLowerCase();
+  const provider = providerOverride || getProvider(c);
+  const a = provider.normalizeAddress(address);
+
+  const meta = await provider.fetchTokenMetadata(c, a);
+  if (!meta) return { ok: false, chain: c, address: a, reason: 'no metadata', retryAfter: 60 * 20 };
+
+  // holders: attempt to get top holders list
+  let holdersRaw = await provider.fetchTokenHolders(c, a, 200);
+  let holdersList = [];
+  let holdersCount = 0;
+  if (holdersRaw) {
+    if (Array.isArray(holdersRaw)) {
+      holdersList = holdersRaw.map(x => ({ address: x.address, balance: x.balance }));
+      holdersCount = holdersList.length;
+    } else if (holdersRaw.holders) {
+      holdersList = holdersRaw.holders.slice(0, 200);
+      holdersCount = holdersRaw.total || holdersRaw.holders.length;
+    }
+  }
+
+  // If the provider didn't return holders, we cannot compute top10/dev percentages. Skip if requirement strict.
+  if (!holdersRaw) return { ok: false, chain: c, address: a, meta, reason: 'holders info missing', retryAfter: 60 * 60 };
+
+  const totalSupplyStr = meta.totalSupply || null;
+  let totalSupplyBig = 0n;
+  if (totalSupplyStr) {
+    try {
+      totalSupplyBig = BigInt(String(totalSupplyStr));
+    } catch (err) {
+      // If totalSupply can't parse, attempt to sanitize
+      const digits = String(totalSupplyStr).replace(/[^0-9]/g, '') || '0';
+      totalSupplyBig = BigInt(digits);
+    }
+  }
+
+  if (totalSupplyBig === 0n) return { ok: false, chain: c, address: a, meta, reason: 'total supply missing or zero', retryAfter: 60 * 60 };
+
+  // Market data. pump.fun tokens still on their bonding curve are priced from the curve reserves,
+  // since DEX/price APIs know nothing about them until they migrate.
+  const market = await provider.fetchTokenMarketData(c, a);
+  const curve = c === 'solana' ? await fetchCurve(a) : null;
+
+  // Concentration is measured over real holders only: this token's bonding curve and DEX pools plus
+  // everything in the label registry (burn, CEX, program accounts) are left out
+  const tokenLabels = {};
+  if (c === 'solana') {
+    try {
+      tokenLabels[deriveBondingCurveAddress(a)] = { type: 'curve', label: 'pump.fun bonding curve' };
+    } catch (err) { /* not a valid Solana address */ }
+  }
+  for (const pool of market.pools || []) tokenLabels[keyOf(pool)] = { type: 'pool', label: 'DEX pool' };
+  const { real, excluded } = splitHolders(holdersList, await labelLookup(tokenLabels, { runtime: !offline }));
+  if (excluded.length && DEBUG_HOLDERS === 'true') {
+    console.debug(`Excluded holders for ${a}:`, excluded.map(e => `${e.address} (${e.type}${e.label ? `: ${e.label}` : ''})`).join(', '));
+  }
+  const supply = circulatingSupply(totalSupplyBig, excluded);
+  const top10Percent = topNPercent(real, 10, supply);
+  const holderHHI = hhi(real);
+  const holderGini = gini(real);
+
+  // Dev/creator hold percent
+  let devPercent = 0;
+  if (creator) {
+    // Find creator balance in holders list if present
+    const found = real.find(h => provider.normalizeAddress(h.address || '') === provider.normalizeAddress(creator));
+    if (found) {
+      devPercent = percentOf(found.balance, supply);
+    } else {
+      // creator is not among the top holders: ask the provider for its balance directly
+      const devBal = await provider.fetchHolderBalance(c, a, creator);
+      devPercent = devBal === null ? null : percentBigInt(devBal, supply);
+    }
+  } else if (real.length) {
+    // no creator provided: the largest real holder is the probable dev
+    devPercent = percentOf(real[0].balance, supply);
+  }
+
+  // holdersCount: prefer explicit total if present; labelled accounts are not holders
+  if (!holdersCount) holdersCount = holdersList.length || 0;
+  holdersCount = Math.max(0, holdersCount - excluded.length);
+
+  const onCurve = curve && !curve.complete;
+  const marketCap = (onCurve ? curve.marketCap : market.marketCap) || null;
+  const vol24h = market.volume24h || null;
+  const price = (onCurve ? curve.price : market.price) || null;
+  const curveProgress = curve ? curve.progress : null;
+  const ageSeconds = timestamp ? Math.max(0, Math.floor(now / 1000) - Number(timestamp)) : null;
+
+  // socials, image reuse and ticker clashes from the metadata URI (src/socials.js)
+  const enrichment = await enrichToken({ chain: c, address: a, meta }, { offline, dryRun });
+  // buyers, sells and snipers from Helius swaps, before the price APIs know the token (src/flow.js)
+  const flow = offline ? null : await getFlowMetrics(c, a);
+  const risk = await assessRisk({ chain: c, address: a, creator, curve, devPercent, enrichment, provider, history: !offline && !dryRun });
+  const trackedHolders = await countTrackedHolders(holdersList, { offline });
+
+  const metrics = {
+    marketCap, holdersCount, top10Percent, devPercent, holderHHI, holderGini, vol24h, price, ageSeconds, curveProgress,
+    riskScore: risk.score,
+    socialsCount: enrichment ? enrichment.socialsCount : null,
+    imageReuseCount: enrichment && enrichment.fetched ? enrichment.imageReusedBy.length : null,
+    tickerClashCount: enrichment ? enrichment.tickerClashes.length : null,
+    uniqueBuyers: flow ? flow.uniqueBuyers : null,
+    buySellRatio: flow ? flow.buySellRatio : null,
+    netSolInflow: flow ? flow.netSolInflow : null,
+    sniperCount: flow ? flow.sniperCount : null,
+    trackedHolders
+  };
+  return { ok: true, chain: c, address: a, meta, curve, risk, enrichment, excludedHolders: excluded, metrics };
+}
+
+// Full pipeline for one token: pause check, scan throttle, metrics once, then fan out to every subscriber
+// whose profile (rule set), chain allowlist and quiet hours match. Alerts are deduped per token per subscriber.
+// Options:
+//   dryRun  - skip pause/throttle/dedupe and never alert or mark anything (used by the /check bot command)
+//   recheck - watchlist check number (0 = first scan); re-checks bypass the scan throttle
+//   replay  - re-run of an archived webhook payload; bypasses the scan throttle like a re-check
+// token.eventType (e.g. PUMP_FUN_CREATE, TOKEN_MINT, see src/helius.js) is logged and passed through to the result.
+// token.wallet is a tracked wallet's buy or launch (src/wallets.js): it bypasses the scan throttle, is named in the
+// alert, passes the filters when the wallet has bypassFilters set, and goes out as a follow-up to chats that were
+// already alerted on the token.
+// Returns { status, reason, chain, address, eventType, meta, curve, metrics, decisions } where status is one of
+// 'paused' | 'duplicate' | 'skipped' | 'failed' | 'passed' | 'alerted' | 'error' and decisions holds one
+// { chatId, profile, passed, reason, queued } entry per subscriber. 'alerted' means the alert was queued on the outbox;
+// the subscriber's alerted: mark is only set once Telegram confirmed delivery (confirmAlert).
+async function processTokenEvent(token, { dryRun = false, recheck = 0, replay = false } = {}) {
+  let key = null;
+  let claimed = false;
+  try {
+    if (!token || !token.address) return { status: 'skipped', reason: 'no address' };
+    const c = String(token.chain || 'unknown').toLowerCase();
+    const a = getProvider(c).normalizeAddress(token.address);
+    // Scan throttle: the same mint shows up in many webhook payloads, don't refetch it every time
+    key = `processed:${c}:${a}`;
+    // /check runs shouldn't skew the live counters
+    const count = dryRun ? async () => {} : incrStat;
+
+    if (!dryRun) {
+      if (await isPaused()) return { status: 'paused', chain: c, address: a };
+
+      // check and mark in one SET NX, so concurrent webhooks carrying the same mint scan (and alert) it once;
+      // the outcome below replaces the claim with the real throttle window
+      if (!recheck && !replay && !token.wallet) {
+        try {
+          if (!(await redis.set(key, '1', { nx: true, ex: SCAN_CLAIM_TTL_SEC }))) {
+            console.log('Already processed', c, a);
+            dedupeHits.inc({ stage: 'scan' });
+            await count('duplicates');
+            return { status: 'duplicate', chain: c, address: a };
+          }
+          claimed = true;
+        } catch (err) {
+          console.warn('Redis dedupe failed (continuing):', err && err.message ? err.message : err);
+        }
+      }
+    }
+
+    await count('scanned');
+    const eventType = token.eventType || null;
+    if (eventType) console.log(`Scanning ${a} (${eventType}${replay ? ', replay' : ''})`);
+    const result = { ...(await computeTokenMetrics({ ...token, chain: c, address: a }, { dryRun })), eventType, wallet: token.wallet || null };
+    if (!result.ok) {
+      console.log(`Token ${a} skipped: ${result.reason}`);
+      // mark short-lived so we don't keep retrying too frequently
+      if (!dryRun) try { await redis.set(key, '1', { ex: result.retryAfter }); } catch (e) {}
+      await count('skipped');
+      if (!dryRun) {
+        scansTotal.inc({ status: 'skipped' });
+        await recordScan({ ...result, chain: c, address: a, status: 'skipped' }, { attempt: recheck });
+        await afterScan(token, { ...result, status: 'skipped' }, recheck);
+      }
+      return { ...result, status: 'skipped' };
+    }
+
+    // Apply each subscriber's rule set (see src/rules.js and src/subscribers.js)
+    const decisions = [];
+    for (const sub of (await listSubscribers()).filter(s => wantsChain(s, c))) {
+      let decision = await evaluateToken(redis, result.metrics, { chain: c, ruleSet: sub.profile });
+      if (!decision.passed && result.wallet && result.wallet.bypassFilters) {
+        decision = { ...decision, passed: true, reason: `${decision.reason} (bypassed: tracked wallet ${result.wallet.label})` };
+      }
+      const entry = { chatId: sub.chatId, profile: sub.profile, passed: decision.passed, reason: decision.reason, queued: false };
+      decisions.push(entry);
+      console.log(`Token ${a} -> ${sub.chatId} ${decision.reason}`);
+      if (dryRun) continue;
+      for (const r of decision.results) ruleResults.inc({ profile: sub.profile, rule: r.name, result: r.passed ? 'pass' : 'fail' });
+      if (!decision.passed) continue;
+
+      if (isQuiet(sub)) {
+        entry.reason += ' (quiet hours)';
+        continue;
+      }
+      if (await isMuted(sub.chatId, c, a)) {
+        entry.reason += ' (muted)';
+        continue;
+      }
+      try {
+        if (await redis.get(`alerted:${sub.chatId}:${c}:${a}`)) {
+          dedupeHits.inc({ stage: 'alert' });
+          entry.reason += ' (already alerted)';
+          // a tracked wallet buying an alerted token is news of its own, threaded under the alert
+          if (result.wallet && !recheck) {
+            await sendFollowUp(sub.chatId, { type: 'wallet', chain: c, address: a, meta: result.meta, wallet: result.wallet });
+            entry.reason += ' (wallet follow-up sent)';
+          }
+          continue;
+        }
+        // claim the alert while it waits in the outbox so rescans don't queue it twice
+        if (!(await redis.set(`alerting:${sub.chatId}:${c}:${a}`, '1', { nx: true, ex: ALERT_PENDING_TTL_SEC }))) {
+          dedupeHits.inc({ stage: 'alert' });
+          entry.reason += ' (alert pending)';
+          continue;
+        }
+      } catch (err) {
+        console.warn('Redis dedupe failed (continuing):', err && err.message ? err.message : err);
+      }
+
+      // formatted for the subscriber's channel (Telegram, Discord, Slack, webhook; see src/notifiers)
+      try {
+        await queueAlert(sub, result, decision, {
+          alert: {
+            chain: c,
+            address: a,
+            profile: sub.profile,
+            token: { ...token, chain: c, address: a },
+            // what the performance tracker needs from the alert point
+            snapshot: { chain: c, address: a, meta: { symbol: result.meta.symbol, name: result.meta.name }, metrics: { price: result.metrics.price, marketCap: result.metrics.marketCap } }
+          }
+        });
+      } catch (err) {
+        // nothing is pending for this chat, so the retry may queue it again
+        await abandonAlert({ chatId: sub.chatId, alert: { chain: c, address: a } });
+        throw err;
+      }
+      entry.queued = true;
+    }
+
+    const passed = decisions.some(d => d.passed);
+    const alerted = decisions.some(d => d.queued);
+    await count(passed ? 'passed' : 'failed');
+    // Passing tokens are rescanned sooner so newly matching subscribers still get them
+    if (!dryRun) try { await redis.set(key, '1', { ex: passed ? 60 * 60 : 60 * 60 * 6 }); } catch (e) {}
+
+    const reason = decisions.map(d => `${d.chatId}: ${d.reason}`).join('\n') || 'no subscribers for this chain';
+    const status = alerted ? 'alerted' : (passed ? 'passed' : 'failed');
+    if (!dryRun) {
+      scansTotal.inc({ status });
+      // kept for the dashboard (see src/history.js)
+      await recordScan({ ...result, status, reason, decisions }, { attempt: recheck });
+      // failing tokens are re-checked later on the watchlist schedule (see src/watchlist.js)
+      await afterScan(token, { ...result, status, reason }, recheck);
+    }
+    return { ...result, status, reason, decisions };
+
+  } catch (err) {
+    // a failed scan doesn't throttle the token: the queue retry (or the next webhook) scans it again
+    if (claimed) try { await redis.del(key); } catch (e) {}
+    // transient provider failures go back to the job queue for a retry
+    if (isTransientError(err)) throw err;
+    console.error('processTokenEvent error:', err && err.stack ? err.stack : err);
+    if (!dryRun) await incrStat('errors');
+    if (!dryRun) scansTotal.inc({ status: 'error' });
+    return { status: 'error', reason: err && err.message ? err.message : String(err) };
+  }
+}
+
+// Outbox delivery hook: Telegram confirmed an alert. Only now is the token marked alerted for that chat,
+// the message id kept for follow-ups and the alert point recorded for performance tracking (see src/tracker.js).
+async function confirmAlert({ chatId, alert }, message) {
+  if (!alert) return;
+  const { chain, address, profile, token, snapshot } = alert;
+  try { await redis.set(`alerted:${chatId}:${chain}:${address}`, '1', { ex: 60 * 60 * 24 }); } catch (e) {}
+  try { await redis.del(`alerting:${chatId}:${chain}:${address}`); } catch (e) {}
+  if (message) await rememberAlertMessage(chatId, chain, address, message.message_id);
+  await rememberAlertToken(token);
+  await recordAlert(snapshot, [{ chatId, profile }]);
+  await recordAlertHistory({ chain, address, chatId, profile });
+  await recordAlertedTicker(chain, address, snapshot && snapshot.meta.symbol);
+  await incrStat('alerts');
+}
+
+// Notifier dead-letter hook (and failed queueing): the alert will not be delivered, so drop the chat's pending claim
+// and let a later scan alert it again.
+async function abandonAlert({ chatId, alert }) {
+  if (!alert) return;
+  try { await redis.del(`alerting:${chatId}:${alert.chain}:${alert.address}`); } catch (e) {}
+}
+
+// Alert when a pump.fun token completes its bonding curve and migrates to an AMM.
+// Graduations bypass the filter rules: reaching the end of the curve is the signal itself.
+async function processGraduation({ chain, address, signature }) {
+  let key = null;
+  let claimed = false;
+  try {
+    const provider = getProvider(chain);
+    const a = provider.normalizeAddress(address);
+    key = `graduated:${chain}:${a}`;
+    // claimed up front (SET NX) so a migration seen in two payloads is announced once
+    try {
+      if (!(await redis.set(key, '1', { nx: true, ex: 60 * 60 * 24 * 7 }))) return;
+      claimed = true;
+    } catch (err) {
+      console.warn('Redis dedupe failed (continuing):', err && err.message ? err.message : err);
+    }
+
+    const meta = await provider.fetchTokenMetadata(chain, a) || {};
+    const market = await provider.fetchTokenMarketData(chain, a);
+
+    // on Telegram, graduation of a token we alerted on is posted as a reply to that alert
+    const event = { type: 'graduation', chain, address: a, meta, market, signature };
+    for (const sub of await listSubscribers()) {
+      if (wantsChain(sub, chain) && !isQuiet(sub)) await sendFollowUp(sub.chatId, event);
+    }
+
+    await incrStat('graduations');
+    console.log('Graduation alert sent for', a);
+  } catch (err) {
+    if (claimed) try { await redis.del(key); } catch (e) {}
+    if (isTransientError(err)) throw err;
+    console.error('processGraduation error:', err && err.stack ? err.stack : err);
+  }
+}
+
+module.exports = { percentBigInt, computeTokenMetrics, processTokenEvent, confirmAlert, abandonAlert, processGraduation };
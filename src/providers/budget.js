@@ -0,0 +1,159 @@
+// Upstream API accounting shared by the data providers
+// - Every HTTP call to a service (moralis, helius, dexscreener, coingecko) goes through callProvider, which counts it
+//   in a daily usage hash next to the service's errors and skipped calls
+// - PROVIDER_DAILY_BUDGETS ("moralis=40000,coingecko=8000") sets soft daily limits. Once a service has used
+//   PROVIDER_DEGRADE_PERCENT of its budget, calls marked optional (creator balance, authorities, extra holder pages,
+//   CoinGecko fallbacks) are skipped and return null, the same as a permanent failure. Required calls keep going.
+// - Circuit breaker: after PROVIDER_BREAKER_FAILURES consecutive transient failures (429/5xx/network) the service is
+//   not called for PROVIDER_BREAKER_COOLDOWN_SEC. Required calls then fail fast with a transient ProviderError (the
+//   job queue retries them after the cooldown); optional calls are skipped. The first call after the cooldown probes
+//   the service again and one more failure reopens the breaker.
+//
+// Keys: provider:usage:<YYYY-MM-DD> (hash <service>, <service>:errors, <service>:skipped, cache:hit, cache:miss),
+//       provider:failures:<service> (consecutive failures), provider:open:<service> (ms timestamp the breaker closes)
+
+const { redis } = require('../redis');
+const { ProviderError, toProviderError, isTransientError } = require('./errors');
+const { providerRequests, providerLatency } = require('../metrics');
+
+const {
+  PROVIDER_DAILY_BUDGETS = '',
+  PROVIDER_DEGRADE_PERCENT = '80',
+  PROVIDER_BREAKER_FAILURES = '5',
+  PROVIDER_BREAKER_COOLDOWN_SEC = '60'
+} = process.env;
+
+const USAGE_TTL_SEC = 60 * 60 * 24 * 8;
+
+// "moralis=40000, coingecko=8000" -> { moralis: 40000, coingecko: 8000 }
+function parseBudgets(text) {
+  const budgets = {};
+  for (const part of String(text || '').split(',')) {
+    const [service, limit] = part.split('=').map(s => s && s.trim());
+    if (service && Number(limit) > 0) budgets[service.toLowerCase()] = Number(limit);
+  }
+  return budgets;
+}
+
+const BUDGETS = parseBudgets(PROVIDER_DAILY_BUDGETS);
+
+// Latest daily count per service as returned by HINCRBY, so budget checks cost no extra Redis call
+const lastUsage = new Map();
+// Services whose failure counter is known to be zero, so successes don't reset it on every call
+const healthy = new Set();
+const degradedWarned = new Set();
+
+function today(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+async function bump(field, by = 1) {
+  const key = `provider:usage:${today()}`;
+  try {
+    const n = await redis.hincrby(key, field, by);
+    if (n === by) await redis.expire(key, USAGE_TTL_SEC);
+    return n;
+  } catch (err) {
+    return null;
+  }
+}
+
+function nearBudget(service) {
+  const budget = BUDGETS[service];
+  if (!budget) return false;
+  const usage = lastUsage.get(service);
+  if (!usage || usage.day !== today()) return false;
+  return usage.count >= budget * (Number(PROVIDER_DEGRADE_PERCENT) / 100);
+}
+
+// ms until the service's breaker closes, 0 when it is closed
+async function breakerRemainingMs(service) {
+  try {
+    const until = Number(await redis.get(`provider:open:${service}`)) || 0;
+    return Math.max(0, until - Date.now());
+  } catch (err) {
+    return 0;
+  }
+}
+
+async function recordFailure(service) {
+  healthy.delete(service);
+  await bump(`${service}:errors`);
+  try {
+    const failures = await redis.incr(`provider:failures:${service}`);
+    if (failures >= Number(PROVIDER_BREAKER_FAILURES)) {
+      const cooldownSec = Number(PROVIDER_BREAKER_COOLDOWN_SEC);
+      await redis.set(`provider:open:${service}`, String(Date.now() + cooldownSec * 1000), { ex: cooldownSec });
+      console.warn(`Circuit breaker open for ${service} after ${failures} consecutive failures (${cooldownSec}s)`);
+    }
+  } catch (err) {
+    // accounting must never break a scan
+  }
+}
+
+async function recordSuccess(service) {
+  if (healthy.has(service)) return;
+  try {
+    await redis.del(`provider:failures:${service}`);
+    healthy.add(service);
+  } catch (e) {}
+}
+
+// Run one upstream request for a service. Returns null without calling fn when an optional call is skipped.
+async function callProvider(service, fn, { optional = false } = {}) {
+  const openMs = await breakerRemainingMs(service);
+  if (openMs > 0) {
+    providerRequests.inc({ service, outcome: 'skipped' });
+    await bump(`${service}:skipped`);
+    if (optional) return null;
+    throw new ProviderError(`${service} circuit breaker open`, { provider: service, transient: true, retryAfterMs: openMs });
+  }
+  if (optional && nearBudget(service)) {
+    if (!degradedWarned.has(`${service}:${today()}`)) {
+      degradedWarned.add(`${service}:${today()}`);
+      console.warn(`${service} is near its daily budget (${BUDGETS[service]}): skipping optional calls`);
+    }
+    providerRequests.inc({ service, outcome: 'skipped' });
+    await bump(`${service}:skipped`);
+    return null;
+  }
+  const count = await bump(service);
+  if (count !== null) lastUsage.set(service, { day: today(), count });
+  try {
+    const result = await providerLatency.time({ service }, fn);
+    providerRequests.inc({ service, outcome: 'ok' });
+    await recordSuccess(service);
+    return result;
+  } catch (err) {
+    providerRequests.inc({ service, outcome: 'error' });
+    if (isTransientError(err) || toProviderError(service, err)) await recordFailure(service);
+    throw err;
+  }
+}
+
+async function countCache(hit) {
+  await bump(hit ? 'cache:hit' : 'cache:miss');
+}
+
+// Today's usage per service: { date, services: { moralis: { calls, errors, skipped, budget, usedPercent, breakerOpenSec } }, cache }
+async function getProviderUsage() {
+  const date = today();
+  const raw = (await redis.hgetall(`provider:usage:${date}`)) || {};
+  const services = {};
+  const names = new Set([...Object.keys(BUDGETS), ...Object.keys(raw).filter(f => !f.includes(':'))]);
+  for (const service of names) {
+    const calls = Number(raw[service]) || 0;
+    const budget = BUDGETS[service] || null;
+    services[service] = {
+      calls,
+      errors: Number(raw[`${service}:errors`]) || 0,
+      skipped: Number(raw[`${service}:skipped`]) || 0,
+      budget,
+      usedPercent: budget ? Number(((calls / budget) * 100).toFixed(1)) : null,
+      breakerOpenSec: Math.ceil((await breakerRemainingMs(service)) / 1000)
+    };
+  }
+  return { date, services, cache: { hits: Number(raw['cache:hit']) || 0, misses: Number(raw['cache:miss']) || 0 } };
+}
+
+module.exports = { parseBudgets, callProvider, countCache, getProviderUsage };
@@ -0,0 +1,67 @@
+// Read-through cache for provider responses in Redis
+// - withCache(provider, { store }) wraps the fetch methods; other fields (name, normalizeAddress, ...) pass through.
+//   store defaults to the shared storage client
+// - TTL per kind of data: metadata rarely changes (CACHE_TTL_METADATA_SEC), holders move (CACHE_TTL_HOLDERS_SEC,
+//   also used for authorities and single balances) and prices move fast (CACHE_TTL_PRICE_SEC); 0 disables a kind
+// - null answers (not indexed yet, skipped optional call) are not cached so the next scan asks again
+//
+// - values are stored as JSON `{ v }`: Upstash decodes JSON on read, and a bare string value (a balance) would then
+//   be decoded a second time into a Number. Entries without the wrapper are treated as misses.
+//
+// Keys: cache:<provider>:<method>:<chain>:<address>[:<extra args>] (JSON { v })
+
+const { redis } = require('../redis');
+const { countCache } = require('./budget');
+
+const {
+  CACHE_TTL_METADATA_SEC = '86400',
+  CACHE_TTL_HOLDERS_SEC = '60',
+  CACHE_TTL_PRICE_SEC = '15'
+} = process.env;
+
+const TTL_BY_METHOD = {
+  fetchTokenMetadata: Number(CACHE_TTL_METADATA_SEC),
+  fetchTokenHolders: Number(CACHE_TTL_HOLDERS_SEC),
+  fetchTokenAuthorities: Number(CACHE_TTL_HOLDERS_SEC),
+  fetchHolderBalance: Number(CACHE_TTL_HOLDERS_SEC),
+  fetchTokenMarketData: Number(CACHE_TTL_PRICE_SEC)
+};
+
+// The cached value, or undefined when the entry isn't one this cache wrote
+function unwrap(hit) {
+  const entry = typeof hit === 'string' ? JSON.parse(hit) : hit;
+  return entry && typeof entry === 'object' && !Array.isArray(entry) && 'v' in entry ? entry.v : undefined;
+}
+
+function cached(provider, method, ttl, store) {
+  return async (chain, address, ...rest) => {
+    const key = ['cache', provider.name, method, chain, address, ...rest].join(':');
+    try {
+      const hit = await store.get(key);
+      const value = hit === null || hit === undefined ? undefined : unwrap(hit);
+      if (value !== undefined) {
+        await countCache(true);
+        return value;
+      }
+    } catch (err) {
+      console.warn('Cache read failed (continuing):', err && err.message ? err.message : err);
+    }
+    await countCache(false);
+    // looked up on every call so tools that swap provider methods (tests, fixtures) still go through the cache
+    const value = await provider[method](chain, address, ...rest);
+    if (value !== null && value !== undefined) {
+      try { await store.set(key, JSON.stringify({ v: value }), { ex: ttl }); } catch (e) {}
+    }
+    return value;
+  };
+}
+
+function withCache(provider, { store = redis } = {}) {
+  const wrapped = { ...provider };
+  for (const [method, ttl] of Object.entries(TTL_BY_METHOD)) {
+    if (typeof provider[method] === 'function' && ttl > 0) wrapped[method] = cached(provider, method, ttl, store);
+  }
+  return wrapped;
+}
+
+module.exports = { TTL_BY_METHOD, withCache };
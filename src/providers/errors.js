@@ -0,0 +1,39 @@
+// Provider error type shared by all data providers.
+// Transient failures (HTTP 429, 5xx, timeouts, connection errors) are thrown as ProviderError with
+// transient=true so the job queue can retry them; permanent "not found" style answers stay null.
+
+class ProviderError extends Error {
+  constructor(message, { provider, status = null, transient = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.transient = transient;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function isTransientStatus(status) {
+  return status === 429 || status === 408 || (status >= 500 && status <= 599);
+}
+
+// Convert an axios error into a ProviderError, or return null when it is a permanent failure (e.g. 404)
+function toProviderError(provider, err) {
+  const status = err && err.response ? err.response.status : null;
+  // no response at all: timeout, DNS, connection reset
+  const transient = status === null ? Boolean(err && (err.code || err.request)) : isTransientStatus(status);
+  if (!transient) return null;
+  const retryAfter = err.response && err.response.headers ? Number(err.response.headers['retry-after']) : NaN;
+  return new ProviderError(`${provider} request failed: ${err.message}`, {
+    provider,
+    status,
+    transient: true,
+    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+  });
+}
+
+function isTransientError(err) {
+  return Boolean(err && err.transient);
+}
+
+module.exports = { ProviderError, isTransientStatus, toProviderError, isTransientError };
@@ -0,0 +1,63 @@
+// Offline provider backed by recorded responses (used by bin/backtest.js)
+// Fixture file layout, as written by `bin/backtest.js --record`:
+//   {
+//     "solUsd": 150,                       // SOL price used to value bonding curves
+//     "observedAt": 1700000000,            // unix seconds the responses were recorded at (for ageSeconds)
+//     "tokens": {
+//       "<address>": {
+//         "metadata": { ... },            // fetchTokenMetadata result
+//         "holders": { ... },             // fetchTokenHolders result
+//         "market": { ... },              // fetchTokenMarketData result
+//         "authorities": { ... },         // fetchTokenAuthorities result
+//         "curveAccount": { "address": "...", "data": "<base64>" },  // raw pump.fun curve account
+//         "balances": { "<owner>": "123" } // fetchHolderBalance results
+//       }
+//     }
+//   }
+// Tokens or fields missing from the fixtures behave like a permanent provider miss (null).
+
+const { describeBondingCurve } = require('../pumpfun');
+
+const EMPTY_MARKET = { price: null, marketCap: null, volume24h: null };
+
+function createFixtureProvider(fixtures) {
+  const tokens = (fixtures && fixtures.tokens) || {};
+  const normalizeAddress = address => {
+    const a = String(address || '').trim();
+    return a.startsWith('0x') ? a.toLowerCase() : a;
+  };
+  const entry = address => tokens[normalizeAddress(address)] || tokens[address] || null;
+  const field = (address, name) => {
+    const e = entry(address);
+    return e && e[name] !== undefined ? e[name] : null;
+  };
+
+  return {
+    name: 'fixtures',
+    normalizeAddress,
+    has: address => Boolean(entry(address)),
+    async fetchTokenMetadata(_chain, address) {
+      return field(address, 'metadata');
+    },
+    async fetchTokenHolders(_chain, address) {
+      return field(address, 'holders');
+    },
+    async fetchTokenMarketData(_chain, address) {
+      return field(address, 'market') || EMPTY_MARKET;
+    },
+    async fetchTokenAuthorities(_chain, address) {
+      return field(address, 'authorities');
+    },
+    async fetchHolderBalance(_chain, address, owner) {
+      const balances = field(address, 'balances');
+      return balances && balances[owner] !== undefined ? String(balances[owner]) : null;
+    },
+    // Same contract as pumpfun.fetchBondingCurve, from the recorded account
+    async fetchBondingCurve(address) {
+      const account = field(address, 'curveAccount');
+      return account ? describeBondingCurve(account, fixtures.solUsd || null) : null;
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,32 @@
+// Data provider registry
+// Every provider exposes the same interface:
+//   name
+//   normalizeAddress(address)                    -> canonical address used for keys and API calls
+//   fetchTokenMetadata(chain, address)           -> { totalSupply, decimals, symbol, name, uri? } | null
+//   fetchTokenHolders(chain, address, limit)     -> [{ address, balance }] | { total, holders } | null
+//   fetchTokenMarketData(chain, address)         -> { price, marketCap, volume24h, pools? } (pools = DEX pair addresses)
+//   fetchTokenAuthorities(chain, address)        -> { mintAuthority, freezeAuthority } (null = revoked) | null if n/a
+//   fetchHolderBalance(chain, address, owner)    -> raw balance string | null
+// Transient failures (429/5xx/network) are thrown as ProviderError (see ./errors), permanent ones return null.
+// The chain picks the provider; anything that is not Solana goes to Moralis (EVM).
+// getProvider returns the provider behind the Redis read-through cache (./cache); upstream requests are counted
+// against daily budgets and guarded by a circuit breaker (./budget).
+
+const moralis = require('./moralis');
+const solana = require('./solana');
+const { withCache } = require('./cache');
+
+const cachedSolana = withCache(solana);
+const cachedMoralis = withCache(moralis);
+
+const PROVIDERS_BY_CHAIN = {
+  solana: cachedSolana,
+  'solana-mainnet': cachedSolana,
+  sol: cachedSolana
+};
+
+function getProvider(chain) {
+  return PROVIDERS_BY_CHAIN[String(chain || '').toLowerCase()] || cachedMoralis;
+}
+
+module.exports = { getProvider, moralis, solana };
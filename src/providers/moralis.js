@@ -0,0 +1,177 @@
+// Moralis data provider (EVM chains)
+// - Token metadata, holders and price through Moralis' ERC20 endpoints (best-effort, shapes vary by plan)
+// - CoinGecko fallback for market data on common EVM chains
+// - Requests are counted per service; the creator balance and CoinGecko calls are optional and get skipped
+//   near the daily budget (see ./budget)
+
+const axios = require('axios');
+const { toProviderError } = require('./errors');
+const { callProvider } = require('./budget');
+
+const {
+  MORALIS_API_KEY,
+  MORALIS_API_BASE = 'https://deep-index.moralis.io/api/v2',
+  COINGECKO_FALLBACK = 'true'
+} = process.env;
+
+const moralisClient = axios.create({
+  baseURL: MORALIS_API_BASE,
+  headers: {
+    'X-API-Key': MORALIS_API_KEY,
+    'accept': 'application/json'
+  },
+  timeout: 20_000
+});
+
+// Returns null for permanent failures (404, unsupported path) so callers can try the next candidate,
+// but throws a transient ProviderError on 429/5xx/network errors so the job can be retried later.
+// Optional requests return null when skipped near the budget or while the circuit breaker is open.
+async function safeGet(url, { optional = false } = {}) {
+  try {
+    return await callProvider('moralis', () => moralisClient.get(url), { optional });
+  } catch (err) {
+    if (err && err.transient) throw err; // circuit breaker open (see ./budget)
+    console.warn('Moralis request failed:', url, err && err.message ? err.message : err);
+    const transient = toProviderError('moralis', err);
+    if (transient) throw transient;
+    return null;
+  }
+}
+
+// Fetch token metadata (totalSupply, decimals, symbol, name). We try a few Moralis endpoints (best-effort).
+async function fetchTokenMetadata(chain, address) {
+  if (!MORALIS_API_KEY) {
+    console.warn('MORALIS_API_KEY not set - cannot fetch metadata');
+    return null;
+  }
+  const a = address.toLowerCase();
+  // Try common Moralis endpoints, in order
+  const candidates = [
+    `/erc20/${a}/metadata?chain=${encodeURIComponent(chain)}`,
+    `/erc20/${a}?chain=${encodeURIComponent(chain)}`,
+    `/token/${a}/metadata?chain=${encodeURIComponent(chain)}`
+  ];
+
+  for (const path of candidates) {
+    const r = await safeGet(path);
+    if (r && r.data) {
+      // Heuristically map fields
+      const d = r.data;
+      const totalSupply = d.totalSupply || d.supply || d.total_supply || d.total_token_supply || d.total;
+      const decimals = typeof d.decimals === 'number' ? d.decimals : (d.decimal || d.tokenDecimals || d.token_decimal || 18);
+      const symbol = d.symbol || d.ticker || d.token_symbol;
+      const name = d.name || d.token_name;
+      if (totalSupply) {
+        return { totalSupply: String(totalSupply), decimals: Number(decimals || 18), symbol, name };
+      }
+      // If not supply but other useful fields, still return partial
+      return { totalSupply: null, decimals: Number(decimals || 18), symbol, name };
+    }
+  }
+  return null;
+}
+
+// Fetch top holders (returns array of { address, balance } and optionally total count)
+async function fetchTokenHolders(chain, address, limit = 200) {
+  if (!MORALIS_API_KEY) {
+    console.warn('MORALIS_API_KEY not set - cannot fetch holders');
+    return null;
+  }
+  const a = address.toLowerCase();
+  // Try common endpoints
+  const candidates = [
+    `/erc20/${a}/holders?chain=${encodeURIComponent(chain)}&limit=${limit}`,
+    `/token/${a}/holders?chain=${encodeURIComponent(chain)}&limit=${limit}`
+  ];
+
+  for (const path of candidates) {
+    const r = await safeGet(path);
+    if (r && r.data) {
+      // Some endpoints return { total, result: [..] }
+      if (Array.isArray(r.data)) return r.data.map(x => ({ address: x.address || x.holder_of || x.owner, balance: x.balance || x.token_balance || x.amount }));
+      if (Array.isArray(r.data.result)) return { total: r.data.total || r.data.result.length, holders: r.data.result.map(x => ({ address: x.address || x.holder_of || x.owner, balance: x.balance || x.token_balance || x.amount })) };
+      // fallback if object with holders
+      if (Array.isArray(r.data.holders)) return r.data.holders.map(x => ({ address: x.address, balance: x.balance }));
+    }
+  }
+
+  // If Moralis didn't expose holders, return null (caller can decide fallback)
+  return null;
+}
+
+// Fetch market data (price, marketCap, 24h volume). We try Moralis price endpoint, then CoinGecko fallback if enabled.
+async function fetchTokenMarketData(chain, address) {
+  let transientError = null;
+  // Try Moralis price endpoint
+  if (MORALIS_API_KEY) {
+    try {
+      const path = `/erc20/${address.toLowerCase()}/price?chain=${encodeURIComponent(chain)}`;
+      const r = await safeGet(path);
+      if (r && r.data) {
+        const data = r.data;
+        // Heuristic mapping
+        const price = data.usdPrice || data.price || data.usd_price || (data?.market_data?.current_price?.usd);
+        const volume24h = data.volume24h || data['24hVolume'] || (data?.market_data?.total_volume?.usd);
+        const marketCap = data.marketCap || data.market_cap || (price && data.totalSupply ? price * (Number(data.totalSupply) / Math.pow(10, data.decimals || 0)) : null) || (data?.market_data?.market_cap?.usd);
+        return { price: price ? Number(price) : null, marketCap: marketCap ? Number(marketCap) : null, volume24h: volume24h ? Number(volume24h) : null };
+      }
+    } catch (err) {
+      console.warn('Moralis price call failed:', err && err.message ? err.message : err);
+      if (err && err.transient) transientError = err;
+    }
+  }
+
+  // CoinGecko fallback (works for many EVM chains)
+  if (COINGECKO_FALLBACK === 'true') {
+    try {
+      // Map chain to CoinGecko platform id
+      const map = { ethereum: 'ethereum', bsc: 'binance-smart-chain', 'binance-smart-chain': 'binance-smart-chain', polygon: 'polygon-pos', arbitrum: 'arbitrum-one' };
+      const platform = map[chain?.toLowerCase()] || map[chain] || null;
+      if (platform) {
+        const cgUrl = `https://api.coingecko.com/api/v3/coins/${platform}/contract/${address.toLowerCase()}`;
+        const r2 = await callProvider('coingecko', () => axios.get(cgUrl, { timeout: 20000 }), { optional: true });
+        if (r2 && r2.data && r2.data.market_data) {
+          const md = r2.data.market_data;
+          return { price: md.current_price?.usd || null, marketCap: md.market_cap?.usd || null, volume24h: md.total_volume?.usd || null };
+        }
+      }
+    } catch (err) {
+      console.warn('CoinGecko fallback failed:', err && err.message ? err.message : err);
+      transientError = transientError || toProviderError('coingecko', err);
+    }
+  }
+
+  // Only surface a transient failure when no source produced data, so a retry can succeed
+  if (transientError) throw transientError;
+  return { price: null, marketCap: null, volume24h: null };
+}
+
+// ERC20 has no mint/freeze authority concept that Moralis exposes
+async function fetchTokenAuthorities() {
+  return null;
+}
+
+// Raw token balance of one wallet (used when the creator is not among the top holders)
+async function fetchHolderBalance(chain, address, owner) {
+  if (!MORALIS_API_KEY) return null;
+  const r = await safeGet(`/${owner.toLowerCase()}/erc20?chain=${encodeURIComponent(chain)}&token_addresses=${address.toLowerCase()}`, { optional: true });
+  const list = r && r.data ? (Array.isArray(r.data) ? r.data : r.data.result) : null;
+  if (!Array.isArray(list)) return null;
+  const entry = list.find(x => (x.token_address || '').toLowerCase() === address.toLowerCase());
+  return entry ? String(entry.balance) : '0';
+}
+
+// EVM addresses are case-insensitive, so lowercase them for keys and API paths
+function normalizeAddress(address) {
+  return String(address).toLowerCase();
+}
+
+module.exports = {
+  name: 'moralis',
+  normalizeAddress,
+  fetchTokenMetadata,
+  fetchTokenHolders,
+  fetchTokenMarketData,
+  fetchTokenAuthorities,
+  fetchHolderBalance
+};
@@ -0,0 +1,175 @@
+// Solana data provider (SPL mints, e.g. pump.fun tokens)
+// - Mint supply/decimals and largest token accounts through Helius JSON-RPC
+// - Token accounts resolved to their owner wallets (holders are wallets, not token accounts)
+// - Metaplex metadata (name, symbol, URI) through the Helius DAS getAsset method
+// - Market data (price, market cap, 24h volume) through DexScreener, which indexes pump.fun and Raydium pairs
+// - Requests are counted per service (helius, dexscreener); authorities, creator balances and holder pages past the
+//   first are optional and get skipped near the daily budget (see ./budget)
+
+const axios = require('axios');
+const { ProviderError, toProviderError } = require('./errors');
+const { callProvider } = require('./budget');
+
+const {
+  HELIUS_API_KEY,
+  HELIUS_RPC_URL = HELIUS_API_KEY ? `https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}` : null,
+  HELIUS_HOLDER_PAGES = '3',
+  DEXSCREENER_API_BASE = 'https://api.dexscreener.com'
+} = process.env;
+
+const rpcClient = axios.create({
+  timeout: 20_000,
+  headers: { 'content-type': 'application/json' }
+});
+
+let rpcId = 0;
+
+// JSON-RPC call against the Helius endpoint. Returns the `result` field or null on a permanent failure,
+// and throws a transient ProviderError on 429/5xx/network errors, mirroring safeGet in the Moralis provider.
+// Optional calls return null when skipped near the budget or while the circuit breaker is open.
+async function rpc(method, params, { optional = false } = {}) {
+  if (!HELIUS_RPC_URL) {
+    console.warn('HELIUS_RPC_URL/HELIUS_API_KEY not set - cannot call', method);
+    return null;
+  }
+  try {
+    const r = await callProvider('helius', async () => {
+      const res = await rpcClient.post(HELIUS_RPC_URL, { jsonrpc: '2.0', id: ++rpcId, method, params });
+      // -32429 is Helius' JSON-RPC level rate limit answer (thrown inside so the breaker counts it)
+      if (res.data && res.data.error && res.data.error.code === -32429) {
+        throw new ProviderError(`helius ${method} rate limited`, { provider: 'helius', status: 429, transient: true });
+      }
+      return res;
+    }, { optional });
+    if (!r) return null;
+    if (r.data && r.data.error) {
+      console.warn('Helius RPC error:', method, r.data.error.message || r.data.error);
+      return null;
+    }
+    return r.data ? r.data.result : null;
+  } catch (err) {
+    if (err instanceof ProviderError) throw err;
+    console.warn('Helius RPC request failed:', method, err && err.message ? err.message : err);
+    const transient = toProviderError('helius', err);
+    if (transient) throw transient;
+    return null;
+  }
+}
+
+// Fetch token metadata (totalSupply in raw units, decimals, symbol, name, uri)
+async function fetchTokenMetadata(_chain, mint) {
+  const supply = await rpc('getTokenSupply', [mint]);
+  if (!supply || !supply.value) return null;
+
+  const asset = await rpc('getAsset', { id: mint });
+  const content = (asset && asset.content) || {};
+  const md = content.metadata || {};
+  const tokenInfo = (asset && asset.token_info) || {};
+
+  return {
+    totalSupply: String(supply.value.amount),
+    decimals: Number(supply.value.decimals),
+    symbol: md.symbol || tokenInfo.symbol,
+    name: md.name,
+    uri: content.json_uri || null
+  };
+}
+
+// Count distinct non-zero holders through DAS getTokenAccounts. Paging is capped by HELIUS_HOLDER_PAGES
+// (1000 accounts per page), so very large tokens report a lower bound, which is enough for threshold filters.
+async function countHolders(mint) {
+  const owners = new Set();
+  const maxPages = Math.max(1, Number(HELIUS_HOLDER_PAGES) || 1);
+  for (let page = 1; page <= maxPages; page++) {
+    // the first page is enough for small tokens; further pages only refine the count
+    const r = await rpc('getTokenAccounts', { mint, page, limit: 1000 }, { optional: page > 1 });
+    const accounts = (r && r.token_accounts) || [];
+    for (const acc of accounts) {
+      if (acc.owner && BigInt(acc.amount || 0) > 0n) owners.add(acc.owner);
+    }
+    if (accounts.length < 1000) break;
+  }
+  return owners.size;
+}
+
+// Fetch top holders. Returns { total, holders: [{ address, balance }] } where address is the owner wallet
+// and balance is the raw token amount, the same shape the Moralis provider returns.
+async function fetchTokenHolders(_chain, mint, limit = 200) {
+  const largest = await rpc('getTokenLargestAccounts', [mint]);
+  if (!largest || !Array.isArray(largest.value)) return null;
+
+  const tokenAccounts = largest.value.filter(v => v.amount && v.amount !== '0');
+  const infos = tokenAccounts.length
+    ? await rpc('getMultipleAccounts', [tokenAccounts.map(v => v.address), { encoding: 'jsonParsed' }])
+    : { value: [] };
+
+  // Several token accounts can belong to the same wallet, so aggregate by owner
+  const byOwner = new Map();
+  tokenAccounts.forEach((v, i) => {
+    const info = infos && infos.value && infos.value[i];
+    const owner = info && info.data && info.data.parsed ? info.data.parsed.info.owner : v.address;
+    byOwner.set(owner, (byOwner.get(owner) || 0n) + BigInt(v.amount));
+  });
+
+  const holders = Array.from(byOwner.entries())
+    .map(([address, balance]) => ({ address, balance: balance.toString() }))
+    .sort((x, y) => (BigInt(y.balance) > BigInt(x.balance) ? 1 : -1))
+    .slice(0, limit);
+
+  const total = await countHolders(mint);
+  return { total: total || holders.length, holders };
+}
+
+// Fetch market data from DexScreener, picking the most liquid pair for the mint
+async function fetchTokenMarketData(_chain, mint) {
+  try {
+    const r = await callProvider('dexscreener', () => axios.get(`${DEXSCREENER_API_BASE}/latest/dex/tokens/${mint}`, { timeout: 20000 }));
+    const pairs = (r.data && r.data.pairs) || [];
+    if (pairs.length) {
+      const best = pairs.reduce((a, b) => ((b.liquidity?.usd || 0) > (a.liquidity?.usd || 0) ? b : a));
+      const price = best.priceUsd ? Number(best.priceUsd) : null;
+      const marketCap = best.marketCap || best.fdv || null;
+      const volume24h = best.volume?.h24 ?? null;
+      const pools = pairs.map(p => p.pairAddress).filter(Boolean);
+      return { price, marketCap: marketCap ? Number(marketCap) : null, volume24h: volume24h !== null ? Number(volume24h) : null, pools };
+    }
+  } catch (err) {
+    console.warn('DexScreener request failed:', err && err.message ? err.message : err);
+    if (err instanceof ProviderError) throw err;
+    const transient = toProviderError('dexscreener', err);
+    if (transient) throw transient;
+  }
+  return { price: null, marketCap: null, volume24h: null };
+}
+
+// Mint and freeze authorities from the parsed mint account (null = revoked)
+async function fetchTokenAuthorities(_chain, mint) {
+  const info = await rpc('getAccountInfo', [mint, { encoding: 'jsonParsed' }], { optional: true });
+  const parsed = info && info.value && info.value.data && info.value.data.parsed;
+  if (!parsed || !parsed.info) return null;
+  return { mintAuthority: parsed.info.mintAuthority || null, freezeAuthority: parsed.info.freezeAuthority || null };
+}
+
+// Raw token balance of one wallet, summed over all its token accounts for the mint
+async function fetchHolderBalance(_chain, mint, owner) {
+  const r = await rpc('getTokenAccountsByOwner', [owner, { mint }, { encoding: 'jsonParsed' }], { optional: true });
+  if (!r || !Array.isArray(r.value)) return null;
+  const total = r.value.reduce((acc, a) => acc + BigInt(a.account.data.parsed.info.tokenAmount.amount || '0'), 0n);
+  return total.toString();
+}
+
+// Solana addresses are base58 and case-sensitive, so they must never be lowercased
+function normalizeAddress(address) {
+  return String(address).trim();
+}
+
+module.exports = {
+  name: 'solana',
+  rpc,
+  normalizeAddress,
+  fetchTokenMetadata,
+  fetchTokenHolders,
+  fetchTokenMarketData,
+  fetchTokenAuthorities,
+  fetchHolderBalance
+};
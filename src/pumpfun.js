@@ -0,0 +1,187 @@
+// pump.fun bonding-curve support
+// - Derives and decodes a mint's bonding-curve account (virtual/real reserves, complete flag)
+// - Computes curve progress and curve-implied price / market cap (in SOL and USD)
+// - Detects migration ("graduation") of a token from the curve to an AMM in Helius payloads
+
+const axios = require('axios');
+const { PublicKey } = require('@solana/web3.js');
+const { rpc } = require('./providers/solana');
+const { callProvider } = require('./providers/budget');
+
+const PUMP_FUN_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+// Account that signs the curve -> AMM migration transactions
+const PUMP_FUN_MIGRATION_AUTHORITY = '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg';
+const PUMP_SWAP_PROGRAM_ID = 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA';
+const RAYDIUM_AMM_PROGRAM_ID = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Anchor discriminator: sha256("account:BondingCurve")[0..8]
+const BONDING_CURVE_DISCRIMINATOR = Buffer.from([23, 183, 248, 55, 96, 216, 172, 96]);
+// Real token reserves at launch (793.1M tokens, 6 decimals); progress is measured against this
+const INITIAL_REAL_TOKEN_RESERVES = 793_100_000_000_000n;
+const TOKEN_DECIMALS = 6;
+const LAMPORTS_PER_SOL = 1e9;
+
+const { SOL_USD_PRICE } = process.env;
+const SOL_PRICE_TTL_MS = 60_000;
+let solPriceCache = null; // { usd, at }
+
+function deriveBondingCurveAddress(mint) {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+    new PublicKey(PUMP_FUN_PROGRAM_ID)
+  );
+  return pda.toBase58();
+}
+
+// Decode the raw account data. Returns null when the buffer is not a bonding-curve account.
+function decodeBondingCurve(data) {
+  if (!data || data.length < 49 || !data.subarray(0, 8).equals(BONDING_CURVE_DISCRIMINATOR)) return null;
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves: data.readBigUInt64LE(16),
+    realTokenReserves: data.readBigUInt64LE(24),
+    realSolReserves: data.readBigUInt64LE(32),
+    tokenTotalSupply: data.readBigUInt64LE(40),
+    complete: data[48] === 1
+  };
+}
+
+// Percentage of the sellable supply already bought from the curve (100 once complete)
+function curveProgress(curve) {
+  if (curve.complete) return 100;
+  if (curve.realTokenReserves >= INITIAL_REAL_TOKEN_RESERVES) return 0;
+  const sold = INITIAL_REAL_TOKEN_RESERVES - curve.realTokenReserves;
+  return Number((sold * 10000n) / INITIAL_REAL_TOKEN_RESERVES) / 100;
+}
+
+// Price in SOL per whole token and market cap in SOL, implied by the virtual reserves
+function curvePricing(curve) {
+  if (curve.virtualTokenReserves === 0n) return { priceSol: null, marketCapSol: null };
+  const sol = Number(curve.virtualSolReserves) / LAMPORTS_PER_SOL;
+  const tokens = Number(curve.virtualTokenReserves) / Math.pow(10, TOKEN_DECIMALS);
+  const priceSol = sol / tokens;
+  const supply = Number(curve.tokenTotalSupply) / Math.pow(10, TOKEN_DECIMALS);
+  return { priceSol, marketCapSol: priceSol * supply };
+}
+
+async function fetchSolUsdPrice() {
+  if (SOL_USD_PRICE) return Number(SOL_USD_PRICE);
+  if (solPriceCache && Date.now() - solPriceCache.at < SOL_PRICE_TTL_MS) return solPriceCache.usd;
+  try {
+    const r = await callProvider('coingecko', () => axios.get('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd', { timeout: 10000 }), { optional: true });
+    const usd = r && r.data && r.data.solana ? Number(r.data.solana.usd) : null;
+    if (usd) solPriceCache = { usd, at: Date.now() };
+    return usd || (solPriceCache ? solPriceCache.usd : null);
+  } catch (err) {
+    console.warn('SOL price fetch failed:', err && err.message ? err.message : err);
+    return solPriceCache ? solPriceCache.usd : null;
+  }
+}
+
+// Raw bonding-curve account for a mint: { address, data } (data base64), or null for tokens that are not pump.fun tokens
+async function fetchBondingCurveAccount(mint) {
+  let address;
+  try {
+    address = deriveBondingCurveAddress(mint);
+  } catch (err) {
+    return null; // not a valid Solana address
+  }
+  const info = await rpc('getAccountInfo', [address, { encoding: 'base64' }]);
+  if (!info || !info.value || info.value.owner !== PUMP_FUN_PROGRAM_ID) return null;
+  return { address, data: info.value.data[0] };
+}
+
+// Decode a raw curve account and price it. Also used offline with recorded accounts (bin/backtest.js).
+function describeBondingCurve({ address, data }, solUsd) {
+  const curve = decodeBondingCurve(Buffer.from(data, 'base64'));
+  if (!curve) return null;
+  const { priceSol, marketCapSol } = curvePricing(curve);
+  return {
+    address,
+    ...curve,
+    progress: curveProgress(curve),
+    priceSol,
+    marketCapSol,
+    price: solUsd && priceSol !== null ? priceSol * solUsd : null,
+    marketCap: solUsd && marketCapSol !== null ? marketCapSol * solUsd : null
+  };
+}
+
+// Fetch and decode the bonding curve for a mint. Returns null for tokens that are not pump.fun tokens.
+// Result: { address, ...reserves, complete, progress, priceSol, marketCapSol, price, marketCap } (price/marketCap in USD)
+async function fetchBondingCurve(mint) {
+  const account = await fetchBondingCurveAccount(mint);
+  if (!account) return null;
+  return describeBondingCurve(account, await fetchSolUsdPrice());
+}
+
+function isMigrationTx(tx) {
+  if (tx.type === 'MIGRATE' || tx.type === 'MIGRATE_TO_PUMPSWAP' || tx.type === 'MIGRATE_TO_RAYDIUM') return true;
+  const accounts = [
+    tx.feePayer,
+    ...(tx.accountData || []).map(a => a.account),
+    ...(tx.instructions || []).flatMap(ix => ix.accounts || [])
+  ];
+  const programs = (tx.instructions || []).map(ix => ix.programId);
+  return accounts.includes(PUMP_FUN_MIGRATION_AUTHORITY) &&
+    (programs.includes(PUMP_FUN_PROGRAM_ID) || programs.includes(PUMP_SWAP_PROGRAM_ID) || programs.includes(RAYDIUM_AMM_PROGRAM_ID));
+}
+
+// Accounts passed to pump.fun program instructions (top-level and inner): the migrate instruction lists the curve
+function pumpFunInstructionAccounts(tx) {
+  const accounts = new Set();
+  for (const ix of tx.instructions || []) {
+    for (const i of [ix, ...(ix.innerInstructions || [])]) {
+      if (i.programId === PUMP_FUN_PROGRAM_ID) for (const a of i.accounts || []) accounts.add(a);
+    }
+  }
+  return accounts;
+}
+
+function bondingCurveOf(mint) {
+  try {
+    return deriveBondingCurveAddress(mint);
+  } catch (err) {
+    return null; // not a valid public key
+  }
+}
+
+// Find tokens that migrated off the bonding curve in a Helius payload (array of enhanced transactions
+// or an object with `transactions`). Returns [{ chain, address, signature, timestamp }].
+// A migration also moves the pool's LP mint and sometimes other tokens; only the mint whose bonding curve is an
+// account of the pump.fun migrate instruction, or whose tokens leave the curve, has graduated.
+function detectMigrations(payload) {
+  if (!payload) return [];
+  const txs = Array.isArray(payload) ? payload : (Array.isArray(payload.transactions) ? payload.transactions : [payload]);
+  const out = new Map();
+  for (const tx of txs) {
+    if (!tx || !isMigrationTx(tx)) continue;
+    const ixAccounts = pumpFunInstructionAccounts(tx);
+    for (const tt of tx.tokenTransfers || []) {
+      const mint = tt.mint || tt.tokenAddress;
+      if (!mint || mint === WSOL_MINT || out.has(mint)) continue;
+      const curve = bondingCurveOf(mint);
+      if (!curve || (!ixAccounts.has(curve) && tt.fromUserAccount !== curve)) continue;
+      out.set(mint, { chain: 'solana', address: mint, signature: tx.signature, timestamp: tx.timestamp });
+    }
+  }
+  return Array.from(out.values());
+}
+
+module.exports = {
+  PUMP_FUN_PROGRAM_ID,
+  PUMP_FUN_MIGRATION_AUTHORITY,
+  PUMP_SWAP_PROGRAM_ID,
+  RAYDIUM_AMM_PROGRAM_ID,
+  WSOL_MINT,
+  deriveBondingCurveAddress,
+  decodeBondingCurve,
+  curveProgress,
+  curvePricing,
+  fetchSolUsdPrice,
+  fetchBondingCurveAccount,
+  describeBondingCurve,
+  fetchBondingCurve,
+  detectMigrations
+};
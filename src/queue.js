@@ -0,0 +1,277 @@
+// Durable job queues backed by Redis lists
+// - enqueue() stores the job record in a hash and pushes its id onto the pending list
+// - workers move ids pending -> processing atomically (LMOVE) and record a visibility deadline;
+//   a job whose worker died is moved back to pending once its deadline passes
+// - failures with err.transient (ProviderError on 429/5xx) are retried with exponential backoff,
+//   everything else, or a job out of attempts, lands on the dead-letter list (onDeadLetter hooks run then)
+// - a handler can throw an error with deferMs to reschedule the job without using up an attempt (rate limits)
+// - createQueue(name) builds an independent queue (e.g. the Telegram outbox); the module-level functions
+//   operate on the default "jobs" queue
+// - a job keeps the log context (correlation id, see src/log.js) it was enqueued under and runs inside it
+//
+// Keys (prefix queue:<name>):
+//   :jobs (hash id -> JSON record)  :pending (list)  :processing (list)  :deadlines (hash id -> ms)
+//   :delayed (zset id by ready time)  :dead (list)
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+const { logContext, withCorrelation } = require('./log');
+const { gauge } = require('./metrics');
+
+const {
+  QUEUE_CONCURRENCY = '3',
+  QUEUE_MAX_ATTEMPTS = '5',
+  QUEUE_BACKOFF_MS = '5000',
+  QUEUE_VISIBILITY_TIMEOUT_MS = '120000',
+  QUEUE_POLL_MS = '1000'
+} = process.env;
+
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// every queue created in this process, for the queue depth gauge
+const queues = [];
+
+function parse(v) {
+  return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Error a handler throws to run its job again after ms without counting an attempt
+function deferred(ms, why) {
+  const err = new Error(`deferred: ${why}`);
+  err.deferMs = Math.max(50, Math.ceil(ms));
+  return err;
+}
+
+function createQueue(name, {
+  concurrency: defaultConcurrency = Number(QUEUE_CONCURRENCY),
+  maxAttempts = Number(QUEUE_MAX_ATTEMPTS),
+  backoffBaseMs = Number(QUEUE_BACKOFF_MS),
+  visibilityTimeoutMs = Number(QUEUE_VISIBILITY_TIMEOUT_MS),
+  pollMs = Number(QUEUE_POLL_MS)
+} = {}) {
+  const keys = {
+    jobs: `queue:${name}:jobs`,
+    pending: `queue:${name}:pending`,
+    processing: `queue:${name}:processing`,
+    deadlines: `queue:${name}:deadlines`,
+    delayed: `queue:${name}:delayed`,
+    dead: `queue:${name}:dead`
+  };
+  const handlers = {};
+  const deadLetterHooks = [];
+  let running = false;
+  // ids seen in :processing without a deadline on the previous sweep (worker may have crashed between LMOVE and HSET)
+  let orphanSuspects = new Set();
+
+  // Register the function that processes jobs of a type. It receives the job payload and the job record.
+  function registerHandler(type, fn) {
+    handlers[type] = fn;
+  }
+
+  // fn(payload, job) runs when a job lands on the dead-letter list
+  function onDeadLetter(fn) {
+    deadLetterHooks.push(fn);
+  }
+
+  async function enqueue(type, payload, { delayMs = 0 } = {}) {
+    const job = { id: crypto.randomUUID(), type, payload, attempts: 0, enqueuedAt: Date.now(), lastError: null, context: logContext() };
+    await redis.hset(keys.jobs, { [job.id]: JSON.stringify(job) });
+    if (delayMs > 0) await redis.zadd(keys.delayed, { score: Date.now() + delayMs, member: job.id });
+    else await redis.lpush(keys.pending, job.id);
+    return job.id;
+  }
+
+  function backoffMs(attempts, err) {
+    const base = backoffBaseMs * Math.pow(2, Math.max(0, attempts - 1));
+    const jitter = Math.floor(Math.random() * backoffBaseMs);
+    // honour a provider's Retry-After when it asks for longer than our own backoff
+    return Math.min(MAX_BACKOFF_MS, Math.max(base + jitter, (err && err.retryAfterMs) || 0));
+  }
+
+  async function finish(id) {
+    await redis.lrem(keys.processing, 1, id);
+    await redis.hdel(keys.deadlines, id);
+  }
+
+  async function fail(job, err) {
+    if (err && err.deferMs) {
+      // not a failure: the handler asked to run the job later (rate limit, 429 retry_after)
+      await redis.zadd(keys.delayed, { score: Date.now() + err.deferMs, member: job.id });
+      await finish(job.id);
+      return;
+    }
+    job.attempts += 1;
+    job.lastError = err && err.message ? err.message : String(err);
+    const retry = err && err.transient && job.attempts < maxAttempts;
+    await redis.hset(keys.jobs, { [job.id]: JSON.stringify(job) });
+    if (retry) {
+      const delay = backoffMs(job.attempts, err);
+      await redis.zadd(keys.delayed, { score: Date.now() + delay, member: job.id });
+      console.warn(`Job ${job.id} (${job.type}) failed, retry ${job.attempts}/${maxAttempts} in ${delay}ms:`, job.lastError);
+    } else {
+      await redis.lpush(keys.dead, job.id);
+      console.error(`Job ${job.id} (${job.type}) moved to dead-letter list after ${job.attempts} attempt(s):`, job.lastError);
+      for (const hook of deadLetterHooks) {
+        try {
+          await hook(job.payload, job);
+        } catch (hookErr) {
+          console.warn('Dead-letter hook failed:', hookErr && hookErr.message ? hookErr.message : hookErr);
+        }
+      }
+    }
+    await finish(job.id);
+  }
+
+  // Claim and run one job. Returns false when the pending list is empty.
+  async function runOnce() {
+    const id = await redis.lmove(keys.pending, keys.processing, 'right', 'left');
+    if (!id) return false;
+    await redis.hset(keys.deadlines, { [id]: Date.now() + visibilityTimeoutMs });
+
+    const job = parse(await redis.hget(keys.jobs, id));
+    if (!job) {
+      await finish(id);
+      return true;
+    }
+    const handler = handlers[job.type];
+    if (!handler) {
+      await fail(job, new Error(`No handler for job type "${job.type}"`));
+      return true;
+    }
+    try {
+      await withCorrelation(job.context, () => handler(job.payload, job));
+      await finish(id);
+      await redis.hdel(keys.jobs, id);
+    } catch (err) {
+      await fail(job, err);
+    }
+    return true;
+  }
+
+  // Move due delayed jobs to pending and requeue jobs whose visibility deadline passed
+  async function sweep() {
+    const now = Date.now();
+    const due = await redis.zrange(keys.delayed, 0, now, { byScore: true });
+    for (const id of due) {
+      // only the instance that actually removed the id requeues it
+      if (await redis.zrem(keys.delayed, id)) await redis.lpush(keys.pending, id);
+    }
+
+    const inFlight = await redis.lrange(keys.processing, 0, -1);
+    const deadlines = (await redis.hgetall(keys.deadlines)) || {};
+    const suspects = new Set();
+    for (const id of inFlight) {
+      const deadline = deadlines[id] !== undefined ? Number(deadlines[id]) : null;
+      const expired = deadline !== null ? deadline < now : orphanSuspects.has(id);
+      if (deadline === null && !expired) suspects.add(id);
+      if (!expired) continue;
+      if (await redis.lrem(keys.processing, 1, id)) {
+        await redis.hdel(keys.deadlines, id);
+        await redis.lpush(keys.pending, id);
+        console.warn(`Job ${id} visibility timeout expired - requeued`);
+      }
+    }
+    orphanSuspects = suspects;
+  }
+
+  async function workerLoop(n) {
+    while (running) {
+      try {
+        if (!(await runOnce())) await sleep(pollMs);
+      } catch (err) {
+        console.error(`Queue ${name} worker ${n} error:`, err && err.message ? err.message : err);
+        await sleep(pollMs * 5);
+      }
+    }
+  }
+
+  async function sweepLoop() {
+    while (running) {
+      try {
+        await sweep();
+      } catch (err) {
+        console.error(`Queue ${name} sweep error:`, err && err.message ? err.message : err);
+      }
+      await sleep(pollMs);
+    }
+  }
+
+  function startWorkers({ concurrency = defaultConcurrency } = {}) {
+    if (running) return;
+    running = true;
+    for (let i = 0; i < concurrency; i++) workerLoop(i);
+    sweepLoop();
+    console.log(`Queue ${name} workers started (concurrency ${concurrency})`);
+  }
+
+  function stopWorkers() {
+    running = false;
+  }
+
+  async function getQueueStats() {
+    const [pending, processing, delayed, dead] = await Promise.all([
+      redis.llen(keys.pending),
+      redis.llen(keys.processing),
+      redis.zcard(keys.delayed),
+      redis.llen(keys.dead)
+    ]);
+    return { pending, processing, delayed, dead };
+  }
+
+  async function listDeadJobs(limit = 50) {
+    const ids = await redis.lrange(keys.dead, 0, limit - 1);
+    const jobs = [];
+    for (const id of ids) {
+      const job = parse(await redis.hget(keys.jobs, id));
+      if (job) jobs.push(job);
+    }
+    return jobs;
+  }
+
+  // Put a dead-lettered job back on the pending list with a fresh attempt budget
+  async function retryDeadJob(id) {
+    const job = parse(await redis.hget(keys.jobs, id));
+    if (!job || !(await redis.lrem(keys.dead, 1, id))) return false;
+    job.attempts = 0;
+    await redis.hset(keys.jobs, { [id]: JSON.stringify(job) });
+    await redis.lpush(keys.pending, id);
+    return true;
+  }
+
+  const queue = {
+    name,
+    registerHandler,
+    onDeadLetter,
+    enqueue,
+    runOnce,
+    sweep,
+    startWorkers,
+    stopWorkers,
+    getQueueStats,
+    listDeadJobs,
+    retryDeadJob
+  };
+  queues.push(queue);
+  return queue;
+}
+
+gauge('scanner_queue_jobs', 'Jobs per queue and state', ['queue', 'state'], async () => {
+  const samples = [];
+  const seen = new Set();
+  for (const queue of queues) {
+    // the same queue may be built twice (e.g. by a tool); report it once
+    if (seen.has(queue.name)) continue;
+    seen.add(queue.name);
+    for (const [state, value] of Object.entries(await queue.getQueueStats())) samples.push({ labels: { queue: queue.name, state }, value });
+  }
+  return samples;
+});
+
+// The default queue: token scans, re-checks, graduations and performance samples
+const defaultQueue = createQueue('jobs');
+
+module.exports = { createQueue, deferred, ...defaultQueue };
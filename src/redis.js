@@ -0,0 +1,33 @@
+// Shared storage client used for dedupe, caches, queues and bot state
+// The backend comes from STORAGE_BACKEND (upstash, redis or memory; see src/storage). Without it, REDIS_URL selects a
+// Redis server and the UPSTASH_REDIS_REST_* variables Upstash. Every backend takes the same commands, so modules
+// just use `redis`.
+// A missing or broken configuration doesn't throw on require (tools like the backtester load modules that never touch
+// storage): commands reject with the configuration error, and the server refuses to start (connectStorage).
+
+const { createStore } = require('./storage');
+
+const { STORAGE_CONNECT_TIMEOUT_MS = '5000' } = process.env;
+
+const { backend, store: redis, error: configError } = createStore(process.env);
+
+if (backend === 'memory') console.warn('Using in-memory storage: state is lost on restart and not shared between instances.');
+
+// Startup check: resolves once the backend answers a ping, throws when it is misconfigured or unreachable
+async function connectStorage({ timeoutMs = Number(STORAGE_CONNECT_TIMEOUT_MS) } = {}) {
+  if (configError) throw configError;
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${backend} storage did not answer within ${timeoutMs}ms`)), timeoutMs);
+  });
+  try {
+    await Promise.race([redis.ping(), timeout]);
+  } catch (err) {
+    throw new Error(`${backend} storage unreachable: ${err && err.message ? err.message : err}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  return backend;
+}
+
+module.exports = { redis, backend, configError, connectStorage };
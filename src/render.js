@@ -0,0 +1,238 @@
+// Telegram message rendering
+// - Messages are sent with parse_mode HTML; every dynamic value goes through escapeHtml
+// - Per-chain explorer and DEX links (Solscan, pump.fun, DexScreener, Etherscan & co.)
+// - Alert inline keyboard: Recheck / Mute token callbacks and a Copy address button
+
+const { renderTemplate } = require('./subscribers');
+const { formatRisk } = require('./risk');
+
+// Block explorers for EVM chains (token page = <base>/token/<address>)
+const EVM_EXPLORERS = {
+  ethereum: { label: 'Etherscan', base: 'https://etherscan.io' },
+  eth: { label: 'Etherscan', base: 'https://etherscan.io' },
+  bsc: { label: 'BscScan', base: 'https://bscscan.com' },
+  polygon: { label: 'PolygonScan', base: 'https://polygonscan.com' },
+  base: { label: 'BaseScan', base: 'https://basescan.org' },
+  arbitrum: { label: 'Arbiscan', base: 'https://arbiscan.io' },
+  optimism: { label: 'Optimism Explorer', base: 'https://optimistic.etherscan.io' },
+  avalanche: { label: 'Snowtrace', base: 'https://snowtrace.io' }
+};
+
+// DexScreener chain slugs where they differ from our chain names
+const DEXSCREENER_CHAINS = { eth: 'ethereum' };
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function tokenLinks(chain, address) {
+  const c = String(chain || '').toLowerCase();
+  const a = encodeURIComponent(address);
+  const links = [];
+  if (c === 'solana') {
+    links.push({ label: 'Solscan', url: `https://solscan.io/token/${a}` });
+    links.push({ label: 'pump.fun', url: `https://pump.fun/coin/${a}` });
+    links.push({ label: 'DexScreener', url: `https://dexscreener.com/solana/${a}` });
+  } else if (EVM_EXPLORERS[c]) {
+    links.push({ label: EVM_EXPLORERS[c].label, url: `${EVM_EXPLORERS[c].base}/token/${a}` });
+    links.push({ label: 'DexScreener', url: `https://dexscreener.com/${DEXSCREENER_CHAINS[c] || c}/${a}` });
+  } else {
+    links.push({ label: 'DexScreener', url: `https://dexscreener.com/search?q=${a}` });
+  }
+  return links;
+}
+
+function txLink(chain, signature) {
+  const c = String(chain || '').toLowerCase();
+  if (c === 'solana') return `https://solscan.io/tx/${encodeURIComponent(signature)}`;
+  if (EVM_EXPLORERS[c]) return `${EVM_EXPLORERS[c].base}/tx/${encodeURIComponent(signature)}`;
+  return null;
+}
+
+function formatLinks(links) {
+  return links.map(l => `<a href="${escapeHtml(l.url)}">${escapeHtml(l.label)}</a>`).join(' | ');
+}
+
+function usd(value) {
+  return value ? `$${Number(value).toLocaleString()}` : 'N/A';
+}
+
+const SOCIAL_LABELS = { twitter: 'X', telegram: 'Telegram', website: 'Website' };
+
+// Social links from the metadata URI (src/socials.js) as [{ label, url }]
+function socialLinks(enrichment) {
+  if (!enrichment || !enrichment.socials) return [];
+  return Object.entries(SOCIAL_LABELS).filter(([k]) => enrichment.socials[k]).map(([k, label]) => ({ label, url: enrichment.socials[k] }));
+}
+
+// Impersonation warnings worth a line of their own (the risk line only lists flag ids)
+function enrichmentWarnings(enrichment) {
+  if (!enrichment) return [];
+  const warnings = [];
+  if (enrichment.tickerClashes.length) warnings.push(`Same ticker as recently alerted ${enrichment.tickerClashes.slice(0, 3).join(', ')}`);
+  else if (enrichment.protectedTicker) warnings.push('Uses the ticker of a well-known token');
+  if (enrichment.imageReusedBy.length) warnings.push(`Image reused from ${enrichment.imageReusedBy.slice(0, 3).join(', ')}`);
+  return warnings;
+}
+
+// Early trading flow (src/flow.js) as one line of plain text, or null for tokens without recorded swaps
+function formatFlow(metrics) {
+  if (!metrics || metrics.uniqueBuyers === null || metrics.uniqueBuyers === undefined) return null;
+  const net = metrics.netSolInflow;
+  return `${metrics.uniqueBuyers} buyers, ${metrics.buySellRatio === null ? 'no trades' : `${metrics.buySellRatio} buys/sell`}, ` +
+    `${net > 0 ? '+' : ''}${net} SOL net, ${metrics.sniperCount} sniper${metrics.sniperCount === 1 ? '' : 's'}`;
+}
+
+// "Label bought 2.5 SOL" / "Label created the token" for a tracked wallet signal (src/wallets.js)
+function describeWallet(wallet) {
+  if (!wallet) return null;
+  if (wallet.action === 'create') return `${wallet.label} created the token`;
+  return `${wallet.label} bought${wallet.lamports ? ` ${Math.round(wallet.lamports / 1e7) / 100} SOL` : ''}`;
+}
+
+function formatTokenTitle(meta) {
+  if (!meta || !(meta.name || meta.symbol)) return null;
+  return `<b>${escapeHtml(meta.name || '')}</b> (${escapeHtml(meta.symbol || '')})`;
+}
+
+function formatMetricLines({ chain, address, meta, curve, risk, enrichment, wallet, metrics }) {
+  const { marketCap, vol24h, holdersCount, top10Percent, devPercent, holderGini, holderHHI, curveProgress } = metrics;
+  const lines = [];
+  const title = formatTokenTitle(meta);
+  if (title) lines.push(title);
+  if (wallet) lines.push(`Tracked wallet: <b>${escapeHtml(describeWallet(wallet))}</b>`);
+  lines.push(`Address: <code>${escapeHtml(address)}</code>`);
+  lines.push(`Chain: <code>${escapeHtml(chain)}</code>`);
+  lines.push(`Market Cap: ${usd(marketCap)}`);
+  lines.push(`24h Volume: ${usd(vol24h)}`);
+  lines.push(`Holders: ${holdersCount}`);
+  lines.push(`Top 10 holders share: ${top10Percent}%`);
+  lines.push(`Dev/creator share: ${devPercent === null ? 'N/A' : `${devPercent}%`}`);
+  if (holderGini !== null) lines.push(`Holder distribution: Gini ${holderGini}, HHI ${holderHHI}`);
+  const flow = formatFlow(metrics);
+  if (flow) lines.push(`Early flow: ${escapeHtml(flow)}`);
+  lines.push(escapeHtml(formatRisk(risk)));
+  for (const warning of enrichmentWarnings(enrichment)) lines.push(`Warning: ${escapeHtml(warning)}`);
+  if (enrichment && enrichment.fetched) {
+    const socials = socialLinks(enrichment);
+    lines.push(`Socials: ${socials.length ? formatLinks(socials) : 'none'}`);
+  }
+  if (curve) {
+    // curvePricing gives no market cap for a curve without virtual token reserves
+    const mcapSol = curve.marketCapSol === null || curve.marketCapSol === undefined ? 'N/A' : curve.marketCapSol.toFixed(2);
+    lines.push(`Bonding curve: ${curve.complete ? 'complete (migrated)' : `${curveProgress === null ? 'N/A' : `${curveProgress}%`} (${mcapSol} SOL mcap)`}`);
+  }
+  return lines;
+}
+
+// Values available to subscriber templates, e.g. "{symbol} mcap {marketCap}" (HTML-escaped)
+function templateVars({ chain, address, meta, metrics, eventType, enrichment, wallet }, decision) {
+  const socials = (enrichment && enrichment.socials) || {};
+  const vars = {
+    name: meta && meta.name,
+    symbol: meta && meta.symbol,
+    address,
+    chain,
+    eventType,
+    twitter: socials.twitter || '',
+    telegram: socials.telegram || '',
+    website: socials.website || '',
+    wallet: describeWallet(wallet) || '',
+    ...metrics,
+    profile: decision.ruleSet,
+    reason: decision.reason
+  };
+  for (const [k, v] of Object.entries(vars)) if (typeof v === 'string') vars[k] = escapeHtml(v);
+  return vars;
+}
+
+// Inline keyboard attached to alerts. callback_data is "<action>:<chain>:<address>" (max 64 bytes).
+function alertButtons(chain, address) {
+  return [
+    [
+      { text: 'Recheck', callback_data: `rc:${chain}:${address}` },
+      { text: 'Mute token', callback_data: `mt:${chain}:${address}` }
+    ],
+    [{ text: 'Copy address', copy_text: { text: address } }]
+  ];
+}
+
+function parseCallbackData(data) {
+  const [action, chain, ...rest] = String(data || '').split(':');
+  const address = rest.join(':');
+  if (!action || !chain || !address) return null;
+  return { action, chain, address };
+}
+
+// Alert message for one subscriber: { text, buttons }
+function renderAlert(result, decision, sub) {
+  const buttons = alertButtons(result.chain, result.address);
+  if (sub.template) return { text: renderTemplate(sub.template, templateVars(result, decision)), buttons };
+  // a tracked wallet with bypassFilters may alert on a token that failed them
+  const lines = [`<b>${result.wallet ? 'Tracked wallet activity' : 'New token passing filters'}</b>`, ...formatMetricLines(result)];
+  lines.push(formatLinks(tokenLinks(result.chain, result.address)));
+  return { text: lines.join('\n'), buttons };
+}
+
+// Refreshed alert body after a Recheck button press
+function renderRecheck(result, decision) {
+  const status = decision ? (decision.passed ? 'still passing' : 'no longer passing') : result.status;
+  const lines = [`<b>Rechecked ${new Date().toISOString().slice(11, 16)} UTC: ${escapeHtml(status)}</b>`, ...formatMetricLines(result)];
+  if (decision) lines.push(escapeHtml(decision.reason));
+  lines.push(formatLinks(tokenLinks(result.chain, result.address)));
+  return lines.join('\n');
+}
+
+function renderGraduation({ chain, address, meta, market, signature }) {
+  const lines = ['<b>Token graduated from pump.fun bonding curve</b>'];
+  const title = formatTokenTitle(meta);
+  if (title) lines.push(title);
+  lines.push(`Address: <code>${escapeHtml(address)}</code>`);
+  lines.push(`Market Cap: ${usd(market.marketCap)}`);
+  lines.push(`24h Volume: ${usd(market.volume24h)}`);
+  if (signature) {
+    const url = txLink(chain, signature);
+    lines.push(url ? `Migration tx: <a href="${escapeHtml(url)}">${escapeHtml(signature.slice(0, 12))}…</a>` : `Migration tx: <code>${escapeHtml(signature)}</code>`);
+  }
+  lines.push(formatLinks(tokenLinks(chain, address)));
+  return lines.join('\n');
+}
+
+function renderMilestone({ symbol, address, multiple, marketCap }) {
+  return `<b>${escapeHtml(symbol || address)} reached ${multiple}x</b> since the alert (market cap ${usd(marketCap)})`;
+}
+
+// A tracked wallet bought or launched a token the chat was already alerted on
+function renderWalletActivity({ chain, address, meta, wallet }) {
+  const symbol = (meta && meta.symbol) || address;
+  const lines = [`<b>Tracked wallet: ${escapeHtml(describeWallet(wallet))}</b> (${escapeHtml(symbol)})`];
+  const url = wallet.signature ? txLink(chain, wallet.signature) : null;
+  if (url) lines.push(`<a href="${escapeHtml(url)}">Transaction</a> | ${formatLinks(tokenLinks(chain, address))}`);
+  else lines.push(formatLinks(tokenLinks(chain, address)));
+  return lines.join('\n');
+}
+
+module.exports = {
+  escapeHtml,
+  tokenLinks,
+  txLink,
+  formatLinks,
+  usd,
+  socialLinks,
+  enrichmentWarnings,
+  formatFlow,
+  describeWallet,
+  formatMetricLines,
+  templateVars,
+  alertButtons,
+  parseCallbackData,
+  renderAlert,
+  renderRecheck,
+  renderGraduation,
+  renderMilestone,
+  renderWalletActivity
+};
@@ -0,0 +1,130 @@
+// Rug-risk analysis
+// - Mint / freeze authority: an active mint authority can inflate supply, an active freeze authority can lock holders out
+// - Liquidity: tokens still on a pump.fun curve or migrated by pump.fun (LP burned) are safe; anything else is unknown
+// - Creator: balance share (fetched directly when not among top holders) and past launches with their outcomes
+// - Metadata (src/socials.js): no social links, an image reused from another recent launch, a copied ticker
+// Each token gets a 0-100 score (higher = riskier) and the list of flags that contributed to it.
+//
+// Keys: creator:<chain>:<creator> (zset mint by launch time), launch:outcomes (hash chain:mint -> 'rug' | 'dead' | 'ok')
+
+const { redis } = require('./redis');
+const { getProvider } = require('./providers');
+
+const {
+  RISK_DEV_PERCENT = '5',
+  RISK_SERIAL_LAUNCHES = '3',
+  RISK_RUG_DRAWDOWN_PERCENT = '90'
+} = process.env;
+
+const OUTCOMES_KEY = 'launch:outcomes';
+const CREATOR_HISTORY_DAYS = 30;
+
+// Points per flag; the score is their sum capped at 100
+const WEIGHTS = {
+  mintAuthorityActive: 30,
+  freezeAuthorityActive: 20,
+  liquidityUnknown: 10,
+  devHoldsLarge: 15,
+  serialLauncher: 10,
+  priorRug: 15, // per previous rugged/dead launch, counted up to twice
+  noSocials: 10,
+  reusedImage: 15,
+  tickerImpersonation: 20
+};
+
+function creatorKey(chain, creator) {
+  return `creator:${chain}:${creator}`;
+}
+
+// Remember that `creator` launched `mint`, and return the creator's other launches with their outcomes
+async function recordCreatorLaunch(chain, mint, creator) {
+  const key = creatorKey(chain, creator);
+  const now = Date.now();
+  await redis.zadd(key, { score: now, member: mint });
+  await redis.zremrangebyscore(key, 0, now - CREATOR_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  await redis.expire(key, CREATOR_HISTORY_DAYS * 24 * 60 * 60);
+  const mints = (await redis.zrange(key, 0, -1)).filter(m => m !== mint);
+  const outcomes = mints.length ? await redis.hmget(OUTCOMES_KEY, ...mints.map(m => `${chain}:${m}`)) : [];
+  return mints.map((m, i) => ({ address: m, outcome: (outcomes && outcomes[i]) || null }));
+}
+
+// Outcomes are reported by the watchlist (dead tokens) and the performance tracker (rugs)
+async function recordLaunchOutcome(chain, mint, outcome) {
+  try {
+    await redis.hset(OUTCOMES_KEY, { [`${chain}:${mint}`]: outcome });
+  } catch (err) {
+    console.warn('Failed to record launch outcome:', mint, err && err.message ? err.message : err);
+  }
+}
+
+function isRugDrawdown(maxDrawdownPercent) {
+  return maxDrawdownPercent >= Number(RISK_RUG_DRAWDOWN_PERCENT);
+}
+
+function liquidityStatus(curve) {
+  if (!curve) return 'unknown';
+  // pump.fun burns the LP tokens when it migrates a completed curve
+  return curve.complete ? 'burned' : 'curve';
+}
+
+// Analyse one token. devPercent is the creator's share already computed by the pipeline.
+// history: false skips the creator launch history (no Redis reads or writes, for offline backtests).
+// enrichment is the enrichToken result (null when the token has no metadata URI or it wasn't looked up).
+async function assessRisk({ chain, address, creator, curve, devPercent, enrichment = null, provider = getProvider(chain), history: useHistory = true }) {
+  const flags = [];
+  const add = (id, detail, points = WEIGHTS[id]) => flags.push({ id, points, detail });
+
+  const authorities = await provider.fetchTokenAuthorities(chain, address);
+  if (authorities && authorities.mintAuthority) add('mintAuthorityActive', `mint authority ${authorities.mintAuthority}`);
+  if (authorities && authorities.freezeAuthority) add('freezeAuthorityActive', `freeze authority ${authorities.freezeAuthority}`);
+
+  const liquidity = liquidityStatus(curve);
+  if (liquidity === 'unknown') add('liquidityUnknown', 'liquidity lock/burn status unknown');
+
+  if (devPercent !== null && devPercent >= Number(RISK_DEV_PERCENT)) add('devHoldsLarge', `creator holds ${devPercent}%`);
+
+  let history = [];
+  if (creator && useHistory) {
+    try {
+      history = await recordCreatorLaunch(chain, address, creator);
+    } catch (err) {
+      console.warn('Creator history lookup failed:', creator, err && err.message ? err.message : err);
+    }
+    if (history.length >= Number(RISK_SERIAL_LAUNCHES)) add('serialLauncher', `${history.length} other launches in ${CREATOR_HISTORY_DAYS}d`);
+    const bad = history.filter(h => h.outcome === 'rug' || h.outcome === 'dead');
+    if (bad.length) add('priorRug', `${bad.length} previous launch(es) rugged or died`, WEIGHTS.priorRug * Math.min(2, bad.length));
+  }
+
+  if (enrichment) {
+    if (enrichment.socialsCount === 0) add('noSocials', 'no Twitter, Telegram or website in the metadata');
+    if (enrichment.imageReusedBy.length) add('reusedImage', `image also used by ${enrichment.imageReusedBy.length} other recent token(s)`);
+    if (enrichment.tickerClashes.length) add('tickerImpersonation', `same ticker as ${enrichment.tickerClashes.length} recently alerted token(s)`);
+    else if (enrichment.protectedTicker) add('tickerImpersonation', 'uses the ticker of a well-known token');
+  }
+
+  const score = Math.min(100, flags.reduce((acc, f) => acc + f.points, 0));
+  return {
+    score,
+    flags,
+    mintAuthorityRevoked: authorities ? !authorities.mintAuthority : null,
+    freezeAuthorityRevoked: authorities ? !authorities.freezeAuthority : null,
+    liquidity,
+    creatorLaunches: history
+  };
+}
+
+function formatRisk(risk) {
+  if (!risk) return 'Risk: N/A';
+  const detail = risk.flags.length ? risk.flags.map(f => f.id).join(', ') : 'no flags';
+  return `Risk: ${risk.score}/100 (${detail})`;
+}
+
+module.exports = {
+  WEIGHTS,
+  assessRisk,
+  formatRisk,
+  recordCreatorLaunch,
+  recordLaunchOutcome,
+  isRugDrawdown,
+  liquidityStatus
+};
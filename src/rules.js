@@ -0,0 +1,285 @@
+// Declarative filter rule engine
+// - Rule sets are named trees of AND ("all") / OR ("any") groups with comparison leaves
+// - Loaded from RULES_FILE (JSON or YAML), from Redis (RULES_SOURCE=redis) or the built-in default
+// - Per-chain overrides patch named leaves, e.g. a lower minMarketCap on solana; they are validated like the sets
+// - An unknown set name (RULE_SET, a subscriber profile) stops the server at startup and evaluates as "default" later
+// - Runtime overrides (set through the Telegram /set command) patch leaf values on top of everything else
+// - Every evaluation reports which leaves passed/failed so the caller can log a precise reason
+//
+// Example rule set file:
+//   {
+//     "default": {
+//       "rules": { "all": [
+//         { "name": "minMarketCap", "metric": "marketCap", "op": ">=", "value": 15000 },
+//         { "any": [
+//           { "name": "minHolders", "metric": "holdersCount", "op": ">=", "value": 30 },
+//           { "name": "minVolume", "metric": "vol24h", "op": ">=", "value": 50000 }
+//         ] }
+//       ] },
+//       "chains": { "solana": { "minMarketCap": { "value": 5000 } } }
+//     }
+//   }
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Metrics computed by processTokenEvent that rules may reference
+const METRICS = [
+  'marketCap', 'holdersCount', 'top10Percent', 'devPercent', 'holderHHI', 'holderGini', 'vol24h', 'price', 'ageSeconds', 'curveProgress', 'riskScore',
+  // from the metadata URI (src/socials.js); null when it couldn't be fetched
+  'socialsCount', 'imageReuseCount', 'tickerClashCount',
+  // from Helius swaps of watched mints (src/flow.js); null for tokens without recorded flow
+  'uniqueBuyers', 'buySellRatio', 'netSolInflow', 'sniperCount',
+  // tracked smart wallets among the top holders (src/wallets.js)
+  'trackedHolders'
+];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Same thresholds that used to be hard-coded in processTokenEvent
+const DEFAULT_RULE_SETS = {
+  default: {
+    rules: {
+      all: [
+        { name: 'minMarketCap', metric: 'marketCap', op: '>=', value: 15000 },
+        { name: 'minHolders', metric: 'holdersCount', op: '>=', value: 30 },
+        { name: 'maxTop10Percent', metric: 'top10Percent', op: '<', value: 20 },
+        { name: 'maxDevPercent', metric: 'devPercent', op: '<', value: 3 },
+        { name: 'hasVolume', metric: 'vol24h', op: '>', value: 0 }
+      ]
+    },
+    chains: {}
+  }
+};
+
+const REDIS_RULES_KEY = 'rules:sets';
+const RUNTIME_OVERRIDES_KEY = 'rules:overrides';
+const CACHE_TTL_MS = 30_000;
+
+let cached = null; // { sets, loadedAt }
+let cachedOverrides = null; // { values, loadedAt }
+const warnedUnknown = new Set();
+
+// Throws on malformed nodes so a bad rules file is caught at load time rather than silently passing tokens
+function validateNode(node, where) {
+  if (!node || typeof node !== 'object') throw new Error(`Invalid rule at ${where}: expected object`);
+  if (Array.isArray(node.all) || Array.isArray(node.any)) {
+    const children = node.all || node.any;
+    children.forEach((child, i) => validateNode(child, `${where}.${node.all ? 'all' : 'any'}[${i}]`));
+    return;
+  }
+  if (!METRICS.includes(node.metric)) throw new Error(`Invalid rule at ${where}: unknown metric "${node.metric}"`);
+  if (!OPERATORS[node.op]) throw new Error(`Invalid rule at ${where}: unknown operator "${node.op}"`);
+  if (typeof node.value !== 'number') throw new Error(`Invalid rule at ${where}: value must be a number`);
+}
+
+// Per-chain overrides patch leaves by name; the patched leaf must still be a valid rule
+function validateChainOverrides(set, name) {
+  if (set.chains === undefined || set.chains === null) return;
+  if (typeof set.chains !== 'object' || Array.isArray(set.chains)) throw new Error(`Invalid chains in rule set "${name}": expected object keyed by chain`);
+  const leaves = leafNodes(set.rules);
+  for (const [chain, patches] of Object.entries(set.chains)) {
+    const where = `${name}.chains.${chain}`;
+    if (!patches || typeof patches !== 'object' || Array.isArray(patches)) throw new Error(`Invalid override at ${where}: expected object keyed by rule name`);
+    for (const [leafName, patch] of Object.entries(patches)) {
+      const leaf = leaves.find(l => l.name === leafName);
+      if (!leaf) throw new Error(`Invalid override at ${where}: unknown rule "${leafName}"`);
+      if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new Error(`Invalid override at ${where}.${leafName}: expected object`);
+      const extra = Object.keys(patch).filter(k => !['metric', 'op', 'value'].includes(k));
+      if (extra.length) throw new Error(`Invalid override at ${where}.${leafName}: unexpected ${extra.join(', ')}`);
+      validateNode({ ...leaf, ...patch }, `${where}.${leafName}`);
+    }
+  }
+}
+
+function validateRuleSets(sets) {
+  if (!sets || typeof sets !== 'object') throw new Error('Rule sets must be an object keyed by name');
+  for (const [name, set] of Object.entries(sets)) {
+    if (!set || !set.rules) throw new Error(`Rule set "${name}" has no "rules"`);
+    validateNode(set.rules, `${name}.rules`);
+    validateChainOverrides(set, name);
+  }
+  return sets;
+}
+
+function parseRuleSets(text, filename = '') {
+  const ext = path.extname(filename).toLowerCase();
+  const parsed = (ext === '.yaml' || ext === '.yml') ? yaml.load(text) : JSON.parse(text);
+  return validateRuleSets(parsed);
+}
+
+// Load rule sets from the configured source. Results are cached briefly so Redis-backed
+// rules can be edited at runtime without a redeploy and without a Redis call per token.
+async function loadRuleSets(redis, { force = false } = {}) {
+  if (!force && cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.sets;
+
+  const { RULES_SOURCE = 'file', RULES_FILE } = process.env;
+  let sets = DEFAULT_RULE_SETS;
+  try {
+    if (RULES_SOURCE === 'redis') {
+      const stored = await redis.get(REDIS_RULES_KEY);
+      if (stored) sets = validateRuleSets(typeof stored === 'string' ? JSON.parse(stored) : stored);
+    } else if (RULES_FILE) {
+      sets = parseRuleSets(fs.readFileSync(RULES_FILE, 'utf8'), RULES_FILE);
+    }
+  } catch (err) {
+    // keep the last good rules rather than falling back to defaults mid-flight
+    console.warn('Failed to load rule sets (using previous/default):', err && err.message ? err.message : err);
+    if (cached) return cached.sets;
+  }
+  cached = { sets, loadedAt: Date.now() };
+  return sets;
+}
+
+// Runtime overrides are a Redis hash of leaf name -> numeric value, applied to every rule set and chain
+async function loadRuntimeOverrides(redis, { force = false } = {}) {
+  if (!force && cachedOverrides && Date.now() - cachedOverrides.loadedAt < CACHE_TTL_MS) return cachedOverrides.values;
+  let values = {};
+  try {
+    const stored = await redis.hgetall(RUNTIME_OVERRIDES_KEY);
+    for (const [name, value] of Object.entries(stored || {})) values[name] = Number(value);
+  } catch (err) {
+    console.warn('Failed to load runtime rule overrides:', err && err.message ? err.message : err);
+    if (cachedOverrides) values = cachedOverrides.values;
+  }
+  cachedOverrides = { values, loadedAt: Date.now() };
+  return values;
+}
+
+function leafNodes(node, out = []) {
+  if (node.all || node.any) (node.all || node.any).forEach(n => leafNodes(n, out));
+  else out.push(node);
+  return out;
+}
+
+function leafNames(node) {
+  return leafNodes(node).filter(l => l.name).map(l => l.name);
+}
+
+// Set (or clear with value === null) a runtime override. Only names that exist as a leaf in some rule set are accepted.
+async function setRuntimeOverride(redis, name, value) {
+  const sets = await loadRuleSets(redis);
+  const known = new Set(Object.values(sets).flatMap(set => leafNames(set.rules)));
+  if (!known.has(name)) throw new Error(`Unknown rule "${name}". Known rules: ${Array.from(known).join(', ')}`);
+  if (value === null) {
+    await redis.hdel(RUNTIME_OVERRIDES_KEY, name);
+  } else {
+    if (!Number.isFinite(value)) throw new Error('Value must be a number');
+    await redis.hset(RUNTIME_OVERRIDES_KEY, { [name]: value });
+  }
+  return loadRuntimeOverrides(redis, { force: true });
+}
+
+// Apply per-chain overrides (keyed by leaf name) on top of a rule tree, returning a new tree
+function applyOverrides(node, overrides) {
+  if (!overrides) return node;
+  if (node.all) return { ...node, all: node.all.map(n => applyOverrides(n, overrides)) };
+  if (node.any) return { ...node, any: node.any.map(n => applyOverrides(n, overrides)) };
+  return node.name && overrides[node.name] ? { ...node, ...overrides[node.name] } : node;
+}
+
+// Name of the set that evaluates `setName`: the set itself, or "default" (with a warning, once per name) when a
+// subscriber profile or RULE_SET refers to a set that is no longer loaded
+function ruleSetName(sets, setName) {
+  if (sets[setName]) return setName;
+  if (!sets.default) throw new Error(`Unknown rule set "${setName}"`);
+  if (!warnedUnknown.has(setName)) {
+    warnedUnknown.add(setName);
+    console.warn(`Unknown rule set "${setName}", evaluating with "default"`);
+  }
+  return 'default';
+}
+
+// Startup check: the configured RULE_SET must exist in the loaded rule sets
+async function checkRuleSet(redis, setName = process.env.RULE_SET || 'default') {
+  const sets = await loadRuleSets(redis, { force: true });
+  if (!sets[setName]) throw new Error(`RULE_SET "${setName}" is not a loaded rule set (available: ${Object.keys(sets).join(', ')})`);
+  return setName;
+}
+
+function resolveRules(sets, setName, chain, runtimeOverrides = null) {
+  const set = sets[ruleSetName(sets, setName)];
+  const chainOverrides = set.chains && chain ? set.chains[String(chain).toLowerCase()] : null;
+  const runtime = runtimeOverrides
+    ? Object.fromEntries(Object.entries(runtimeOverrides).map(([name, value]) => [name, { value }]))
+    : null;
+  return applyOverrides(applyOverrides(set.rules, chainOverrides), runtime);
+}
+
+// Render a rule tree as indented text lines, e.g. for the /filters bot command
+function describeRules(node, indent = '') {
+  if (node.all || node.any) {
+    const children = node.all || node.any;
+    return [`${indent}${node.all ? 'ALL of' : 'ANY of'}:`, ...children.flatMap(n => describeRules(n, indent + '  '))];
+  }
+  return [`${indent}- ${node.name || node.metric}: ${node.metric} ${node.op} ${node.value}`];
+}
+
+function describeLeaf(leaf, actual) {
+  const label = leaf.name || leaf.metric;
+  return `${label}: ${leaf.metric}=${actual === null || actual === undefined ? 'N/A' : actual} (need ${leaf.op} ${leaf.value})`;
+}
+
+// Evaluate a rule tree against metrics. Missing metrics (null/undefined) always fail their leaf.
+// Returns { passed, results: [{ name, metric, op, value, actual, passed }] } with one entry per leaf evaluated.
+function evaluate(node, metrics, results = []) {
+  if (node.all) {
+    let passed = true;
+    for (const child of node.all) passed = evaluate(child, metrics, results).passed && passed;
+    return { passed, results };
+  }
+  if (node.any) {
+    let passed = false;
+    for (const child of node.any) passed = evaluate(child, metrics, results).passed || passed;
+    return { passed, results };
+  }
+  const actual = metrics[node.metric];
+  const ok = actual !== null && actual !== undefined && !Number.isNaN(actual) && OPERATORS[node.op](Number(actual), node.value);
+  results.push({ name: node.name || node.metric, metric: node.metric, op: node.op, value: node.value, actual: actual ?? null, passed: ok });
+  return { passed: ok, results };
+}
+
+// Evaluate a named set from already-loaded rule sets (no Redis; used by bin/backtest.js)
+function evaluateRuleSet(sets, metrics, { chain, ruleSet = 'default', overrides = null } = {}) {
+  const used = ruleSetName(sets, ruleSet);
+  const rules = resolveRules(sets, used, chain, overrides);
+  const { passed, results } = evaluate(rules, metrics);
+  const relevant = results.filter(r => r.passed === passed);
+  const label = used === ruleSet ? used : `${used}; unknown set "${ruleSet}"`;
+  const reason = `${passed ? 'passed' : 'failed'} [${label}] ` + relevant.map(r => describeLeaf(r, r.actual)).join('; ');
+  return { passed, ruleSet: used, results, reason };
+}
+
+// Evaluate the named rule set for a chain and build a human-readable reason
+async function evaluateToken(redis, metrics, { chain, ruleSet = process.env.RULE_SET || 'default' } = {}) {
+  const sets = await loadRuleSets(redis);
+  return evaluateRuleSet(sets, metrics, { chain, ruleSet, overrides: await loadRuntimeOverrides(redis) });
+}
+
+module.exports = {
+  METRICS,
+  OPERATORS,
+  DEFAULT_RULE_SETS,
+  REDIS_RULES_KEY,
+  RUNTIME_OVERRIDES_KEY,
+  parseRuleSets,
+  validateRuleSets,
+  loadRuleSets,
+  loadRuntimeOverrides,
+  setRuntimeOverride,
+  ruleSetName,
+  checkRuleSet,
+  resolveRules,
+  describeRules,
+  evaluate,
+  evaluateRuleSet,
+  evaluateToken
+};
@@ -0,0 +1,240 @@
+// Off-chain metadata enrichment: the JSON behind a token's metadata URI (image, description, social links)
+// - fetchOffchainMetadata fetches the URI with a timeout (METADATA_FETCH_TIMEOUT_MS) and size cap (METADATA_MAX_BYTES).
+//   ipfs:// and ar:// URIs go through gateways; only public http(s) hosts are fetched, since the URI is chosen by
+//   whoever launched the token: every address a host resolves to is checked when connecting, on each redirect too.
+//   Counted as the "metadata" service (see src/providers/budget.js) and optional.
+// - extractSocials picks Twitter/X, Telegram and website links from the top level or `extensions`, keeping only
+//   well-formed URLs on the expected hosts
+// - enrichToken adds the warnings:
+//   - missing socials
+//   - reused image: the same image on another token seen within METADATA_WINDOW_SEC. pump.fun uploads images to IPFS,
+//     so the CID identifies the image itself; other URLs are compared as-is
+//   - ticker impersonation: the symbol of a token alerted within the window, or one of METADATA_PROTECTED_TICKERS
+//
+// Keys: enrich:<chain>:<address> (JSON off-chain metadata, fetched once per token so re-checks don't count its own image),
+//       enrich:image:<fingerprint> (zset address by first seen), enrich:ticker:<chain>:<SYMBOL> (zset alerted address by alert time)
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { redis } = require('./redis');
+const { callProvider } = require('./providers/budget');
+
+const {
+  METADATA_FETCH_TIMEOUT_MS = '5000',
+  METADATA_MAX_BYTES = '65536',
+  METADATA_IPFS_GATEWAY = 'https://ipfs.io/ipfs/',
+  METADATA_WINDOW_SEC = String(60 * 60 * 24 * 7),
+  METADATA_PROTECTED_TICKERS = 'SOL,USDC,USDT,BONK,WIF,JUP,PUMP'
+} = process.env;
+
+const CACHE_TTL_SEC = 60 * 60 * 24;
+const PROTECTED = new Set(METADATA_PROTECTED_TICKERS.split(',').map(s => s.trim().toUpperCase()).filter(Boolean));
+
+const SOCIAL_HOSTS = {
+  twitter: ['twitter.com', 'x.com'],
+  telegram: ['t.me', 'telegram.me']
+};
+
+function isPrivateAddress(host) {
+  const h = host.replace(/^\[|\]$/g, '').toLowerCase();
+  if (h === 'localhost' || h.endsWith('.localhost') || h.endsWith('.local') || h.endsWith('.internal')) return true;
+  if (net.isIPv4(h)) {
+    const [a, b] = h.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || (a === 198 && (b === 18 || b === 19)) || a >= 224;
+  }
+  if (net.isIPv6(h)) return h === '::' || h === '::1' || /^f[cdf]/.test(h) || h.startsWith('fe80') || h.startsWith('::ffff:');
+  return false;
+}
+
+// dns.lookup for the metadata agents: a host that resolves to any private address is refused, and the connection
+// goes to an address that was checked (so a second, rebinding answer can't slip through)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked || !addresses.length) {
+      return callback(Object.assign(new Error(`${hostname} resolves to ${blocked ? `private address ${blocked.address}` : 'nothing'}`), { code: 'EPRIVATEADDR' }));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// http(s) URL we are willing to fetch, with ipfs:// and ar:// rewritten to gateways; null otherwise
+function resolveUri(uri) {
+  const raw = String(uri || '').trim();
+  if (raw.startsWith('ipfs://')) return `${METADATA_IPFS_GATEWAY}${raw.slice(7).replace(/^ipfs\//, '')}`;
+  if (raw.startsWith('ar://')) return `https://arweave.net/${raw.slice(5)}`;
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (err) {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  if (isPrivateAddress(url.hostname)) return null;
+  return url.toString();
+}
+
+// The parsed JSON object, or null when the URI is unusable, too large, slow, not JSON or skipped near the budget
+async function fetchOffchainMetadata(uri) {
+  const url = resolveUri(uri);
+  if (!url) return null;
+  const maxBytes = Number(METADATA_MAX_BYTES);
+  try {
+    const res = await callProvider('metadata', () => axios.get(url, {
+      timeout: Number(METADATA_FETCH_TIMEOUT_MS),
+      signal: AbortSignal.timeout(Number(METADATA_FETCH_TIMEOUT_MS)),
+      maxContentLength: maxBytes,
+      maxRedirects: 3,
+      // every hop connects through publicLookup; IP literals skip DNS, so redirects to them are checked here
+      beforeRedirect: options => {
+        if (isPrivateAddress(options.hostname || '')) throw new Error(`redirect to ${options.hostname} refused`);
+      },
+      httpAgent,
+      httpsAgent,
+      // a proxy would resolve the host itself, past the checks above
+      proxy: false,
+      responseType: 'text',
+      transformResponse: [data => data]
+    }), { optional: true });
+    if (!res) return null;
+    const json = JSON.parse(res.data);
+    return json && typeof json === 'object' && !Array.isArray(json) ? json : null;
+  } catch (err) {
+    console.warn('Metadata URI fetch failed:', uri, err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+function normalizeSocial(kind, value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  let v = value.trim();
+  // bare handles: "@name" or "name"
+  if (kind !== 'website' && /^@?[A-Za-z0-9_]{1,32}$/.test(v)) v = `https://${SOCIAL_HOSTS[kind][0]}/${v.replace(/^@/, '')}`;
+  if (!/^https?:\/\//i.test(v)) v = `https://${v}`;
+  let url;
+  try {
+    url = new URL(v);
+  } catch (err) {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  if (SOCIAL_HOSTS[kind]) {
+    if (!SOCIAL_HOSTS[kind].includes(host) || url.pathname.length < 2) return null;
+  } else if (!host.includes('.') || Object.values(SOCIAL_HOSTS).flat().includes(host)) {
+    return null;
+  }
+  return url.toString();
+}
+
+// { twitter, telegram, website } with null for missing or malformed links
+function extractSocials(json) {
+  const ext = (json && typeof json.extensions === 'object' && json.extensions) || {};
+  // first candidate that validates
+  const pick = (kind, ...values) => values.map(v => normalizeSocial(kind, v)).find(Boolean) || null;
+  return {
+    twitter: pick('twitter', json.twitter, json.x, ext.twitter, ext.x),
+    telegram: pick('telegram', json.telegram, ext.telegram),
+    website: pick('website', json.website, json.external_url, ext.website)
+  };
+}
+
+// Same image, whatever gateway serves it
+function imageFingerprint(image) {
+  if (typeof image !== 'string' || !image.trim()) return null;
+  const cid = image.match(/(?:ipfs:\/\/|\/ipfs\/)(?:ipfs\/)?([A-Za-z0-9]{46,})/) || image.match(/^https?:\/\/([a-z0-9]{59})\.ipfs\./i);
+  if (cid) return `ipfs:${cid[1]}`;
+  return image.trim().replace(/[?#].*$/, '').toLowerCase();
+}
+
+async function cachedOffchain(chain, address, uri, { dryRun = false } = {}) {
+  const key = `enrich:${chain}:${address}`;
+  try {
+    const v = await redis.get(key);
+    if (v) return { json: typeof v === 'string' ? JSON.parse(v) : v, fresh: false };
+  } catch (err) {
+    // refetch below
+  }
+  const json = await fetchOffchainMetadata(uri);
+  // failed fetches are retried on the next scan; a dry run leaves the first real scan to cache it
+  if (json && !dryRun) try { await redis.set(key, JSON.stringify(json), { ex: CACHE_TTL_SEC }); } catch (e) {}
+  return { json, fresh: true };
+}
+
+// Other tokens in a window zset, recording this one first when `record` is set.
+// earlier: only those recorded before this token (the first launch with an image isn't the copy).
+async function othersInWindow(key, address, { record = false, earlier = false } = {}) {
+  const now = Date.now();
+  const windowSec = Number(METADATA_WINDOW_SEC);
+  if (record) {
+    await redis.zadd(key, { score: now, member: address });
+    await redis.expire(key, windowSec);
+  }
+  await redis.zremrangebyscore(key, 0, now - windowSec * 1000);
+  const until = earlier ? Number(await redis.zscore(key, address)) || now : '+inf';
+  return (await redis.zrange(key, 0, until, { byScore: true })).filter(m => m !== address);
+}
+
+// Enrichment for one token. Returns null without a metadata URI, otherwise
+// { fetched, image, description, socials, socialsCount, imageReusedBy: [address], tickerClashes: [address], protectedTicker }
+// where the counts are null when the JSON could not be fetched. offline (backtests) skips the fetch and Redis;
+// dryRun (/check) reads but neither caches the JSON nor records the image, so later reuse warnings are unchanged.
+async function enrichToken({ chain, address, meta }, { offline = false, dryRun = false } = {}) {
+  if (!meta || !meta.uri || offline) return null;
+  const { json, fresh } = await cachedOffchain(chain, address, meta.uri, { dryRun });
+  const symbol = String(meta.symbol || (json && json.symbol) || '').trim().toUpperCase();
+
+  let tickerClashes = [];
+  if (symbol) {
+    try {
+      tickerClashes = await othersInWindow(`enrich:ticker:${chain}:${symbol}`, address);
+    } catch (err) {
+      console.warn('Ticker lookup failed:', err && err.message ? err.message : err);
+    }
+  }
+  const base = { tickerClashes, protectedTicker: PROTECTED.has(symbol) };
+  if (!json) return { fetched: false, image: null, description: null, socials: null, socialsCount: null, imageReusedBy: [], ...base };
+
+  const socials = extractSocials(json);
+  const image = typeof json.image === 'string' ? json.image : null;
+  const fingerprint = imageFingerprint(image);
+  let imageReusedBy = [];
+  if (fingerprint) {
+    try {
+      imageReusedBy = await othersInWindow(`enrich:image:${fingerprint}`, address, { record: fresh && !dryRun, earlier: true });
+    } catch (err) {
+      console.warn('Image reuse lookup failed:', err && err.message ? err.message : err);
+    }
+  }
+  return {
+    fetched: true,
+    image,
+    description: typeof json.description === 'string' ? json.description.slice(0, 500) : null,
+    socials,
+    socialsCount: Object.values(socials).filter(Boolean).length,
+    imageReusedBy,
+    ...base
+  };
+}
+
+// Alert delivery hook: later launches with this ticker are flagged as possible impersonations
+async function recordAlertedTicker(chain, address, symbol) {
+  const s = String(symbol || '').trim().toUpperCase();
+  if (!s) return;
+  try {
+    await othersInWindow(`enrich:ticker:${chain}:${s}`, address, { record: true });
+  } catch (err) {
+    console.warn('Failed to record alerted ticker:', err && err.message ? err.message : err);
+  }
+}
+
+module.exports = { resolveUri, fetchOffchainMetadata, extractSocials, imageFingerprint, enrichToken, recordAlertedTicker };
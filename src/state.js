@@ -0,0 +1,47 @@
+// Runtime bot state kept in Redis so it survives restarts and is shared across instances
+// - paused flag toggled by /pause and /resume
+// - counters shown by /stats
+
+const { redis } = require('./redis');
+
+const PAUSED_KEY = 'bot:paused';
+const STATS_PREFIX = 'stats:';
+const STATS_STARTED_KEY = 'stats:since';
+const STAT_NAMES = ['webhooks', 'tokens', 'scanned', 'duplicates', 'skipped', 'failed', 'passed', 'alerts', 'graduations', 'errors'];
+
+async function isPaused() {
+  try {
+    return Boolean(await redis.get(PAUSED_KEY));
+  } catch (err) {
+    console.warn('Redis get failed (assuming not paused):', err && err.message ? err.message : err);
+    return false;
+  }
+}
+
+async function setPaused(paused) {
+  if (paused) await redis.set(PAUSED_KEY, '1');
+  else await redis.del(PAUSED_KEY);
+}
+
+// Counters are best-effort: a Redis hiccup must never break token processing
+async function incrStat(name, by = 1) {
+  try {
+    await redis.incrby(STATS_PREFIX + name, by);
+    await redis.set(STATS_STARTED_KEY, new Date().toISOString(), { nx: true });
+  } catch (err) {
+    // ignore
+  }
+}
+
+async function getStats() {
+  const values = await redis.mget(...STAT_NAMES.map(n => STATS_PREFIX + n), STATS_STARTED_KEY);
+  const stats = {};
+  STAT_NAMES.forEach((n, i) => { stats[n] = Number(values[i] || 0); });
+  return { since: values[STAT_NAMES.length] || null, stats };
+}
+
+async function resetStats() {
+  await redis.del(...STAT_NAMES.map(n => STATS_PREFIX + n), STATS_STARTED_KEY);
+}
+
+module.exports = { STAT_NAMES, isPaused, setPaused, incrStat, getStats, resetStats };
@@ -0,0 +1,67 @@
+// Storage backend registry
+// Every backend exposes the same Redis command subset, with Upstash's call shapes:
+//   ping()
+//   get(key) / set(key, value, { nx, ex, px }) -> 'OK' | null (null when nx and the key exists) / del(...keys) / mget(...keys)
+//   incr(key) / incrby(key, by) / expire(key, seconds)
+//   hset(key, { field: value }) / hget / hgetall(key) -> object | null / hdel(key, ...fields) / hmget(key, ...fields) -> [value]
+//   hincrby(key, field, by) / hsetnx(key, field, value) -> 1 | 0 (0 when the field exists)
+//   lpush(key, ...values) / lmove(from, to, 'left' | 'right', 'left' | 'right') / lrem(key, count, value) / lrange / llen
+//   ltrim / lindex
+//   zadd(key, ...{ score, member }) -> members added / zrange(key, min, max, { byScore, rev }) / zrem(key, ...members)
+//   zcard / zremrangebyscore / zremrangebyrank / zscore(key, member) -> number | null
+// Values come back as the strings that were stored (Upstash may already have JSON-decoded them), so callers parse
+// with `typeof v === 'string' ? JSON.parse(v) : v`.
+// Backends: upstash (REST, ./upstash), redis (a Redis 6.2+ server over TCP, ./redis), memory (one process, ./memory).
+
+const { createUpstashStore } = require('./upstash');
+const { createRedisStore } = require('./redis');
+const { createMemoryStore } = require('./memory');
+
+const COMMANDS = [
+  'ping', 'get', 'set', 'del', 'mget', 'incr', 'incrby', 'expire',
+  'hset', 'hget', 'hgetall', 'hdel', 'hmget', 'hincrby', 'hsetnx',
+  'lpush', 'lmove', 'lrem', 'lrange', 'llen', 'ltrim', 'lindex',
+  'zadd', 'zrange', 'zrem', 'zcard', 'zremrangebyscore', 'zremrangebyrank', 'zscore'
+];
+
+// STORAGE_BACKEND when set, otherwise whichever connection settings are present
+function resolveBackend(env) {
+  const name = String(env.STORAGE_BACKEND || '').trim().toLowerCase();
+  if (name) return name;
+  if (env.REDIS_URL) return 'redis';
+  if (env.UPSTASH_REDIS_REST_URL || env.UPSTASH_REDIS_REST_TOKEN) return 'upstash';
+  return null;
+}
+
+// Stand-in for a backend that couldn't be created: every command rejects with the configuration error
+function unavailableStore(error) {
+  return Object.fromEntries(COMMANDS.map(c => [c, async () => { throw error; }]));
+}
+
+// { backend, store, error } for the environment; error is set (and store rejects everything) when it is misconfigured
+function createStore(env = process.env) {
+  const backend = resolveBackend(env);
+  let store;
+  try {
+    if (backend === 'upstash') {
+      if (!env.UPSTASH_REDIS_REST_URL || !env.UPSTASH_REDIS_REST_TOKEN) {
+        throw new Error('Upstash storage needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+      }
+      store = createUpstashStore({ url: env.UPSTASH_REDIS_REST_URL, token: env.UPSTASH_REDIS_REST_TOKEN }, COMMANDS);
+    } else if (backend === 'redis') {
+      if (!env.REDIS_URL) throw new Error('Redis storage needs REDIS_URL (e.g. redis://localhost:6379)');
+      store = createRedisStore(env.REDIS_URL);
+    } else if (backend === 'memory') {
+      store = createMemoryStore();
+    } else if (backend) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use upstash, redis or memory)`);
+    } else {
+      throw new Error('No storage configured: set UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN, REDIS_URL, or STORAGE_BACKEND=memory');
+    }
+  } catch (err) {
+    return { backend, store: unavailableStore(err), error: err };
+  }
+  return { backend, store, error: null };
+}
+
+module.exports = { COMMANDS, resolveBackend, createStore };
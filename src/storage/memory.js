@@ -0,0 +1,250 @@
+// In-memory storage backend: the storage commands (see ./index) on Maps in this process
+// For tests, local runs and single-instance self-hosting: nothing survives a restart and nothing is shared between
+// instances. Values are kept as strings like Redis keeps them; expired keys are dropped when next touched.
+
+function bound(value) {
+  const s = String(value);
+  if (s === '-inf') return { score: -Infinity, exclusive: false };
+  if (s === '+inf' || s === 'inf') return { score: Infinity, exclusive: false };
+  if (s.startsWith('(')) return { score: Number(s.slice(1)), exclusive: true };
+  return { score: Number(s), exclusive: false };
+}
+
+function withinBounds(score, min, max) {
+  const lo = bound(min);
+  const hi = bound(max);
+  return (lo.exclusive ? score > lo.score : score >= lo.score) && (hi.exclusive ? score < hi.score : score <= hi.score);
+}
+
+// Redis-style inclusive index range (negative indexes count from the end) -> [from, to) slice bounds
+function indexRange(length, start, stop) {
+  let from = Number(start) < 0 ? length + Number(start) : Number(start);
+  let to = Number(stop) < 0 ? length + Number(stop) : Number(stop);
+  from = Math.max(0, from);
+  to = Math.min(length - 1, to);
+  return from > to ? [0, 0] : [from, to + 1];
+}
+
+function createMemoryStore() {
+  const data = new Map(); // key -> { type: 'string' | 'hash' | 'list' | 'zset', value, expiresAt }
+
+  function entry(key, type) {
+    const e = data.get(key);
+    if (!e) return null;
+    if (e.expiresAt && e.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    if (type && e.type !== type) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    return e;
+  }
+
+  function create(key, type, empty) {
+    const e = entry(key, type);
+    if (e) return e;
+    const fresh = { type, value: empty(), expiresAt: null };
+    data.set(key, fresh);
+    return fresh;
+  }
+
+  // Redis removes collections once they are empty
+  function prune(key, e) {
+    const size = Array.isArray(e.value) ? e.value.length : e.value.size;
+    if (!size) data.delete(key);
+  }
+
+  // [[member, score]] by score, then member
+  function sorted(e) {
+    return Array.from(e.value.entries()).sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  }
+
+  function incrementBy(key, by) {
+    const e = entry(key, 'string');
+    const n = (e ? Number(e.value) : 0) + Number(by);
+    if (!Number.isInteger(n)) throw new Error('ERR value is not an integer or out of range');
+    if (e) e.value = String(n);
+    else data.set(key, { type: 'string', value: String(n), expiresAt: null });
+    return n;
+  }
+
+  return {
+    ping: async () => 'PONG',
+    get: async key => {
+      const e = entry(key, 'string');
+      return e ? e.value : null;
+    },
+    set: async (key, value, { nx = false, ex, px } = {}) => {
+      if (nx && entry(key)) return null;
+      const ttlMs = ex ? Number(ex) * 1000 : (px ? Number(px) : 0);
+      data.set(key, { type: 'string', value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return 'OK';
+    },
+    del: async (...keys) => keys.flat().filter(k => entry(k) && data.delete(k)).length,
+    mget: async (...keys) => keys.flat().map(k => {
+      const e = entry(k);
+      return e && e.type === 'string' ? e.value : null;
+    }),
+    incr: async key => incrementBy(key, 1),
+    incrby: async (key, by) => incrementBy(key, by),
+    expire: async (key, seconds) => {
+      const e = entry(key);
+      if (!e) return 0;
+      e.expiresAt = Date.now() + Number(seconds) * 1000;
+      return 1;
+    },
+
+    hset: async (key, fields) => {
+      const e = create(key, 'hash', () => new Map());
+      let added = 0;
+      for (const [field, value] of Object.entries(fields)) {
+        if (!e.value.has(field)) added += 1;
+        e.value.set(field, String(value));
+      }
+      return added;
+    },
+    hget: async (key, field) => {
+      const e = entry(key, 'hash');
+      return e && e.value.has(String(field)) ? e.value.get(String(field)) : null;
+    },
+    hgetall: async key => {
+      const e = entry(key, 'hash');
+      return e ? Object.fromEntries(e.value) : null;
+    },
+    hdel: async (key, ...fields) => {
+      const e = entry(key, 'hash');
+      if (!e) return 0;
+      const removed = fields.filter(f => e.value.delete(String(f))).length;
+      prune(key, e);
+      return removed;
+    },
+    hmget: async (key, ...fields) => {
+      const e = entry(key, 'hash');
+      return fields.map(f => (e && e.value.has(String(f)) ? e.value.get(String(f)) : null));
+    },
+    hincrby: async (key, field, by) => {
+      const e = create(key, 'hash', () => new Map());
+      const n = Number(e.value.get(String(field)) || 0) + Number(by);
+      if (!Number.isInteger(n)) throw new Error('ERR hash value is not an integer');
+      e.value.set(String(field), String(n));
+      return n;
+    },
+    hsetnx: async (key, field, value) => {
+      const e = create(key, 'hash', () => new Map());
+      if (e.value.has(String(field))) return 0;
+      e.value.set(String(field), String(value));
+      return 1;
+    },
+
+    lpush: async (key, ...values) => {
+      const e = create(key, 'list', () => []);
+      for (const v of values) e.value.unshift(String(v));
+      return e.value.length;
+    },
+    lmove: async (from, to, whereFrom, whereTo) => {
+      const src = entry(from, 'list');
+      if (!src) return null;
+      entry(to, 'list');
+      const item = String(whereFrom).toLowerCase() === 'left' ? src.value.shift() : src.value.pop();
+      prune(from, src);
+      const dst = create(to, 'list', () => []);
+      if (String(whereTo).toLowerCase() === 'left') dst.value.unshift(item);
+      else dst.value.push(item);
+      return item;
+    },
+    lrem: async (key, count, value) => {
+      const e = entry(key, 'list');
+      if (!e) return 0;
+      const v = String(value);
+      const limit = Number(count) === 0 ? Infinity : Math.abs(Number(count));
+      const fromTail = Number(count) < 0;
+      const list = fromTail ? e.value.slice().reverse() : e.value.slice();
+      let removed = 0;
+      const kept = list.filter(item => {
+        if (removed < limit && item === v) {
+          removed += 1;
+          return false;
+        }
+        return true;
+      });
+      e.value = fromTail ? kept.reverse() : kept;
+      prune(key, e);
+      return removed;
+    },
+    lrange: async (key, start, stop) => {
+      const e = entry(key, 'list');
+      return e ? e.value.slice(...indexRange(e.value.length, start, stop)) : [];
+    },
+    llen: async key => {
+      const e = entry(key, 'list');
+      return e ? e.value.length : 0;
+    },
+    ltrim: async (key, start, stop) => {
+      const e = entry(key, 'list');
+      if (e) {
+        e.value = e.value.slice(...indexRange(e.value.length, start, stop));
+        prune(key, e);
+      }
+      return 'OK';
+    },
+    lindex: async (key, index) => {
+      const e = entry(key, 'list');
+      if (!e) return null;
+      const i = Number(index) < 0 ? e.value.length + Number(index) : Number(index);
+      return e.value[i] === undefined ? null : e.value[i];
+    },
+
+    zadd: async (key, ...items) => {
+      const e = create(key, 'zset', () => new Map());
+      let added = 0;
+      for (const { score, member } of items) {
+        if (!e.value.has(String(member))) added += 1;
+        e.value.set(String(member), Number(score));
+      }
+      return added;
+    },
+    // byScore with rev takes (max, min), like ZRANGE ... BYSCORE REV
+    zrange: async (key, min, max, { byScore = false, rev = false } = {}) => {
+      const e = entry(key, 'zset');
+      if (!e) return [];
+      let members = sorted(e);
+      if (rev) members.reverse();
+      if (byScore) members = members.filter(([, score]) => (rev ? withinBounds(score, max, min) : withinBounds(score, min, max)));
+      else members = members.slice(...indexRange(members.length, min, max));
+      return members.map(([member]) => member);
+    },
+    zrem: async (key, ...members) => {
+      const e = entry(key, 'zset');
+      if (!e) return 0;
+      const removed = members.filter(m => e.value.delete(String(m))).length;
+      prune(key, e);
+      return removed;
+    },
+    zcard: async key => {
+      const e = entry(key, 'zset');
+      return e ? e.value.size : 0;
+    },
+    zremrangebyscore: async (key, min, max) => {
+      const e = entry(key, 'zset');
+      if (!e) return 0;
+      const doomed = sorted(e).filter(([, score]) => withinBounds(score, min, max));
+      for (const [member] of doomed) e.value.delete(member);
+      prune(key, e);
+      return doomed.length;
+    },
+    zremrangebyrank: async (key, start, stop) => {
+      const e = entry(key, 'zset');
+      if (!e) return 0;
+      const all = sorted(e);
+      const doomed = all.slice(...indexRange(all.length, start, stop));
+      for (const [member] of doomed) e.value.delete(member);
+      prune(key, e);
+      return doomed.length;
+    },
+    zscore: async (key, member) => {
+      const e = entry(key, 'zset');
+      return e && e.value.has(String(member)) ? e.value.get(String(member)) : null;
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,75 @@
+// Redis storage backend: a Redis server over TCP (ioredis), for self-hosting or a local Redis in development
+// REDIS_URL is a redis:// or rediss:// URL (password and database number included). LMOVE and ZRANGE BYSCORE need
+// Redis 6.2 or newer. Commands are translated from the Upstash-style calls in ./index.
+
+const Redis = require('ioredis');
+
+function createRedisStore(url) {
+  // connects on the first command; requests fail after a few reconnect attempts instead of queueing forever
+  const client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 2 });
+  let lastError = null;
+  client.on('error', err => {
+    const message = err && err.message ? err.message : String(err);
+    // reconnects repeat the same error; log it once
+    if (message !== lastError) console.warn('Redis connection error:', message);
+    lastError = message;
+  });
+  client.on('ready', () => { lastError = null; });
+
+  return {
+    ping: () => client.ping(),
+    get: key => client.get(key),
+    set: (key, value, { nx = false, ex, px } = {}) => {
+      const args = [key, value];
+      if (ex) args.push('EX', ex);
+      else if (px) args.push('PX', px);
+      if (nx) args.push('NX');
+      return client.set(...args);
+    },
+    del: (...keys) => client.del(...keys),
+    mget: (...keys) => client.mget(...keys),
+    incr: key => client.incr(key),
+    incrby: (key, by) => client.incrby(key, by),
+    expire: (key, seconds) => client.expire(key, seconds),
+
+    hset: (key, fields) => client.hset(key, fields),
+    hget: (key, field) => client.hget(key, field),
+    hgetall: async key => {
+      const fields = await client.hgetall(key);
+      return Object.keys(fields).length ? fields : null;
+    },
+    hdel: (key, ...fields) => client.hdel(key, ...fields),
+    hmget: (key, ...fields) => client.hmget(key, ...fields),
+    hincrby: (key, field, by) => client.hincrby(key, field, by),
+    hsetnx: (key, field, value) => client.hsetnx(key, field, value),
+
+    lpush: (key, ...values) => client.lpush(key, ...values),
+    lmove: (from, to, whereFrom, whereTo) => client.lmove(from, to, whereFrom.toUpperCase(), whereTo.toUpperCase()),
+    lrem: (key, count, value) => client.lrem(key, count, value),
+    lrange: (key, start, stop) => client.lrange(key, start, stop),
+    llen: key => client.llen(key),
+    ltrim: (key, start, stop) => client.ltrim(key, start, stop),
+    lindex: (key, index) => client.lindex(key, index),
+
+    zadd: (key, ...items) => client.zadd(key, ...items.flatMap(i => [i.score, i.member])),
+    zrange: (key, min, max, { byScore = false, rev = false } = {}) => {
+      const flags = [];
+      if (byScore) flags.push('BYSCORE');
+      if (rev) flags.push('REV');
+      return client.zrange(key, min, max, ...flags);
+    },
+    zrem: (key, ...members) => client.zrem(key, ...members),
+    zcard: key => client.zcard(key),
+    zremrangebyscore: (key, min, max) => client.zremrangebyscore(key, min, max),
+    zremrangebyrank: (key, start, stop) => client.zremrangebyrank(key, start, stop),
+    zscore: async (key, member) => {
+      const score = await client.zscore(key, member);
+      return score === null ? null : Number(score);
+    },
+
+    // not a storage command: closes the connection so short-lived processes (tests, tools) can exit
+    quit: () => client.quit()
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,23 @@
+// Upstash storage backend: Redis over Upstash's REST API (@upstash/redis)
+// The client already takes the storage call shapes (see ./index); only the replies that differ are normalised.
+
+const { Redis } = require('@upstash/redis');
+
+// commands: the command names to expose (COMMANDS in ./index)
+function createUpstashStore({ url, token }, commands) {
+  const client = new Redis({ url, token });
+  const store = Object.fromEntries(commands.map(c => [c, (...args) => client[c](...args)]));
+
+  // Upstash answers HMGET with an object keyed by field (null when the hash is missing)
+  store.hmget = async (key, ...fields) => {
+    const values = await client.hmget(key, ...fields);
+    return fields.map(f => (values && values[f] !== undefined ? values[f] : null));
+  };
+  store.zscore = async (key, member) => {
+    const score = await client.zscore(key, member);
+    return score === null || score === undefined ? null : Number(score);
+  };
+  return store;
+}
+
+module.exports = { createUpstashStore };
@@ -0,0 +1,101 @@
+// Alert subscribers
+// - Redis hash `subscribers`: chatId -> JSON { chatId, channel, url, profile, chains, quietHours, template }
+//   chatId     Telegram chat id, or "<channel>:<name>" for other channels (e.g. discord:trading)
+//   channel    notifier the alerts go to: telegram (default), discord, slack or webhook (see src/notifiers)
+//   url        webhook URL for the non-Telegram channels
+//   profile    name of the rule set (see src/rules.js) used to filter tokens for this chat
+//   chains     allowlist of chains, empty = all chains
+//   quietHours { start, end } in UTC hours; alerts are dropped while quiet (wraps midnight when start > end)
+//   template   optional HTML message template with {placeholders}, see renderTemplate (Telegram only)
+// - With no subscribers registered, TELEGRAM_CHAT_ID receives everything using RULE_SET (legacy single-chat mode)
+
+const { redis } = require('./redis');
+
+const { TELEGRAM_CHAT_ID, RULE_SET = 'default' } = process.env;
+
+const SUBSCRIBERS_KEY = 'subscribers';
+
+function normalizeSubscriber(sub) {
+  return {
+    chatId: String(sub.chatId),
+    channel: sub.channel || 'telegram',
+    url: sub.url || null,
+    profile: sub.profile || RULE_SET,
+    chains: Array.isArray(sub.chains) ? sub.chains.map(c => String(c).toLowerCase()) : [],
+    quietHours: sub.quietHours || null,
+    template: sub.template || null
+  };
+}
+
+async function listSubscribers() {
+  let stored = null;
+  try {
+    stored = await redis.hgetall(SUBSCRIBERS_KEY);
+  } catch (err) {
+    console.warn('Failed to load subscribers:', err && err.message ? err.message : err);
+  }
+  const subs = Object.values(stored || {}).map(v => normalizeSubscriber(typeof v === 'string' ? JSON.parse(v) : v));
+  if (!subs.length && TELEGRAM_CHAT_ID) return [normalizeSubscriber({ chatId: TELEGRAM_CHAT_ID })];
+  return subs;
+}
+
+async function getSubscriber(chatId) {
+  const v = await redis.hget(SUBSCRIBERS_KEY, String(chatId));
+  if (!v) return null;
+  return normalizeSubscriber(typeof v === 'string' ? JSON.parse(v) : v);
+}
+
+// Create or update a subscriber, merging the given fields into any existing record
+async function saveSubscriber(chatId, fields = {}) {
+  const existing = await getSubscriber(chatId);
+  const sub = normalizeSubscriber({ ...(existing || {}), ...fields, chatId });
+  await redis.hset(SUBSCRIBERS_KEY, { [sub.chatId]: JSON.stringify(sub) });
+  return sub;
+}
+
+// Change settings of an existing subscriber only; null when the chat isn't subscribed
+async function updateSubscriber(chatId, fields = {}) {
+  if (!(await getSubscriber(chatId))) return null;
+  return saveSubscriber(chatId, fields);
+}
+
+async function removeSubscriber(chatId) {
+  return redis.hdel(SUBSCRIBERS_KEY, String(chatId));
+}
+
+function isQuiet(sub, now = new Date()) {
+  if (!sub.quietHours) return false;
+  const { start, end } = sub.quietHours;
+  const h = now.getUTCHours();
+  return start <= end ? (h >= start && h < end) : (h >= start || h < end);
+}
+
+function wantsChain(sub, chain) {
+  return !sub.chains.length || sub.chains.includes(String(chain).toLowerCase());
+}
+
+// Fill {placeholders} in a subscriber template. Unknown placeholders are left as-is so typos are visible.
+function renderTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (vars[k] === undefined || vars[k] === null ? (k in vars ? 'N/A' : m) : String(vars[k])));
+}
+
+// Parse "23-7" into { start: 23, end: 7 }; returns null for "off"
+function parseQuietHours(text) {
+  if (!text || text === 'off') return null;
+  const m = /^(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 23) throw new Error('Quiet hours must look like 23-7 (UTC hours) or "off"');
+  return { start: Number(m[1]), end: Number(m[2]) };
+}
+
+module.exports = {
+  SUBSCRIBERS_KEY,
+  listSubscribers,
+  getSubscriber,
+  saveSubscriber,
+  updateSubscriber,
+  removeSubscriber,
+  isQuiet,
+  wantsChain,
+  renderTemplate,
+  parseQuietHours
+};
@@ -0,0 +1,63 @@
+// Telegram Bot API helpers
+// - sendTelegramMessage pushes HTML messages (see src/render.js) to the configured TELEGRAM_CHAT_ID (or an explicit chat),
+//   optionally with an inline keyboard or as a reply, and returns the sent message. It is used for direct bot replies;
+//   alerts and follow-ups go through the rate-limited outbox (src/outbox.js).
+// - editTelegramMessage / answerCallbackQuery back the alert buttons
+// - telegramApi is the raw method caller used by the bot command handler
+
+const axios = require('axios');
+
+const { TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID } = process.env;
+
+async function telegramApi(method, body) {
+  if (!TELEGRAM_BOT_TOKEN) throw new Error('TELEGRAM_BOT_TOKEN not set');
+  const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`;
+  const r = await axios.post(url, body, { timeout: 20_000 });
+  return r.data ? r.data.result : null;
+}
+
+// sendMessage request body
+function buildMessageBody(text, { chatId = TELEGRAM_CHAT_ID, buttons = null, replyTo = null } = {}) {
+  const body = { chat_id: chatId, text, parse_mode: 'HTML', disable_web_page_preview: true };
+  if (buttons) body.reply_markup = { inline_keyboard: buttons };
+  if (replyTo) body.reply_parameters = { message_id: Number(replyTo), allow_sending_without_reply: true };
+  return body;
+}
+
+// Send a message; returns the Telegram message object, or null when sending failed
+async function sendTelegramMessage(text, { chatId = TELEGRAM_CHAT_ID, buttons = null, replyTo = null } = {}) {
+  if (!TELEGRAM_BOT_TOKEN || !chatId) {
+    console.warn('Telegram not configured (TELEGRAM_BOT_TOKEN/TELEGRAM_CHAT_ID missing)');
+    return null;
+  }
+  const body = buildMessageBody(text, { chatId, buttons, replyTo });
+  try {
+    return await telegramApi('sendMessage', body);
+  } catch (err) {
+    const detail = err && err.response && err.response.data ? err.response.data.description : null;
+    console.warn('Failed to send Telegram message:', detail || (err && err.message ? err.message : err));
+    return null;
+  }
+}
+
+async function editTelegramMessage(chatId, messageId, text, { buttons = null } = {}) {
+  const body = { chat_id: chatId, message_id: Number(messageId), text, parse_mode: 'HTML', disable_web_page_preview: true };
+  if (buttons) body.reply_markup = { inline_keyboard: buttons };
+  try {
+    return await telegramApi('editMessageText', body);
+  } catch (err) {
+    const detail = err && err.response && err.response.data ? err.response.data.description : null;
+    console.warn('Failed to edit Telegram message:', detail || (err && err.message ? err.message : err));
+    return null;
+  }
+}
+
+async function answerCallbackQuery(callbackQueryId, text) {
+  try {
+    await telegramApi('answerCallbackQuery', { callback_query_id: callbackQueryId, text });
+  } catch (err) {
+    console.warn('Failed to answer callback query:', err && err.message ? err.message : err);
+  }
+}
+
+module.exports = { telegramApi, buildMessageBody, sendTelegramMessage, editTelegramMessage, answerCallbackQuery };
@@ -0,0 +1,277 @@
+// Post-alert performance tracking
+// - Every alerted token is recorded with its price and market cap at alert time. Each filter profile keeps its own
+//   alert point, so a profile that alerts later, at a higher price, is measured from there.
+// - Deliveries are confirmed concurrently: the record is created with SET NX and alert points and chats go into their
+//   own hashes (HSETNX / HSET), so confirmations never overwrite each other or a sample. Only the sampler rewrites the
+//   record itself.
+// - The token is sampled at PERF_SAMPLE_OFFSETS_MIN after the first alert (default +5m, +1h, +6h, +24h)
+// - Each sample updates the peak multiple (best price / alert price) and max drawdown (worst drop from the running peak),
+//   for the first alert and for every profile's point over the samples taken after it
+// - getPerformanceReport() aggregates hit rate per filter profile for the /api/performance endpoint and a daily digest
+// - Crossing a PERF_MILESTONES multiple (default 2x, 5x, 10x) is posted as a reply to the original alert in each chat
+//
+// Keys: perf:<chain>:<address> (JSON record: first alert point and samples), perf:<chain>:<address>:alerts (hash profile
+//       -> JSON alert point), perf:<chain>:<address>:chats (hash chatId -> alert time), perf:due (zset id by next sample
+//       time), perf:index (zset id by alert time)
+
+const { redis } = require('./redis');
+const { enqueue } = require('./queue');
+const { getProvider } = require('./providers');
+const { fetchBondingCurve } = require('./pumpfun');
+const { listSubscribers } = require('./subscribers');
+const { queueMessage } = require('./outbox');
+const { sendFollowUp } = require('./notifiers');
+const { escapeHtml } = require('./render');
+const { recordLaunchOutcome, isRugDrawdown } = require('./risk');
+
+const {
+  PERF_SAMPLE_OFFSETS_MIN = '5,60,360,1440',
+  PERF_HIT_MULTIPLE = '2',
+  PERF_MILESTONES = '2,5,10',
+  PERF_DIGEST_HOUR_UTC = '9',
+  PERF_TICK_MS = '30000'
+} = process.env;
+
+const OFFSETS_MS = PERF_SAMPLE_OFFSETS_MIN.split(',').map(s => Number(s.trim()) * 60 * 1000).filter(n => n > 0);
+const MILESTONES = PERF_MILESTONES.split(',').map(s => Number(s.trim())).filter(n => n > 1).sort((a, b) => a - b);
+const DUE_KEY = 'perf:due';
+const INDEX_KEY = 'perf:index';
+const RECORD_TTL_SEC = 60 * 60 * 24 * 30;
+
+let timer = null;
+
+function parse(v) {
+  return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+async function loadRecord(id) {
+  return parse(await redis.get(`perf:${id}`));
+}
+
+// Only the sampler writes an existing record; alert points and chats live in their own hashes
+async function saveRecord(id, record) {
+  await redis.set(`perf:${id}`, JSON.stringify(record), { ex: RECORD_TTL_SEC });
+  await redis.expire(`perf:${id}:alerts`, RECORD_TTL_SEC);
+  await redis.expire(`perf:${id}:chats`, RECORD_TTL_SEC);
+}
+
+// Chats the token was alerted in, records written before the chats hash included
+async function loadChats(id, record) {
+  const stored = await redis.hgetall(`perf:${id}:chats`);
+  return Array.from(new Set([...(record.chats || []), ...Object.keys(stored || {})]));
+}
+
+// Per-profile alert points with their stats over the samples taken after them. Records written before points were
+// kept per profile share the first alert point; points from before the hash are kept over later ones.
+async function loadAlertPoints(id, record) {
+  const stored = await redis.hgetall(`perf:${id}:alerts`);
+  const { alertedAt, price, marketCap } = record;
+  const legacy = record.alerts || Object.fromEntries((record.profiles || []).map(p => [p, { alertedAt, price, marketCap }]));
+  const points = { ...Object.fromEntries(Object.entries(stored || {}).map(([p, v]) => [p, parse(v)])), ...legacy };
+  return Object.fromEntries(Object.entries(points).map(([p, point]) => [p, { ...point, ...pointStats(point, record.samples) }]));
+}
+
+// Record an alert. deliveries are the { chatId, profile } pairs it was sent to.
+// A token alerted again later keeps its first alert point (sampling schedule, milestones); a profile alerting on it
+// for the first time gets its own point at the current price.
+async function recordAlert({ chain, address, meta, metrics }, deliveries) {
+  const id = `${chain}:${address}`;
+  const now = Date.now();
+  try {
+    const record = {
+      chain,
+      address,
+      symbol: meta && meta.symbol,
+      name: meta && meta.name,
+      alertedAt: now,
+      price: metrics.price,
+      marketCap: metrics.marketCap,
+      samples: [],
+      nextSample: 0,
+      peakMultiple: 1,
+      maxDrawdownPercent: 0,
+      milestones: []
+    };
+    const created = await redis.set(`perf:${id}`, JSON.stringify(record), { nx: true, ex: RECORD_TTL_SEC });
+    const point = JSON.stringify({ alertedAt: now, price: metrics.price, marketCap: metrics.marketCap });
+    for (const { profile } of deliveries) await redis.hsetnx(`perf:${id}:alerts`, profile, point);
+    if (deliveries.length) await redis.hset(`perf:${id}:chats`, Object.fromEntries(deliveries.map(d => [String(d.chatId), now])));
+    await redis.expire(`perf:${id}:alerts`, RECORD_TTL_SEC);
+    await redis.expire(`perf:${id}:chats`, RECORD_TTL_SEC);
+    if (created) {
+      await redis.zadd(INDEX_KEY, { score: now, member: id });
+      if (OFFSETS_MS.length) await redis.zadd(DUE_KEY, { score: now + OFFSETS_MS[0], member: id });
+    }
+    return created ? record : await loadRecord(id);
+  } catch (err) {
+    console.warn('Failed to record alert for tracking:', id, err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+// Current price and market cap, from the bonding curve while the token is still on it
+async function fetchCurrentMarket(chain, address) {
+  if (chain === 'solana') {
+    const curve = await fetchBondingCurve(address);
+    if (curve && !curve.complete) return { price: curve.price, marketCap: curve.marketCap };
+  }
+  const market = await getProvider(chain).fetchTokenMarketData(chain, address);
+  return { price: market.price, marketCap: market.marketCap };
+}
+
+// Multiple relative to the alert point; falls back to market cap when a price was not available
+function multipleOf(record, market) {
+  if (record.price && market.price) return market.price / record.price;
+  if (record.marketCap && market.marketCap) return market.marketCap / record.marketCap;
+  return null;
+}
+
+// Peak multiple and max drawdown of an alert point over the samples taken after it.
+// Drawdown is measured from the highest point reached so far, alert point included.
+function pointStats(point, samples) {
+  let sampled = 0;
+  let peak = 1;
+  let maxDd = 0;
+  for (const s of samples) {
+    if (s.at < point.alertedAt) continue;
+    sampled += 1;
+    const multiple = multipleOf(point, s);
+    if (multiple === null) continue;
+    peak = Math.max(peak, multiple);
+    maxDd = Math.max(maxDd, (peak - multiple) / peak);
+  }
+  return { sampled, peakMultiple: peak, maxDrawdownPercent: Math.round(maxDd * 10000) / 100 };
+}
+
+// Per-profile points are measured on read (loadAlertPoints), so a sample only updates the first alert point
+function applySample(record, sample) {
+  record.samples.push(sample);
+  const first = pointStats(record, record.samples);
+  record.peakMultiple = first.peakMultiple;
+  record.maxDrawdownPercent = first.maxDrawdownPercent;
+  return record;
+}
+
+// Queue job handler: take the next sample for a tracked token and schedule the one after it
+async function sampleToken({ id }) {
+  const record = await loadRecord(id);
+  if (!record) return;
+  const market = await fetchCurrentMarket(record.chain, record.address);
+  const offsetMin = OFFSETS_MS[record.nextSample] / 60000;
+  const multiple = multipleOf(record, market);
+  applySample(record, { at: Date.now(), offsetMin, price: market.price, marketCap: market.marketCap, multiple });
+  record.nextSample += 1;
+  // only the highest newly crossed milestone is announced
+  const reached = MILESTONES.filter(m => multiple !== null && multiple >= m && !(record.milestones || []).includes(m));
+  record.milestones = [...(record.milestones || []), ...reached];
+  await saveRecord(id, record);
+  if (reached.length) {
+    const event = { type: 'milestone', chain: record.chain, address: record.address, symbol: record.symbol, multiple: reached[reached.length - 1], marketCap: market.marketCap };
+    for (const chatId of await loadChats(id, record)) await sendFollowUp(chatId, event);
+  }
+  if (record.nextSample < OFFSETS_MS.length) {
+    await redis.zadd(DUE_KEY, { score: record.alertedAt + OFFSETS_MS[record.nextSample], member: id });
+  }
+  // the outcome feeds the creator history used by the risk score
+  if (isRugDrawdown(record.maxDrawdownPercent)) await recordLaunchOutcome(record.chain, record.address, 'rug');
+  else if (record.nextSample >= OFFSETS_MS.length) await recordLaunchOutcome(record.chain, record.address, 'ok');
+  return record;
+}
+
+// Aggregate alerts made in the last `days` into per-profile hit rates, each profile measured from its own alert point.
+// tokens leave out the subscriber chats the alerts went to.
+async function getPerformanceReport({ days = 1 } = {}) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const ids = await redis.zrange(INDEX_KEY, since, '+inf', { byScore: true });
+  const hitMultiple = Number(PERF_HIT_MULTIPLE);
+  const profiles = {};
+  const tokens = [];
+  for (const id of ids) {
+    const r = await loadRecord(id);
+    if (!r) continue;
+    // chats identify subscribers and stay out of the report
+    const { chats, profiles: legacyProfiles, ...token } = r;
+    token.alerts = await loadAlertPoints(id, r);
+    tokens.push(token);
+    for (const [p, point] of Object.entries(token.alerts)) {
+      const agg = profiles[p] || (profiles[p] = { alerts: 0, sampled: 0, hits: 0, sumPeak: 0, sumDrawdown: 0 });
+      agg.alerts += 1;
+      if (!point.sampled) continue;
+      agg.sampled += 1;
+      agg.sumPeak += point.peakMultiple;
+      agg.sumDrawdown += point.maxDrawdownPercent;
+      if (point.peakMultiple >= hitMultiple) agg.hits += 1;
+    }
+  }
+  const byProfile = {};
+  for (const [p, a] of Object.entries(profiles)) {
+    byProfile[p] = {
+      alerts: a.alerts,
+      sampled: a.sampled,
+      hits: a.hits,
+      hitRate: a.sampled ? Math.round((a.hits / a.sampled) * 10000) / 100 : null,
+      avgPeakMultiple: a.sampled ? Math.round((a.sumPeak / a.sampled) * 100) / 100 : null,
+      avgMaxDrawdownPercent: a.sampled ? Math.round((a.sumDrawdown / a.sampled) * 100) / 100 : null
+    };
+  }
+  return { days, hitMultiple, since: new Date(since).toISOString(), byProfile, tokens };
+}
+
+function formatDigest(report) {
+  const lines = [`<b>Daily performance digest</b> (hit = ${report.hitMultiple}x peak)`];
+  const entries = Object.entries(report.byProfile);
+  if (!entries.length) lines.push('No alerts in the last 24h.');
+  for (const [p, a] of entries) {
+    lines.push(`<code>${escapeHtml(p)}</code>: ${a.alerts} alerts, hit rate ${a.hitRate === null ? 'N/A' : `${a.hitRate}%`} (${a.hits}/${a.sampled}), ` +
+      `avg peak ${a.avgPeakMultiple === null ? 'N/A' : `${a.avgPeakMultiple}x`}, avg drawdown ${a.avgMaxDrawdownPercent === null ? 'N/A' : `${a.avgMaxDrawdownPercent}%`}`);
+  }
+  const best = report.tokens.filter(t => t.samples.length).sort((a, b) => b.peakMultiple - a.peakMultiple).slice(0, 3);
+  for (const t of best) lines.push(`Top: ${escapeHtml(t.symbol || t.address)} ${Math.round(t.peakMultiple * 100) / 100}x`);
+  return lines.join('\n');
+}
+
+// Send the digest once per UTC day, after PERF_DIGEST_HOUR_UTC, to every subscriber
+async function maybeSendDigest(now = new Date()) {
+  if (now.getUTCHours() < Number(PERF_DIGEST_HOUR_UTC)) return false;
+  const day = now.toISOString().slice(0, 10);
+  const claimed = await redis.set(`perf:digest:${day}`, '1', { nx: true, ex: 60 * 60 * 48 });
+  if (!claimed) return false;
+  const text = formatDigest(await getPerformanceReport({ days: 1 }));
+  // the digest is a Telegram report; webhook channels only get alerts and follow-ups
+  for (const sub of await listSubscribers()) if (sub.channel === 'telegram') await queueMessage(sub.chatId, text);
+  return true;
+}
+
+async function tick() {
+  const due = await redis.zrange(DUE_KEY, 0, Date.now(), { byScore: true });
+  for (const id of due) {
+    if (await redis.zrem(DUE_KEY, id)) await enqueue('perf-sample', { id });
+  }
+  // drop index entries older than the record TTL
+  await redis.zremrangebyscore(INDEX_KEY, 0, Date.now() - RECORD_TTL_SEC * 1000);
+  await maybeSendDigest();
+}
+
+function startTracker() {
+  if (timer) return;
+  timer = setInterval(() => {
+    tick().catch(err => console.error('Tracker tick error:', err && err.message ? err.message : err));
+  }, Number(PERF_TICK_MS));
+}
+
+function stopTracker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  recordAlert,
+  sampleToken,
+  applySample,
+  getPerformanceReport,
+  formatDigest,
+  maybeSendDigest,
+  tick,
+  startTracker,
+  stopTracker
+};
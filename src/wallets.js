@@ -0,0 +1,133 @@
+// Smart-wallet tracking
+// - Wallets whose early buys we trust, kept in Redis and managed with /track, /untrack, /wallets (src/bot.js)
+//   or the /api/wallets admin endpoints (index.js)
+// - applyWalletSignals matches incoming Helius transactions against them: a SWAP where a tracked wallet receives a
+//   token is a buy, a create whose fee payer is tracked is a launch. The token is then scanned with a `wallet` signal
+//   (label, action, SOL amount) that alerts name, and a wallet with bypassFilters set alerts whatever the filters say.
+//   One signal per wallet and token per WALLET_SIGNAL_TTL_SEC, so repeated buys don't re-alert; the caller releases
+//   the claims (releaseWalletSignals) when the tokens could not be queued, so the redelivered payload signals again.
+// - countTrackedHolders feeds the trackedHolders filter metric (tracked wallets among the top holders)
+//
+// Keys: wallets:tracked (hash address -> JSON { label, bypassFilters, addedAt }), wallets:seen:<wallet>:<mint>
+
+const { redis } = require('./redis');
+const { keyOf } = require('./labels');
+const { parseSwap } = require('./flow');
+const { transactionsOf } = require('./helius');
+const { walletSignals } = require('./metrics');
+
+const { WALLET_SIGNAL_TTL_SEC = String(60 * 60 * 24) } = process.env;
+
+const TRACKED_KEY = 'wallets:tracked';
+const CACHE_TTL_MS = 30_000;
+
+let cached = null; // { wallets, loadedAt }
+
+function parse(v) {
+  return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+// { address: { label, bypassFilters, addedAt } }
+async function loadTrackedWallets({ force = false } = {}) {
+  if (!force && cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.wallets;
+  const wallets = {};
+  try {
+    const stored = await redis.hgetall(TRACKED_KEY);
+    for (const [address, entry] of Object.entries(stored || {})) wallets[keyOf(address)] = parse(entry);
+  } catch (err) {
+    console.warn('Failed to load tracked wallets:', err && err.message ? err.message : err);
+    if (cached) return cached.wallets;
+  }
+  cached = { wallets, loadedAt: Date.now() };
+  return wallets;
+}
+
+async function trackWallet(address, { label = '', bypassFilters = false } = {}) {
+  const a = String(address || '').trim();
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(a) && !/^0x[0-9a-fA-F]{40}$/.test(a)) throw new Error(`Invalid wallet address "${a}"`);
+  const entry = { label: String(label || '').slice(0, 64), bypassFilters: Boolean(bypassFilters), addedAt: Date.now() };
+  await redis.hset(TRACKED_KEY, { [keyOf(a)]: JSON.stringify(entry) });
+  await loadTrackedWallets({ force: true });
+  return { address: keyOf(a), ...entry };
+}
+
+async function untrackWallet(address) {
+  await redis.hdel(TRACKED_KEY, keyOf(String(address || '').trim()));
+  await loadTrackedWallets({ force: true });
+}
+
+async function listTrackedWallets() {
+  const wallets = await loadTrackedWallets({ force: true });
+  return Object.entries(wallets).map(([address, w]) => ({ address, ...w })).sort((a, b) => a.addedAt - b.addedAt);
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 4)}…${address.slice(-4)}`;
+}
+
+// First signal for a wallet and token within the TTL; taken claims are added to `claims`
+async function claimSignal(wallet, mint, claims) {
+  const key = `wallets:seen:${wallet}:${mint}`;
+  try {
+    const fresh = Boolean(await redis.set(key, '1', { nx: true, ex: Number(WALLET_SIGNAL_TTL_SEC) }));
+    if (fresh) claims.push(key);
+    return fresh;
+  } catch (err) {
+    console.warn('Wallet signal dedupe failed (continuing):', err && err.message ? err.message : err);
+    return true;
+  }
+}
+
+// Give back the claims of a payload whose tokens could not be queued
+async function releaseWalletSignals(claims) {
+  if (!claims.length) return;
+  try { await redis.del(...claims); } catch (e) {}
+}
+
+// Attach wallet signals to the tokens extracted from a payload and add tokens bought by tracked wallets.
+// Returns the tokens to queue; a signalled token carries
+// wallet: { address, label, action: 'buy' | 'create', lamports, signature, bypassFilters }.
+// The signal claims taken are pushed onto `claims` for releaseWalletSignals.
+async function applyWalletSignals(payload, tokens, claims = []) {
+  const wallets = await loadTrackedWallets();
+  if (!Object.keys(wallets).length) return tokens;
+  const out = tokens.map(t => ({ ...t }));
+  const signal = (address, action, extra) => ({
+    address,
+    label: wallets[address].label || shortAddress(address),
+    action,
+    bypassFilters: Boolean(wallets[address].bypassFilters),
+    ...extra
+  });
+
+  for (const t of out) {
+    const creator = t.creator ? keyOf(t.creator) : null;
+    if (!creator || !wallets[creator] || !(await claimSignal(creator, t.address, claims))) continue;
+    t.wallet = signal(creator, 'create', { lamports: null, signature: t.signature || null });
+    walletSignals.inc({ action: 'create' });
+  }
+
+  for (const trade of transactionsOf(payload).flatMap(parseSwap)) {
+    const wallet = keyOf(trade.wallet);
+    if (trade.side !== 'b' || !wallets[wallet]) continue;
+    if (!(await claimSignal(wallet, trade.mint, claims))) continue;
+    const wSignal = signal(wallet, 'buy', { lamports: trade.lamports, signature: trade.signature });
+    walletSignals.inc({ action: 'buy' });
+    const existing = out.find(t => t.address === trade.mint);
+    if (existing) {
+      if (!existing.wallet) existing.wallet = wSignal;
+      continue;
+    }
+    out.push({ chain: 'solana', address: trade.mint, timestamp: trade.at / 1000, signature: trade.signature, eventType: 'WALLET_BUY', wallet: wSignal });
+  }
+  return out;
+}
+
+// Tracked wallets among a token's holders (the top holders the provider returned), or null when unknown
+async function countTrackedHolders(holders, { offline = false } = {}) {
+  if (offline) return null;
+  const wallets = await loadTrackedWallets();
+  return holders.filter(h => h.address && wallets[keyOf(h.address)]).length;
+}
+
+module.exports = { loadTrackedWallets, trackWallet, untrackWallet, listTrackedWallets, applyWalletSignals, releaseWalletSignals, countTrackedHolders };
@@ -0,0 +1,118 @@
+// Delayed re-evaluation watchlist
+// - A token that fails (or lacks data) on its first scan is re-checked on WATCHLIST_SCHEDULE_MIN
+//   (minutes after it was first seen, default 2,5,15,60)
+// - Every check stores a metrics snapshot; the first passing check alerts through the normal pipeline
+//   (per-subscriber dedupe still applies) and ends the watch
+// - Tokens that show no volume for WATCHLIST_DEAD_AFTER checks in a row are dropped as dead
+//
+// Keys: watchlist:due (zset "chain:address" by next check time), watch:<chain>:<address> (JSON state),
+//       watch:snapshots:<chain>:<address> (list of JSON snapshots, newest first)
+
+const { redis } = require('./redis');
+const { enqueue } = require('./queue');
+const { recordLaunchOutcome } = require('./risk');
+
+const {
+  WATCHLIST_SCHEDULE_MIN = '2,5,15,60',
+  WATCHLIST_DEAD_AFTER = '3',
+  WATCHLIST_TICK_MS = '15000'
+} = process.env;
+
+const SCHEDULE_MS = WATCHLIST_SCHEDULE_MIN.split(',').map(s => Number(s.trim()) * 60 * 1000).filter(n => n > 0);
+const DUE_KEY = 'watchlist:due';
+const SNAPSHOT_LIMIT = 20;
+const STATE_TTL_SEC = 60 * 60 * 24 * 2;
+
+let timer = null;
+
+function parse(v) {
+  return typeof v === 'string' ? JSON.parse(v) : v;
+}
+
+function memberOf(chain, address) {
+  return `${chain}:${address}`;
+}
+
+async function saveSnapshot(id, attempt, result) {
+  const key = `watch:snapshots:${id}`;
+  const snapshot = { at: Date.now(), attempt, status: result.status, reason: result.reason || null, metrics: result.metrics || null };
+  await redis.lpush(key, JSON.stringify(snapshot));
+  await redis.ltrim(key, 0, SNAPSHOT_LIMIT - 1);
+  await redis.expire(key, STATE_TTL_SEC);
+}
+
+async function unwatch(id, why) {
+  await redis.zrem(DUE_KEY, id);
+  await redis.del(`watch:${id}`);
+  console.log(`Watchlist: dropped ${id} (${why})`);
+}
+
+// Called by processTokenEvent after every scan. attempt is 0 for the first scan of a token and
+// 1..n for watchlist re-checks. Failures are (re)scheduled, passes and dead tokens leave the watchlist.
+async function afterScan(token, result, attempt = 0) {
+  if (!SCHEDULE_MS.length || !result.chain || !result.address) return;
+  const id = memberOf(result.chain, result.address);
+  try {
+    const stateKey = `watch:${id}`;
+    let state = parse(await redis.get(stateKey));
+    if (attempt === 0 && state) return; // already being watched from an earlier sighting
+    if (attempt > 0 && !state) return; // dropped in the meantime
+    if (!state) state = { token, firstSeen: Date.now(), zeroVolumeChecks: 0 };
+
+    if (attempt > 0 || result.status === 'failed' || result.status === 'skipped') await saveSnapshot(id, attempt, result);
+
+    if (result.status === 'alerted' || result.status === 'passed') {
+      if (attempt > 0) await unwatch(id, `passed on check ${attempt}`);
+      return;
+    }
+    if (result.status !== 'failed' && result.status !== 'skipped') return;
+
+    const volume = result.metrics ? result.metrics.vol24h : null;
+    state.zeroVolumeChecks = volume ? 0 : state.zeroVolumeChecks + 1;
+    if (attempt > 0 && state.zeroVolumeChecks >= Number(WATCHLIST_DEAD_AFTER)) {
+      // feeds the creator history in the risk module
+      await recordLaunchOutcome(result.chain, result.address, 'dead');
+      return unwatch(id, 'no volume');
+    }
+    if (attempt >= SCHEDULE_MS.length) return unwatch(id, 'schedule exhausted');
+
+    state.attempt = attempt + 1;
+    await redis.set(stateKey, JSON.stringify(state), { ex: STATE_TTL_SEC });
+    await redis.zadd(DUE_KEY, { score: state.firstSeen + SCHEDULE_MS[attempt], member: id });
+  } catch (err) {
+    console.warn('Watchlist update failed:', id, err && err.message ? err.message : err);
+  }
+}
+
+// Move due entries into the job queue as 'recheck' jobs
+async function tick() {
+  const due = await redis.zrange(DUE_KEY, 0, Date.now(), { byScore: true });
+  for (const id of due) {
+    if (!(await redis.zrem(DUE_KEY, id))) continue; // claimed by another instance
+    const state = parse(await redis.get(`watch:${id}`));
+    if (state) await enqueue('recheck', { token: state.token, attempt: state.attempt });
+  }
+}
+
+function startWatchlist() {
+  if (timer || !SCHEDULE_MS.length) return;
+  timer = setInterval(() => {
+    tick().catch(err => console.error('Watchlist tick error:', err && err.message ? err.message : err));
+  }, Number(WATCHLIST_TICK_MS));
+}
+
+function stopWatchlist() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+async function getWatchlistStats() {
+  return { watching: await redis.zcard(DUE_KEY) };
+}
+
+async function getSnapshots(chain, address) {
+  const items = await redis.lrange(`watch:snapshots:${memberOf(chain, address)}`, 0, -1);
+  return items.map(parse);
+}
+
+module.exports = { afterScan, tick, startWatchlist, stopWatchlist, getWatchlistStats, getSnapshots };
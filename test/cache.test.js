@@ -0,0 +1,88 @@
+// Provider read-through cache: values come back with their JSON types, also from a store that decodes JSON on read
+// like Upstash does, and only entries the cache wrote count as hits.
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../src/storage');
+
+const MINT = '9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump';
+const OWNER = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const BALANCE = '700000000000000000001';
+
+// Upstash's client JSON-decodes every value it reads
+function decodingStore(store) {
+  return {
+    ...store,
+    get: async key => {
+      const v = await store.get(key);
+      try {
+        return v === null ? null : JSON.parse(v);
+      } catch (err) {
+        return v;
+      }
+    }
+  };
+}
+
+function fakeProvider(values) {
+  const calls = [];
+  const answer = method => async (...args) => {
+    calls.push([method, ...args]);
+    return values[method];
+  };
+  return {
+    calls,
+    provider: {
+      name: 'fake',
+      fetchHolderBalance: answer('fetchHolderBalance'),
+      fetchTokenMetadata: answer('fetchTokenMetadata'),
+      fetchTokenMarketData: answer('fetchTokenMarketData')
+    }
+  };
+}
+
+describe('provider cache', () => {
+  let withCache;
+  let store;
+
+  before(() => {
+    // cache hit/miss counters go to the shared client
+    process.env.STORAGE_BACKEND = 'memory';
+    ({ withCache } = require('../src/providers/cache'));
+  });
+
+  beforeEach(() => {
+    ({ store } = createStore({ STORAGE_BACKEND: 'memory' }));
+  });
+
+  for (const [name, wrap] of [['a string store', s => s], ['a JSON-decoding store', decodingStore]]) {
+    it(`keeps string and object values as they were on ${name}`, async () => {
+      const metadata = { totalSupply: '1000000000000000', decimals: 6, symbol: 'PMOON' };
+      const { provider, calls } = fakeProvider({ fetchHolderBalance: BALANCE, fetchTokenMetadata: metadata });
+      const cached = withCache(provider, { store: wrap(store) });
+
+      for (let i = 0; i < 2; i += 1) {
+        assert.strictEqual(await cached.fetchHolderBalance('solana', MINT, OWNER), BALANCE);
+        assert.deepStrictEqual(await cached.fetchTokenMetadata('solana', MINT), metadata);
+      }
+      assert.strictEqual(calls.length, 2);
+      assert.deepStrictEqual(calls[0], ['fetchHolderBalance', 'solana', MINT, OWNER]);
+    });
+  }
+
+  it('does not cache null answers', async () => {
+    const { provider, calls } = fakeProvider({ fetchTokenMarketData: null });
+    const cached = withCache(provider, { store });
+    assert.strictEqual(await cached.fetchTokenMarketData('solana', MINT), null);
+    assert.strictEqual(await cached.fetchTokenMarketData('solana', MINT), null);
+    assert.strictEqual(calls.length, 2);
+  });
+
+  it('treats entries it did not wrap as misses', async () => {
+    const { provider, calls } = fakeProvider({ fetchHolderBalance: BALANCE });
+    await store.set(`cache:fake:fetchHolderBalance:solana:${MINT}:${OWNER}`, JSON.stringify(BALANCE));
+    const cached = withCache(provider, { store: decodingStore(store) });
+    assert.strictEqual(await cached.fetchHolderBalance('solana', MINT, OWNER), BALANCE);
+    assert.strictEqual(calls.length, 1);
+  });
+});
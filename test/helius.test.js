@@ -0,0 +1,66 @@
+// Helius webhook verification under the default configuration: HMAC over the raw body or "<timestamp>.<raw body>",
+// timestamp window and one-time nonces.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const SECRET = 'helius-test-secret';
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+}
+
+function request(headers, body) {
+  return { headers, rawBody: Buffer.from(body) };
+}
+
+describe('helius webhook verification', () => {
+  let verifyHeliusRequest;
+  let releaseNonce;
+
+  before(() => {
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.HELIUS_WEBHOOK_SECRET = SECRET;
+    delete process.env.HELIUS_REQUIRE_TIMESTAMP;
+    ({ verifyHeliusRequest, releaseNonce } = require('../src/helius'));
+  });
+
+  it('accepts a correctly signed request without a timestamp, as Helius sends them', async () => {
+    const body = JSON.stringify([{ signature: 'untimestamped' }]);
+    const check = await verifyHeliusRequest(request({ 'x-helius-signature': sign(body) }, body));
+    assert.strictEqual(check.ok, true);
+    assert.strictEqual(check.nonce, sign(body));
+  });
+
+  it('rejects missing and wrong signatures', async () => {
+    const body = JSON.stringify([{ signature: 'unsigned' }]);
+    assert.deepStrictEqual(await verifyHeliusRequest(request({}, body)), { ok: false, reason: 'missing signature' });
+    assert.deepStrictEqual(await verifyHeliusRequest(request({ 'x-helius-signature': sign('other') }, body)), { ok: false, reason: 'invalid signature' });
+  });
+
+  it('accepts a signed body once, and again after its nonce is released', async () => {
+    const body = JSON.stringify([{ signature: 'replayed' }]);
+    const req = request({ 'x-helius-signature': sign(body) }, body);
+    const first = await verifyHeliusRequest(req);
+    assert.strictEqual(first.ok, true);
+    assert.deepStrictEqual(await verifyHeliusRequest(req), { ok: false, reason: 'replayed request' });
+    await releaseNonce(first.nonce);
+    assert.strictEqual((await verifyHeliusRequest(req)).ok, true);
+  });
+
+  it('checks timestamped signatures and the replay window', async () => {
+    const body = JSON.stringify([{ signature: 'timestamped' }]);
+    const ts = String(Math.floor(Date.now() / 1000));
+    const fresh = await verifyHeliusRequest(request({ 'x-helius-signature': sign(`${ts}.${body}`), 'x-helius-timestamp': ts, 'x-helius-nonce': 'n-1' }, body));
+    assert.deepStrictEqual(fresh, { ok: true, nonce: 'n-1' });
+
+    // the timestamp is part of the signature
+    const bodyOnly = await verifyHeliusRequest(request({ 'x-helius-signature': sign(body), 'x-helius-timestamp': ts, 'x-helius-nonce': 'n-2' }, body));
+    assert.deepStrictEqual(bodyOnly, { ok: false, reason: 'invalid signature' });
+
+    const old = String(Math.floor(Date.now() / 1000) - 3600);
+    const stale = await verifyHeliusRequest(request({ 'x-helius-signature': sign(`${old}.${body}`), 'x-helius-timestamp': old, 'x-helius-nonce': 'n-3' }, body));
+    assert.deepStrictEqual(stale, { ok: false, reason: 'timestamp outside replay window' });
+  });
+});
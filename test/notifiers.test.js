@@ -0,0 +1,162 @@
+// Discord, Slack and signed webhook notifiers against a local HTTP stub: payload shape, HMAC signing, 429 deferral
+// and delivery through each channel's queue.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startStubServer } = require('./stub-server');
+
+const SECRET = 'test-signing-secret';
+const MINT = '9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump';
+
+const result = {
+  chain: 'solana',
+  address: MINT,
+  eventType: 'PUMP_FUN_CREATE',
+  meta: { name: 'Pepe *Moon*', symbol: '@everyone' },
+  metrics: { marketCap: 20100, vol24h: 98000, holdersCount: 42, top10Percent: 18.5, devPercent: 2.1 },
+  risk: { score: 15, flags: [{ id: 'noSocials' }] },
+  curve: null,
+  enrichment: null,
+  wallet: null
+};
+const decision = { ruleSet: 'default', reason: '[default] pass' };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    if (await check()) return;
+    await sleep(20);
+  }
+  throw new Error('timed out waiting for the condition');
+}
+
+describe('notifiers', () => {
+  let stub;
+  let replies;
+  let notifiers;
+  let saveSubscriber;
+  let redis;
+
+  before(async () => {
+    stub = await startStubServer(({ path }) => (replies[path] || []).shift());
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.NOTIFY_WEBHOOK_SECRET = SECRET;
+    process.env.QUEUE_POLL_MS = '20';
+    notifiers = require('../src/notifiers');
+    ({ saveSubscriber } = require('../src/subscribers'));
+    ({ redis } = require('../src/redis'));
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    // path -> queued replies, each used once; an empty queue answers 200
+    replies = {};
+    stub.requests.length = 0;
+  });
+
+  const sub = channel => ({ chatId: `${channel}:test`, channel, url: `${stub.url}/${channel}`, profile: 'default' });
+
+  it('posts Discord embeds with mentions disabled and markdown escaped', async () => {
+    const payload = notifiers.discord.formatAlert(result, decision);
+    await notifiers.discord.send(sub('discord'), payload);
+    const [req] = stub.requests;
+    assert.strictEqual(req.path, '/discord');
+    assert.strictEqual(req.headers['content-type'], 'application/json');
+    assert.deepStrictEqual(req.json.allowed_mentions, { parse: [] });
+    const [embed] = req.json.embeds;
+    assert.strictEqual(embed.title, 'Pepe \\*Moon\\* \\(@everyone\\)');
+    assert.match(embed.description, /^New token passing filters \(profile default\)/);
+    assert.strictEqual(embed.footer.text, 'solana');
+    const fields = Object.fromEntries(embed.fields.map(f => [f.name, f.value]));
+    assert.strictEqual(fields['Market cap'], '$20,100');
+    assert.strictEqual(fields.Holders, '42');
+    assert.strictEqual(fields.Address, `\`${MINT}\``);
+  });
+
+  it('posts Slack Block Kit messages with a plain-text fallback', async () => {
+    const payload = notifiers.slack.formatAlert({ ...result, meta: { name: 'A <b> & C', symbol: 'ABC' } }, decision);
+    await notifiers.slack.send(sub('slack'), payload);
+    const [req] = stub.requests;
+    assert.strictEqual(req.path, '/slack');
+    assert.strictEqual(req.json.text, 'New token passing filters: A &lt;b&gt; &amp; C (ABC)');
+    assert.deepStrictEqual(req.json.blocks.map(b => b.type), ['section', 'section', 'context']);
+    assert.ok(req.json.blocks[1].fields.some(f => f.text === '*Holders*\n42'));
+  });
+
+  it('signs generic webhook bodies with HMAC-SHA256 over "<timestamp>.<raw body>"', async () => {
+    const payload = notifiers.webhook.formatAlert(result, decision);
+    await notifiers.webhook.send(sub('webhook'), payload, { id: 'job-1' });
+    const [req] = stub.requests;
+    assert.strictEqual(req.headers['x-event-id'], 'job-1');
+    const expected = crypto.createHmac('sha256', SECRET).update(`${req.headers['x-timestamp']}.${req.body}`).digest('hex');
+    assert.strictEqual(req.headers['x-signature'], expected);
+    assert.ok(Math.abs(Number(req.headers['x-timestamp']) - Date.now() / 1000) < 60);
+    assert.strictEqual(req.json.id, 'job-1');
+    assert.strictEqual(req.json.type, 'alert');
+    assert.deepStrictEqual(req.json.token, { chain: 'solana', address: MINT, name: 'Pepe *Moon*', symbol: '@everyone', eventType: 'PUMP_FUN_CREATE' });
+    assert.deepStrictEqual(req.json.risk, { score: 15, flags: ['noSocials'] });
+  });
+
+  it('defers on 429 using Discord retry_after or the Retry-After header', async () => {
+    replies['/discord'] = [{ status: 429, body: { message: 'You are being rate limited.', retry_after: 2.5, global: false } }];
+    await assert.rejects(notifiers.discord.send(sub('discord'), { content: 'x' }), err => err.deferMs === 2500 && !err.transient);
+
+    replies['/slack'] = [{ status: 429, headers: { 'retry-after': '7' }, body: 'rate_limited' }];
+    await assert.rejects(notifiers.slack.send(sub('slack'), { text: 'x' }), err => err.deferMs === 7000);
+  });
+
+  it('retries 5xx and drops other client errors', async () => {
+    replies['/webhook'] = [{ status: 503, body: { error: 'redeploying' } }, { status: 400, body: { error: 'bad payload' } }];
+    await assert.rejects(notifiers.webhook.send(sub('webhook'), { type: 'alert' }, { id: 'job-2' }), err => err.transient === true && err.status === 503);
+    await assert.rejects(notifiers.webhook.send(sub('webhook'), { type: 'alert' }, { id: 'job-3' }), err => !err.transient && /rejected notification \(400\)/.test(err.message));
+  });
+
+  it('routes alerts to the subscriber channel queue and reschedules 429s without using an attempt', async () => {
+    const discordSub = await saveSubscriber('discord:ops', { channel: 'discord', url: `${stub.url}/discord`, profile: 'default' });
+    const webhookSub = await saveSubscriber('webhook:desk', { channel: 'webhook', url: `${stub.url}/webhook`, profile: 'default' });
+    replies['/discord'] = [{ status: 429, body: { retry_after: 60 } }];
+
+    const discordJob = await notifiers.queueAlert(discordSub, result, decision);
+    await notifiers.queueAlert(webhookSub, result, decision);
+    notifiers.startNotifiers();
+    try {
+      await waitFor(async () => (await notifiers.getNotifierStats()).discord.delayed === 1 && stub.requests.some(r => r.path === '/webhook'));
+    } finally {
+      notifiers.stopNotifiers();
+      await sleep(100);
+    }
+
+    const stats = await notifiers.getNotifierStats();
+    assert.deepStrictEqual(stats.discord, { pending: 0, processing: 0, delayed: 1, dead: 0 });
+    assert.deepStrictEqual(stats.webhook, { pending: 0, processing: 0, delayed: 0, dead: 0 });
+    const job = JSON.parse(await redis.hget('queue:notify-discord:jobs', discordJob));
+    assert.strictEqual(job.attempts, 0);
+    assert.ok(stub.requests.find(r => r.path === '/discord').json.embeds);
+    assert.strictEqual(stub.requests.find(r => r.path === '/webhook').json.type, 'alert');
+  });
+
+  it('runs onFailed hooks with the alert when a notification is dead-lettered', async () => {
+    const sub = await saveSubscriber('webhook:broken', { channel: 'webhook', url: `${stub.url}/broken`, profile: 'default' });
+    replies['/broken'] = [{ status: 400, body: { error: 'bad payload' } }];
+    const failed = [];
+    notifiers.onFailed(payload => failed.push(payload));
+
+    await notifiers.queueAlert(sub, result, decision, { alert: { chain: 'solana', address: MINT } });
+    notifiers.startNotifiers();
+    try {
+      await waitFor(() => failed.length === 1);
+    } finally {
+      notifiers.stopNotifiers();
+      await sleep(100);
+    }
+    assert.strictEqual(failed[0].chatId, 'webhook:broken');
+    assert.deepStrictEqual(failed[0].alert, { chain: 'solana', address: MINT });
+    assert.strictEqual((await notifiers.getNotifierStats()).webhook.dead, 1);
+  });
+});
@@ -0,0 +1,41 @@
+// Telegram alert rendering: metric lines print N/A for values that couldn't be computed instead of failing the alert.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+const result = {
+  chain: 'solana',
+  address: '9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump',
+  meta: { name: 'Pepe <Moon>', symbol: 'PMOON' },
+  metrics: { marketCap: 20100, vol24h: 98000, holdersCount: 42, top10Percent: 18.5, devPercent: null, holderGini: null, holderHHI: null, curveProgress: 41.2 },
+  risk: { score: 15, flags: [] },
+  curve: { complete: false, marketCapSol: 112.5 },
+  enrichment: null,
+  wallet: null
+};
+
+describe('render', () => {
+  let render;
+
+  before(() => {
+    process.env.STORAGE_BACKEND = 'memory';
+    render = require('../src/render');
+  });
+
+  it('renders the bonding curve progress and SOL market cap', () => {
+    const lines = render.formatMetricLines(result);
+    assert.ok(lines.includes('Bonding curve: 41.2% (112.50 SOL mcap)'));
+    assert.ok(lines.includes('<b>Pepe &lt;Moon&gt;</b> (PMOON)'));
+    assert.ok(lines.includes('Dev/creator share: N/A'));
+  });
+
+  it('prints N/A when the curve has no market cap', () => {
+    const { text } = render.renderAlert({ ...result, curve: { complete: false, marketCapSol: null }, metrics: { ...result.metrics, curveProgress: null } }, { ruleSet: 'default' }, {});
+    assert.match(text, /Bonding curve: N\/A \(N\/A SOL mcap\)/);
+  });
+
+  it('leaves the market cap out of a completed curve', () => {
+    const lines = render.formatMetricLines({ ...result, curve: { complete: true, marketCapSol: null } });
+    assert.ok(lines.includes('Bonding curve: complete (migrated)'));
+  });
+});
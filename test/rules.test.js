@@ -0,0 +1,129 @@
+// Rule engine: all/any evaluation, per-chain and runtime overrides, and the load-time validation of rule sets and
+// their per-chain overrides. Redis-backed parts run against a memory store from createStore.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../src/storage');
+
+const SETS = {
+  default: {
+    rules: {
+      all: [
+        { name: 'minMarketCap', metric: 'marketCap', op: '>=', value: 15000 },
+        { any: [
+          { name: 'minHolders', metric: 'holdersCount', op: '>=', value: 30 },
+          { name: 'minVolume', metric: 'vol24h', op: '>=', value: 50000 }
+        ] }
+      ]
+    },
+    chains: { solana: { minMarketCap: { value: 5000 } } }
+  },
+  strict: {
+    rules: { all: [{ name: 'maxTop10Percent', metric: 'top10Percent', op: '<', value: 20 }] }
+  }
+};
+
+const withChains = chains => ({ default: { ...SETS.default, chains } });
+
+describe('rules', () => {
+  let rules;
+
+  before(() => {
+    process.env.STORAGE_BACKEND = 'memory';
+    delete process.env.RULES_FILE;
+    delete process.env.RULES_SOURCE;
+    rules = require('../src/rules');
+  });
+
+  describe('evaluate', () => {
+    it('passes an all group only when every child passes', () => {
+      const tree = rules.resolveRules(SETS, 'default', 'ethereum');
+      assert.strictEqual(rules.evaluate(tree, { marketCap: 20000, holdersCount: 40, vol24h: 0 }).passed, true);
+      assert.strictEqual(rules.evaluate(tree, { marketCap: 10000, holdersCount: 40, vol24h: 0 }).passed, false);
+    });
+
+    it('passes an any group when one child passes and reports every leaf', () => {
+      const tree = rules.resolveRules(SETS, 'default', 'ethereum');
+      const { passed, results } = rules.evaluate(tree, { marketCap: 20000, holdersCount: 5, vol24h: 60000 });
+      assert.strictEqual(passed, true);
+      assert.deepStrictEqual(results.map(r => [r.name, r.passed]), [['minMarketCap', true], ['minHolders', false], ['minVolume', true]]);
+      assert.strictEqual(rules.evaluate(tree, { marketCap: 20000, holdersCount: 5, vol24h: 100 }).passed, false);
+    });
+
+    it('fails leaves whose metric is missing', () => {
+      const { passed, results } = rules.evaluate(rules.resolveRules(SETS, 'strict'), { top10Percent: null });
+      assert.strictEqual(passed, false);
+      assert.strictEqual(results[0].actual, null);
+    });
+  });
+
+  describe('overrides', () => {
+    it('patches leaves for the chain, whatever its case', () => {
+      const metrics = { marketCap: 8000, holdersCount: 40 };
+      assert.strictEqual(rules.evaluate(rules.resolveRules(SETS, 'default', 'Solana'), metrics).passed, true);
+      assert.strictEqual(rules.evaluate(rules.resolveRules(SETS, 'default', 'ethereum'), metrics).passed, false);
+    });
+
+    it('applies runtime overrides on top of the chain overrides', () => {
+      const tree = rules.resolveRules(SETS, 'default', 'solana', { minMarketCap: 9000, minHolders: 10 });
+      assert.deepStrictEqual(tree.all[0], { name: 'minMarketCap', metric: 'marketCap', op: '>=', value: 9000 });
+      assert.strictEqual(tree.all[1].any[0].value, 10);
+      // the loaded sets are not changed
+      assert.strictEqual(SETS.default.rules.all[0].value, 15000);
+    });
+
+    it('only accepts runtime overrides for known rules', async () => {
+      const { store } = createStore({ STORAGE_BACKEND: 'memory' });
+      assert.deepStrictEqual(await rules.setRuntimeOverride(store, 'minHolders', 50), { minHolders: 50 });
+      await assert.rejects(rules.setRuntimeOverride(store, 'noSuchRule', 1), /Unknown rule "noSuchRule"/);
+      assert.deepStrictEqual(await rules.setRuntimeOverride(store, 'minHolders', null), {});
+    });
+  });
+
+  describe('validation', () => {
+    it('accepts the built-in sets and well-formed files', () => {
+      assert.strictEqual(rules.validateRuleSets(rules.DEFAULT_RULE_SETS), rules.DEFAULT_RULE_SETS);
+      assert.deepStrictEqual(rules.parseRuleSets(JSON.stringify(SETS), 'rules.json'), SETS);
+      const yaml = 'default:\n  rules:\n    any:\n      - { name: minHolders, metric: holdersCount, op: ">=", value: 30 }\n';
+      assert.strictEqual(rules.parseRuleSets(yaml, 'rules.yml').default.rules.any[0].value, 30);
+    });
+
+    it('rejects malformed rules', () => {
+      assert.throws(() => rules.validateRuleSets({ default: {} }), /Rule set "default" has no "rules"/);
+      assert.throws(() => rules.validateRuleSets({ default: { rules: { metric: 'mood', op: '>', value: 1 } } }), /default\.rules: unknown metric "mood"/);
+      assert.throws(() => rules.validateRuleSets({ default: { rules: { all: [{ metric: 'marketCap', op: '=~', value: 1 }] } } }), /default\.rules\.all\[0\]: unknown operator "=~"/);
+      assert.throws(() => rules.validateRuleSets({ default: { rules: { metric: 'marketCap', op: '>', value: '1' } } }), /value must be a number/);
+    });
+
+    it('rejects per-chain overrides that are malformed or would make an invalid rule', () => {
+      assert.throws(() => rules.validateRuleSets(withChains([])), /Invalid chains in rule set "default"/);
+      assert.throws(() => rules.validateRuleSets(withChains({ solana: 5000 })), /default\.chains\.solana: expected object keyed by rule name/);
+      assert.throws(() => rules.validateRuleSets(withChains({ solana: { minMarketcap: { value: 1 } } })), /default\.chains\.solana: unknown rule "minMarketcap"/);
+      assert.throws(() => rules.validateRuleSets(withChains({ solana: { minMarketCap: 5000 } })), /default\.chains\.solana\.minMarketCap: expected object/);
+      assert.throws(() => rules.validateRuleSets(withChains({ solana: { minMarketCap: { value: 1, name: 'other' } } })), /unexpected name/);
+      assert.throws(() => rules.validateRuleSets(withChains({ solana: { minMarketCap: { value: '5000' } } })), /default\.chains\.solana\.minMarketCap: value must be a number/);
+      assert.throws(() => rules.validateRuleSets(withChains({ solana: { minHolders: { op: '~' } } })), /unknown operator "~"/);
+      assert.throws(() => rules.validateRuleSets(withChains({ solana: { minVolume: { metric: 'hype' } } })), /unknown metric "hype"/);
+    });
+  });
+
+  describe('unknown rule sets', () => {
+    it('evaluates with default and says so in the reason', () => {
+      const decision = rules.evaluateRuleSet(SETS, { marketCap: 20000, holdersCount: 40 }, { chain: 'ethereum', ruleSet: 'gone' });
+      assert.strictEqual(decision.passed, true);
+      assert.strictEqual(decision.ruleSet, 'default');
+      assert.match(decision.reason, /^passed \[default; unknown set "gone"\] /);
+      assert.strictEqual(rules.ruleSetName(SETS, 'strict'), 'strict');
+    });
+
+    it('throws without a default set to fall back to', () => {
+      assert.throws(() => rules.resolveRules({ strict: SETS.strict }, 'gone'), /Unknown rule set "gone"/);
+    });
+
+    it('refuses to start with a RULE_SET that is not loaded', async () => {
+      const { store } = createStore({ STORAGE_BACKEND: 'memory' });
+      assert.strictEqual(await rules.checkRuleSet(store, 'default'), 'default');
+      await assert.rejects(rules.checkRuleSet(store, 'aggressive'), /RULE_SET "aggressive" is not a loaded rule set \(available: default\)/);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// Solana provider against recorded Helius RPC/DAS and DexScreener responses (test/fixtures/solana-rpc.json)
+// served by a local stub, so the request shapes and response parsing are checked without the network.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startStubServer } = require('./stub-server');
+const fixtures = require('./fixtures/solana-rpc.json');
+
+const MINT = fixtures.mint;
+
+describe('solana provider', () => {
+  let stub;
+  let overrides;
+  let solana;
+  let getProvider;
+  let ProviderError;
+
+  before(async () => {
+    stub = await startStubServer(({ path, json }) => {
+      if (path.startsWith('/latest/dex/tokens/')) return overrides.dexscreener || { body: fixtures.dexscreener };
+      const override = overrides[json.method];
+      if (override) return override;
+      const result = fixtures.rpc[json.method];
+      if (result === undefined) return { body: { jsonrpc: '2.0', id: json.id, error: { code: -32601, message: 'Method not found' } } };
+      return { body: { jsonrpc: '2.0', id: json.id, result } };
+    });
+    // providers read their settings when loaded
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.HELIUS_RPC_URL = `${stub.url}/rpc`;
+    process.env.DEXSCREENER_API_BASE = stub.url;
+    process.env.PROVIDER_BREAKER_FAILURES = '100';
+    solana = require('../src/providers/solana');
+    ({ getProvider } = require('../src/providers'));
+    ({ ProviderError } = require('../src/providers/errors'));
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    overrides = {};
+    stub.requests.length = 0;
+  });
+
+  const rpcCalls = method => stub.requests.filter(r => r.json && r.json.method === method);
+
+  it('reads supply, decimals and Metaplex metadata, keeping the mint case', async () => {
+    const meta = await solana.fetchTokenMetadata('solana', MINT);
+    assert.deepStrictEqual(meta, {
+      totalSupply: '1000000000000000',
+      decimals: 6,
+      symbol: 'PMOON',
+      name: 'Pepe Moon',
+      uri: 'https://ipfs.io/ipfs/QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG'
+    });
+    assert.deepStrictEqual(rpcCalls('getTokenSupply')[0].json.params, [MINT]);
+    assert.deepStrictEqual(rpcCalls('getAsset')[0].json.params, { id: MINT });
+    assert.strictEqual(rpcCalls('getAsset')[0].json.jsonrpc, '2.0');
+  });
+
+  it('returns null when the mint does not exist', async () => {
+    overrides.getTokenSupply = { body: { jsonrpc: '2.0', id: 1, error: { code: -32602, message: 'Invalid param: not a Token mint' } } };
+    assert.strictEqual(await solana.fetchTokenMetadata('solana', MINT), null);
+    assert.strictEqual(rpcCalls('getAsset').length, 0);
+  });
+
+  it('resolves the largest token accounts to owner wallets', async () => {
+    const { total, holders } = await solana.fetchTokenHolders('solana', MINT);
+    // two token accounts of the same wallet are summed; the empty account is dropped
+    assert.deepStrictEqual(holders, [
+      { address: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P', balance: '700000000000000' },
+      { address: '3xLm8KqJk2Bv7fPzUn4RWs6cGtHyDa9oEiNtQbVxYz1P', balance: '300000000000000' }
+    ]);
+    // distinct non-zero owners from DAS getTokenAccounts
+    assert.strictEqual(total, 2);
+    const [lookup] = rpcCalls('getMultipleAccounts');
+    assert.deepStrictEqual(lookup.json.params, [fixtures.rpc.getTokenLargestAccounts.value.slice(0, 3).map(v => v.address), { encoding: 'jsonParsed' }]);
+  });
+
+  it('picks the most liquid DexScreener pair for market data', async () => {
+    const market = await solana.fetchTokenMarketData('solana', MINT);
+    assert.deepStrictEqual(market, {
+      price: 0.0000201,
+      marketCap: 20100,
+      volume24h: 98000,
+      pools: ['Dn5wVvG7kQhDLbFSqQv8wZtHsUpi3hmyNjPzvbDzC7eN', 'HqRrD6mUq9zqXwWnbsT4xAnRVsuaxvFJcUCqSV5BDzPw']
+    });
+    assert.strictEqual(stub.requests[0].path, `/latest/dex/tokens/${MINT}`);
+  });
+
+  it('reads authorities and sums an owner balance over its token accounts', async () => {
+    assert.deepStrictEqual(await solana.fetchTokenAuthorities('solana', MINT), { mintAuthority: null, freezeAuthority: null });
+    assert.strictEqual(await solana.fetchHolderBalance('solana', MINT, '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P'), '700000000000000');
+  });
+
+  it('throws a transient ProviderError on HTTP 429 and on the JSON-RPC rate limit', async () => {
+    overrides.getTokenSupply = { status: 429, headers: { 'retry-after': '3' }, body: { error: 'slow down' } };
+    await assert.rejects(solana.fetchTokenMetadata('solana', MINT), err => err instanceof ProviderError && err.transient && err.retryAfterMs === 3000);
+
+    overrides.getTokenSupply = { body: { jsonrpc: '2.0', id: 1, error: { code: -32429, message: 'rate limited' } } };
+    await assert.rejects(solana.fetchTokenMetadata('solana', MINT), err => err instanceof ProviderError && err.transient && err.status === 429);
+  });
+
+  it('is picked by chain and never lowercases addresses', async () => {
+    const provider = getProvider('Solana');
+    assert.strictEqual(provider.name, 'solana');
+    assert.strictEqual(provider.normalizeAddress(` ${MINT} `), MINT);
+    assert.strictEqual(getProvider('ethereum').name, 'moralis');
+    // through the read-through cache, the request still carries the original case
+    const meta = await provider.fetchTokenMetadata('solana', MINT);
+    assert.strictEqual(meta.symbol, 'PMOON');
+    assert.deepStrictEqual(rpcCalls('getTokenSupply')[0].json.params, [MINT]);
+  });
+});
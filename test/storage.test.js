@@ -0,0 +1,120 @@
+// Storage contract: the commands the modules rely on behave the same on every backend. Runs against the in-memory
+// store, and against a Redis server too when REDIS_URL is set (keys are namespaced per run and deleted afterwards).
+
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../src/storage');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const backends = [['memory', { STORAGE_BACKEND: 'memory' }]];
+if (process.env.REDIS_URL) backends.push(['redis', { STORAGE_BACKEND: 'redis', REDIS_URL: process.env.REDIS_URL }]);
+
+for (const [name, env] of backends) {
+  describe(`${name} storage`, () => {
+    const { store, error } = createStore(env);
+    const prefix = `test:contract:${process.pid}:`;
+    const used = new Set();
+    const key = k => {
+      used.add(prefix + k);
+      return prefix + k;
+    };
+
+    afterEach(async () => {
+      if (used.size) await store.del(...used);
+      used.clear();
+    });
+
+    after(async () => {
+      if (store.quit) await store.quit();
+    });
+
+    it('is configured', () => {
+      assert.strictEqual(error, null);
+    });
+
+    it('SET NX only writes missing keys and EX expires them', async () => {
+      const k = key('nx');
+      assert.strictEqual(await store.set(k, 'first', { nx: true, ex: 1 }), 'OK');
+      assert.strictEqual(await store.set(k, 'second', { nx: true, ex: 1 }), null);
+      assert.strictEqual(await store.get(k), 'first');
+      await sleep(1100);
+      assert.strictEqual(await store.get(k), null);
+      // an expired key is free again, as the dedupe and nonce checks expect
+      assert.strictEqual(await store.set(k, 'third', { nx: true }), 'OK');
+      assert.strictEqual(await store.get(k), 'third');
+      // a plain SET overwrites
+      assert.strictEqual(await store.set(k, 'fourth'), 'OK');
+      assert.strictEqual(await store.get(k), 'fourth');
+    });
+
+    it('keeps values as strings', async () => {
+      const k = key('string');
+      await store.set(k, JSON.stringify({ balance: '700000000000000000001' }));
+      assert.deepStrictEqual(JSON.parse(await store.get(k)), { balance: '700000000000000000001' });
+      await store.set(k, 42);
+      assert.strictEqual(await store.get(k), '42');
+    });
+
+    it('HSETNX only writes missing fields', async () => {
+      const k = key('hash');
+      assert.strictEqual(await store.hsetnx(k, 'default', 'first'), 1);
+      assert.strictEqual(await store.hsetnx(k, 'default', 'second'), 0);
+      assert.strictEqual(await store.hsetnx(k, 'other', 'third'), 1);
+      assert.deepStrictEqual(await store.hgetall(k), { default: 'first', other: 'third' });
+    });
+
+    it('LMOVE right->left takes jobs in FIFO order and LREM acknowledges them, as the queue does', async () => {
+      const pending = key('pending');
+      const processing = key('processing');
+      for (const id of ['a', 'b', 'c']) await store.lpush(pending, id);
+
+      assert.strictEqual(await store.lmove(pending, processing, 'right', 'left'), 'a');
+      assert.strictEqual(await store.lmove(pending, processing, 'right', 'left'), 'b');
+      assert.deepStrictEqual(await store.lrange(processing, 0, -1), ['b', 'a']);
+      assert.deepStrictEqual(await store.lrange(pending, 0, -1), ['c']);
+
+      assert.strictEqual(await store.lrem(processing, 1, 'a'), 1);
+      assert.strictEqual(await store.lrem(processing, 1, 'a'), 0);
+      assert.deepStrictEqual(await store.lrange(processing, 0, -1), ['b']);
+
+      assert.strictEqual(await store.lmove(pending, processing, 'right', 'left'), 'c');
+      assert.strictEqual(await store.lmove(pending, processing, 'right', 'left'), null);
+      assert.strictEqual(await store.llen(pending), 0);
+    });
+
+    it('LREM removes count matches from the head, from the tail when negative, all with 0', async () => {
+      const k = key('lrem');
+      for (const v of ['x', 'y', 'x', 'x']) await store.lpush(k, v); // [x, x, y, x]
+      assert.strictEqual(await store.lrem(k, 1, 'x'), 1);
+      assert.deepStrictEqual(await store.lrange(k, 0, -1), ['x', 'y', 'x']);
+      assert.strictEqual(await store.lrem(k, -1, 'x'), 1);
+      assert.deepStrictEqual(await store.lrange(k, 0, -1), ['x', 'y']);
+      await store.lpush(k, 'x');
+      assert.strictEqual(await store.lrem(k, 0, 'x'), 2);
+      assert.deepStrictEqual(await store.lrange(k, 0, -1), ['y']);
+    });
+
+    it('ZRANGE by index, by score and BYSCORE REV with (max, min)', async () => {
+      const k = key('zset');
+      assert.strictEqual(await store.zadd(k, { score: 30, member: 'c' }, { score: 10, member: 'a' }, { score: 20, member: 'b' }), 3);
+      assert.strictEqual(await store.zadd(k, { score: 40, member: 'd' }, { score: 25, member: 'b' }), 1);
+
+      assert.deepStrictEqual(await store.zrange(k, 0, -1), ['a', 'b', 'c', 'd']);
+      assert.deepStrictEqual(await store.zrange(k, 0, 1, { rev: true }), ['d', 'c']);
+
+      assert.deepStrictEqual(await store.zrange(k, 10, 30, { byScore: true }), ['a', 'b', 'c']);
+      assert.deepStrictEqual(await store.zrange(k, '(10', '+inf', { byScore: true }), ['b', 'c', 'd']);
+      assert.deepStrictEqual(await store.zrange(k, 30, 10, { byScore: true, rev: true }), ['c', 'b', 'a']);
+      assert.deepStrictEqual(await store.zrange(k, '+inf', '(25', { byScore: true, rev: true }), ['d', 'c']);
+      assert.deepStrictEqual(await store.zrange(k, 10, 30, { byScore: true, rev: true }), []);
+
+      assert.strictEqual(await store.zscore(k, 'b'), 25);
+      assert.strictEqual(await store.zscore(k, 'missing'), null);
+      assert.strictEqual(await store.zremrangebyscore(k, 0, 20), 1);
+      assert.deepStrictEqual(await store.zrange(k, 0, -1), ['b', 'c', 'd']);
+    });
+  });
+}
@@ -0,0 +1,45 @@
+// Local HTTP stub for provider and notifier tests
+// startStubServer(handler) listens on a random localhost port. handler({ method, path, headers, body, json }) returns
+// { status = 200, headers, body } (objects are sent as JSON) or nothing for an empty 200. Every request is kept in
+// `requests`, in arrival order.
+
+const http = require('http');
+
+function startStubServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      let json = null;
+      try {
+        json = body ? JSON.parse(body) : null;
+      } catch (err) {
+        // not JSON; the handler still gets the raw body
+      }
+      const request = { method: req.method, path: req.url, headers: req.headers, body, json };
+      requests.push(request);
+      try {
+        const reply = (await handler(request)) || {};
+        const payload = reply.body === undefined ? '' : (typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+        res.writeHead(reply.status || 200, { 'content-type': 'application/json', ...(reply.headers || {}) });
+        res.end(payload);
+      } catch (err) {
+        res.writeHead(500);
+        res.end(String(err && err.message ? err.message : err));
+      }
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startStubServer };
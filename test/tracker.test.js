@@ -0,0 +1,52 @@
+// Performance tracker records: concurrent delivery confirmations for one token keep every chat and profile alert
+// point, and the report measures each profile from its own point.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+const snapshot = (price, marketCap) => ({ chain: 'solana', address: 'TrackedMint', meta: { symbol: 'TRK', name: 'Tracked' }, metrics: { price, marketCap } });
+
+describe('performance tracker', () => {
+  let tracker;
+  let redis;
+
+  before(() => {
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.PERF_SAMPLE_OFFSETS_MIN = '5,60';
+    tracker = require('../src/tracker');
+    ({ redis } = require('../src/redis'));
+  });
+
+  it('keeps every chat and the first point per profile when deliveries are confirmed concurrently', async () => {
+    await Promise.all([
+      tracker.recordAlert(snapshot(1, 100), [{ chatId: 1, profile: 'default' }]),
+      tracker.recordAlert(snapshot(1, 100), [{ chatId: 2, profile: 'aggressive' }]),
+      tracker.recordAlert(snapshot(1, 100), [{ chatId: 3, profile: 'default' }])
+    ]);
+    // a later alert doesn't move an existing point
+    await tracker.recordAlert(snapshot(4, 400), [{ chatId: 4, profile: 'default' }]);
+
+    const record = JSON.parse(await redis.get('perf:solana:TrackedMint'));
+    assert.strictEqual(record.price, 1);
+    assert.deepStrictEqual(Object.keys(await redis.hgetall('perf:solana:TrackedMint:chats')).sort(), ['1', '2', '3', '4']);
+    const points = await redis.hgetall('perf:solana:TrackedMint:alerts');
+    assert.deepStrictEqual(Object.keys(points).sort(), ['aggressive', 'default']);
+    assert.strictEqual(JSON.parse(points.default).price, 1);
+    // sampling is scheduled once
+    assert.strictEqual(await redis.zcard('perf:due'), 1);
+  });
+
+  it('reports per-profile stats from the samples taken after each point, without chats', async () => {
+    const record = JSON.parse(await redis.get('perf:solana:TrackedMint'));
+    tracker.applySample(record, { at: Date.now() + 1000, offsetMin: 5, price: 3, marketCap: 300, multiple: 3 });
+    await redis.set('perf:solana:TrackedMint', JSON.stringify(record));
+
+    const report = await tracker.getPerformanceReport({ days: 1 });
+    const [token] = report.tokens;
+    assert.strictEqual(token.chats, undefined);
+    assert.strictEqual(token.peakMultiple, 3);
+    assert.strictEqual(report.byProfile.default.sampled, 1);
+    assert.strictEqual(report.byProfile.default.avgPeakMultiple, 3);
+    assert.strictEqual(report.byProfile.aggressive.hits, 1);
+  });
+});
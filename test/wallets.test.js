@@ -0,0 +1,49 @@
+// Tracked-wallet signals: buys in every payload shape, one signal per wallet and token, and claims given back when
+// the payload's tokens could not be queued.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+const WALLET = '3xLm8KqJk2Bv7fPzUn4RWs6cGtHyDa9oEiNtQbVxYz1P';
+const MINT = '9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump';
+
+const swap = (signature, mint = MINT) => ({
+  type: 'SWAP',
+  signature,
+  feePayer: WALLET,
+  timestamp: 1760000000,
+  tokenTransfers: [{ mint, fromUserAccount: 'PoolAccount1111111111111111111111111111111', toUserAccount: WALLET, tokenAmount: 1000 }],
+  nativeTransfers: [{ fromUserAccount: WALLET, toUserAccount: 'PoolAccount1111111111111111111111111111111', amount: 500000000 }]
+});
+
+describe('wallet signals', () => {
+  let wallets;
+
+  before(async () => {
+    process.env.STORAGE_BACKEND = 'memory';
+    wallets = require('../src/wallets');
+    await wallets.trackWallet(WALLET, { label: 'whale' });
+  });
+
+  it('signals a tracked wallet buy in a single-transaction payload', async () => {
+    const claims = [];
+    const [token] = await wallets.applyWalletSignals(swap('sig-single'), [], claims);
+    assert.strictEqual(token.address, MINT);
+    assert.strictEqual(token.eventType, 'WALLET_BUY');
+    assert.deepStrictEqual({ ...token.wallet }, { address: WALLET, label: 'whale', action: 'buy', bypassFilters: false, lamports: 500000000, signature: 'sig-single' });
+    assert.deepStrictEqual(claims, [`wallets:seen:${WALLET}:${MINT}`]);
+  });
+
+  it('signals each wallet and token once', async () => {
+    assert.deepStrictEqual(await wallets.applyWalletSignals([swap('sig-again')], []), []);
+  });
+
+  it('signals again once the claims of an unqueued payload are released', async () => {
+    const mint = 'So1anaMint22222222222222222222222222222pump';
+    const claims = [];
+    assert.strictEqual((await wallets.applyWalletSignals({ transactions: [swap('sig-failed', mint)] }, [], claims)).length, 1);
+    await wallets.releaseWalletSignals(claims);
+    const [token] = await wallets.applyWalletSignals({ transactions: [swap('sig-failed', mint)] }, []);
+    assert.strictEqual(token.wallet.signature, 'sig-failed');
+  });
+});